@@ -0,0 +1,274 @@
+//AIValidation.gs - Schemas for AI replies, with repair retries before the heuristic fallback
+
+/**
+ * Configuration constants
+ */
+const AI_REPAIR_ATTEMPTS_KEY = 'AI Repair Attempts';
+const DEFAULT_AI_REPAIR_ATTEMPTS = 2;
+const TASK_CATEGORIES = ['Venue', 'Marketing', 'Logistics', 'Program', 'Budget', 'Staffing', 'Technology', 'Communications', 'Other'];
+const TASK_PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+const SCHEDULE_ITEM_STATUSES = ['Tentative', 'Confirmed', 'Cancelled'];
+const MAX_REPAIR_ERRORS = 30;   // Errors sent back to the model per attempt
+const MAX_REPORTED_DROPS = 10;  // Dropped items listed in the alert
+
+/**
+ * Schema for the schedule generator's reply: { "schedule": [ ... ] }.
+ * Dates must be event days, times must fit inside that day's hours, and no
+ * session may overlap a fixed one (eventDetails.lockedSessions).
+ * @param {Object} eventDetails Event details from getEventDetails()
+ * @param {Array} approvedLocations Locations the sessions may use
+ * @param {boolean} multiTrack Whether sessions in different locations may run at the same time
+ * @return {Object} The schema
+ */
+function getScheduleItemSchema(eventDetails, approvedLocations, multiTrack) {
+  return {
+    listKey: 'schedule',
+    label: item => `"${item.title || 'Untitled'}"`,
+    fields: {
+      date: { type: 'date', required: true },
+      startTime: { type: 'time', required: true },
+      endTime: { type: 'time', required: true },
+      title: { type: 'string', required: true },
+      speaker: { type: 'string' },
+      location: { type: 'string', required: true, values: approvedLocations },
+      status: { type: 'string', values: SCHEDULE_ITEM_STATUSES }
+    },
+    check: item => {
+      const errors = [];
+      const start = _minutesOfDay(parseTimeString(item.startTime));
+      const end = _minutesOfDay(parseTimeString(item.endTime));
+      if (end <= start) errors.push(`endTime ${item.endTime} is not after startTime ${item.startTime}`);
+
+      const day = getEventDay(eventDetails.days || [], parseEventDate(item.date));
+      if (!day) {
+        errors.push(`date ${item.date} is not an event day`);
+      } else if (start < day.start || end > day.end) {
+        errors.push(`${item.startTime}-${item.endTime} is outside that day's hours, ${formatEventDayWindow(day)}`);
+      }
+
+      const clash = findLockedSessionClash(item, eventDetails.lockedSessions || [], multiTrack);
+      if (clash) {
+        errors.push(`${item.startTime}-${item.endTime} overlaps the fixed session "${clash.title}" ` +
+          `(${clash.startTime}-${clash.endTime}${multiTrack ? ' in ' + clash.location : ''}); use only the open times`);
+      }
+      return errors;
+    }
+  };
+}
+
+/**
+ * Schema for the task generators' reply: { "tasks": [ ... ] }
+ * @return {Object} The schema
+ */
+function getTaskSchema() {
+  return {
+    listKey: 'tasks',
+    label: item => `"${item.name || 'Unnamed task'}"`,
+    fields: {
+      name: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      category: { type: 'string', required: true, values: TASK_CATEGORIES },
+      priority: { type: 'string', required: true, values: TASK_PRIORITIES },
+      timeline: { type: 'string', required: true },
+      status: { type: 'string' },
+      suggestedOwner: { type: 'string' }
+    }
+  };
+}
+
+/**
+ * Asks the AI provider for a list of items and checks the reply against a schema.
+ * A reply with problems goes back to the model with the errors, up to the Config
+ * "AI Repair Attempts" times. After that the valid items are kept; if the reply was
+ * never usable JSON, the heuristic fallback parser reads its text instead.
+ * @param {Array} messages Chat messages for callLLM()
+ * @param {Object} schema Schema from getScheduleItemSchema() or getTaskSchema()
+ * @param {Function} fallbackParser Reads items out of free text: reply => items
+ * @return {Object} Object with items, dropped ({ label, errors }), repairs and usedFallback
+ */
+function requestValidatedItems(messages, schema, fallbackParser) {
+  const maxRepairs = getAIRepairAttempts(SpreadsheetApp.getActiveSpreadsheet());
+  const conversation = messages.slice();
+  let reply = '';
+  let result = null;
+
+  for (let repairs = 0; repairs <= maxRepairs; repairs++) {
+    reply = callLLM(conversation);
+    result = validateAIReply(reply, schema);
+    if (result.errors.length === 0) {
+      return { items: result.valid, dropped: [], repairs: repairs, usedFallback: false };
+    }
+
+    Logger.log(`AI reply failed validation (${result.errors.length} problem(s)):\n${result.errors.join('\n')}`);
+    if (repairs < maxRepairs) {
+      conversation.push({ role: 'assistant', content: reply });
+      conversation.push({ role: 'user', content: _formatRepairRequest(result.errors, schema) });
+    }
+  }
+
+  if (result.parsed) {
+    return { items: result.valid, dropped: result.dropped, repairs: maxRepairs, usedFallback: false };
+  }
+
+  Logger.log('No usable JSON after the repair attempts, reading the reply text instead');
+  const fallback = validateAIItems(fallbackParser(reply) || [], schema);
+  return { items: fallback.valid, dropped: fallback.dropped, repairs: maxRepairs, usedFallback: true };
+}
+
+/**
+ * Parses a reply's JSON and validates its items
+ * @param {string} reply The model's reply
+ * @param {Object} schema The schema
+ * @return {Object} Object with parsed, valid, dropped and errors (what the model should fix)
+ */
+function validateAIReply(reply, schema) {
+  // Models often wrap the JSON in a code fence or a sentence
+  const first = reply.indexOf('{');
+  const last = reply.lastIndexOf('}');
+  let data;
+  try {
+    if (first === -1 || last <= first) throw new Error('no JSON object found');
+    data = JSON.parse(reply.substring(first, last + 1));
+  } catch (e) {
+    return { parsed: false, valid: [], dropped: [], errors: [`The reply is not valid JSON: ${e.message}`] };
+  }
+
+  const items = data ? data[schema.listKey] : null;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { parsed: false, valid: [], dropped: [], errors: [`The reply has no "${schema.listKey}" array with items in it`] };
+  }
+
+  const result = validateAIItems(items, schema);
+  result.parsed = true;
+  return result;
+}
+
+/**
+ * Validates items against a schema. Valid items come back with their values
+ * normalized: trimmed text, allowed values in their listed spelling,
+ * dates as yyyy-MM-dd and times as h:mm AM/PM.
+ * @param {Array} items The items
+ * @param {Object} schema The schema
+ * @return {Object} Object with valid, dropped ({ label, errors }) and errors
+ */
+function validateAIItems(items, schema) {
+  const result = { valid: [], dropped: [], errors: [] };
+
+  items.forEach((item, index) => {
+    const errors = [];
+    const clean = {};
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push('is not an object');
+    } else {
+      Object.keys(schema.fields).forEach(name => {
+        const value = _validateAIField(item[name], schema.fields[name]);
+        if (value.error) errors.push(`${name} ${value.error}`);
+        else clean[name] = value.value;
+      });
+      if (errors.length === 0 && schema.check) errors.push.apply(errors, schema.check(clean));
+    }
+
+    if (errors.length === 0) {
+      result.valid.push(clean);
+    } else {
+      const label = item && typeof item === 'object' ? schema.label(item) : `#${index + 1}`;
+      result.dropped.push({ label: label, errors: errors });
+      errors.forEach(error => result.errors.push(`${schema.listKey}[${index}] ${label}: ${error}`));
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Gets how many times a reply with problems is sent back to the model
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {number} Number of repair attempts (0 turns repairs off)
+ */
+function getAIRepairAttempts(ss) {
+  const value = Number(_getConfigValue(ss, AI_REPAIR_ATTEMPTS_KEY, DEFAULT_AI_REPAIR_ATTEMPTS));
+  return isNaN(value) || value < 0 ? DEFAULT_AI_REPAIR_ATTEMPTS : Math.min(Math.floor(value), 5);
+}
+
+/**
+ * Describes what was repaired or dropped, for the generator's alert
+ * @param {Object} result Result from requestValidatedItems()
+ * @return {string} The report, or "" if the first reply was valid
+ */
+function formatAIValidationReport(result) {
+  if (result.dropped.length === 0 && !result.usedFallback) {
+    return result.repairs > 0 ? `The AI reply was corrected after ${result.repairs} repair request(s).` : '';
+  }
+
+  let report = `The AI reply still had problems after ${result.repairs} repair request(s).`;
+  if (result.usedFallback) {
+    report += ' It was not usable JSON, so the items were read from its text and may need checking.';
+  }
+  if (result.dropped.length > 0) {
+    report += `\n\nDropped ${result.dropped.length} item(s):\n` +
+      result.dropped.slice(0, MAX_REPORTED_DROPS).map(item => `• ${item.label}: ${item.errors.join('; ')}`).join('\n');
+    if (result.dropped.length > MAX_REPORTED_DROPS) {
+      report += `\n…and ${result.dropped.length - MAX_REPORTED_DROPS} more (see the execution log)`;
+    }
+  }
+  return report;
+}
+
+/**
+ * Checks one field value
+ * @param {*} value The value from the reply
+ * @param {Object} field The field's schema: type, required and values
+ * @return {Object} Object with value (normalized) or error
+ */
+function _validateAIField(value, field) {
+  const empty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  if (empty) {
+    return field.required ? { error: 'is missing' } : { value: '' };
+  }
+
+  if (field.type === 'date') {
+    // The heuristic fallback reads dates as Date objects
+    if (value instanceof Date) return { value: formatDate(value) };
+    const text = value.toString().trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || !parseEventDate(text) || formatDate(parseEventDate(text)) !== text) {
+      return { error: `"${text}" is not a date like "2025-05-24"` };
+    }
+    return { value: text };
+  }
+
+  if (field.type === 'time') {
+    const match = value.toString().trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2]) > 59) {
+      return { error: `"${value}" is not a time like "9:30 AM"` };
+    }
+    return { value: _formatMinutes(_minutesOfDay(parseTimeString(match[0]))) };
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: 'must be text' };
+  }
+  const text = value.toString().trim();
+  if (field.values) {
+    const allowed = field.values.find(option => option.toLowerCase() === text.toLowerCase());
+    if (!allowed) return { error: `"${text}" is not one of: ${field.values.join(', ')}` };
+    return { value: allowed };
+  }
+  return { value: text };
+}
+
+/**
+ * Writes the follow-up message asking the model to fix its reply
+ * @param {Array} errors The validation errors
+ * @param {Object} schema The schema
+ * @return {string} The message
+ */
+function _formatRepairRequest(errors, schema) {
+  const listed = errors.slice(0, MAX_REPAIR_ERRORS);
+  const more = errors.length - listed.length;
+
+  return `Your reply does not match the required format. Fix these problems:
+${listed.map(error => `- ${error}`).join('\n')}${more > 0 ? `\n- ...and ${more} more like these` : ''}
+
+Reply with the complete corrected JSON only, as one object with a "${schema.listKey}" array, including the items that were already correct. Do not add any other text.`;
+}
@@ -0,0 +1,195 @@
+//Automations.gs - Installable trigger manager and job run history
+
+/**
+ * Configuration constants
+ */
+const AUTOMATION_RUN_PROPERTY_PREFIX = 'automationRun.';
+const DAILY_JOB_HOUR = 7; // Daily reminder job runs between 7 and 8 AM (script timezone)
+
+/**
+ * Jobs shown in the Manage Automations sidebar.
+ * Toggleable jobs can be switched on and off; the form handlers are managed by the Form Generator.
+ */
+const AUTOMATION_JOBS = [
+  { handler: 'dailyTrigger', label: 'Daily reminders (sessions & tasks)', toggleable: true },
+  { handler: 'checkForAcceptedSpeakers', label: 'Speaker watcher (accepted speaker tasks)', toggleable: true },
+  { handler: 'syncScheduleEditToCalendar', label: 'Calendar sync (confirmed sessions)', toggleable: true },
+  { handler: 'processRegistrationForm', label: 'Registration form responses', toggleable: false },
+  { handler: 'processVolunteerForm', label: 'Volunteer form responses', toggleable: false },
+  { handler: 'processSpeakerForm', label: 'Speaker form responses', toggleable: false }
+];
+
+/**
+ * Shows the Manage Automations sidebar
+ * Called from the Event Planner Setup menu
+ */
+function showAutomationsSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('AutomationsSidebar')
+    .setTitle('Manage Automations');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Returns the installed triggers and the status of each job
+ * Called from AutomationsSidebar.html via google.script.run
+ * @return {Object} Object with jobs and triggers arrays
+ */
+function getAutomationStatus() {
+  const triggers = ScriptApp.getProjectTriggers();
+
+  const jobs = AUTOMATION_JOBS.map(job => {
+    const run = getAutomationRun(job.handler);
+    return {
+      handler: job.handler,
+      label: job.label,
+      toggleable: job.toggleable,
+      enabled: triggers.some(trigger => trigger.getHandlerFunction() === job.handler),
+      lastRun: run ? run.lastRun : '',
+      status: run ? run.status : 'Never run',
+      error: run ? run.error : ''
+    };
+  });
+
+  const triggerList = triggers.map(trigger => ({
+    id: trigger.getUniqueId(),
+    handler: trigger.getHandlerFunction(),
+    eventType: trigger.getEventType().toString(),
+    source: trigger.getTriggerSource().toString(),
+    orphaned: isOrphanedFormTrigger(trigger)
+  }));
+
+  return {
+    jobs: jobs,
+    triggers: triggerList
+  };
+}
+
+/**
+ * Turns a toggleable job on or off
+ * Called from AutomationsSidebar.html via google.script.run
+ * @param {string} handler The job's handler function name
+ * @param {boolean} enabled True to install the job's triggers, false to remove them
+ * @return {Object} The refreshed automation status
+ */
+function setAutomationEnabled(handler, enabled) {
+  const job = AUTOMATION_JOBS.find(item => item.handler === handler);
+  if (!job || !job.toggleable) {
+    throw new Error(`"${handler}" cannot be switched on or off here.`);
+  }
+
+  // Always start from a clean slate so triggers never pile up
+  const removed = deleteTriggersForHandler(handler);
+
+  if (enabled) {
+    if (handler === 'dailyTrigger') {
+      ScriptApp.newTrigger('dailyTrigger')
+        .timeBased()
+        .everyDays(1)
+        .atHour(DAILY_JOB_HOUR)
+        .create();
+    } else if (handler === 'checkForAcceptedSpeakers') {
+      createSpeakerTaskInstallableTrigger();
+    } else if (handler === 'syncScheduleEditToCalendar') {
+      ScriptApp.newTrigger('syncScheduleEditToCalendar')
+        .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+        .onEdit()
+        .create();
+    }
+    Logger.log(`Enabled automation: ${handler}`);
+  } else {
+    Logger.log(`Disabled automation: ${handler} (${removed} triggers removed)`);
+  }
+
+  return getAutomationStatus();
+}
+
+/**
+ * Removes form-submit triggers whose form has been deleted or can no longer be opened
+ * Called from AutomationsSidebar.html via google.script.run
+ * @return {Object} Object with the number of triggers removed and the refreshed status
+ */
+function removeOrphanedFormTriggers() {
+  let removed = 0;
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (isOrphanedFormTrigger(trigger)) {
+      Logger.log(`Removing orphaned form trigger ${trigger.getUniqueId()} (${trigger.getHandlerFunction()})`);
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  });
+
+  return {
+    removed: removed,
+    status: getAutomationStatus()
+  };
+}
+
+/**
+ * Checks whether a trigger is a form-submit trigger for a form that no longer exists
+ * @param {GoogleAppsScript.Script.Trigger} trigger The trigger to check
+ * @return {boolean} True if the trigger's form is gone
+ */
+function isOrphanedFormTrigger(trigger) {
+  if (trigger.getEventType() !== ScriptApp.EventType.ON_FORM_SUBMIT) return false;
+  if (trigger.getTriggerSource() !== ScriptApp.TriggerSource.FORMS) return false;
+
+  try {
+    FormApp.openById(trigger.getTriggerSourceId());
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Deletes every trigger that calls the given handler function
+ * @param {string} handler The handler function name
+ * @return {number} The number of triggers deleted
+ */
+function deleteTriggersForHandler(handler) {
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === handler) {
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Records the outcome of a job run so the sidebar can show it
+ * @param {string} handler The handler function name
+ * @param {Error} error The error if the run failed (optional)
+ */
+function recordAutomationRun(handler, error) {
+  try {
+    const run = {
+      lastRun: formatDate(new Date(), 'yyyy-MM-dd HH:mm'),
+      status: error ? 'Failed' : 'Succeeded',
+      error: error ? (error.message || error.toString()) : ''
+    };
+    PropertiesService.getDocumentProperties()
+      .setProperty(AUTOMATION_RUN_PROPERTY_PREFIX + handler, JSON.stringify(run));
+  } catch (recordError) {
+    Logger.log(`Could not record run for ${handler}: ${recordError}`);
+  }
+}
+
+/**
+ * Reads the last recorded run of a job
+ * @param {string} handler The handler function name
+ * @return {Object|null} Object with lastRun, status and error, or null if never run
+ */
+function getAutomationRun(handler) {
+  const value = PropertiesService.getDocumentProperties()
+    .getProperty(AUTOMATION_RUN_PROPERTY_PREFIX + handler);
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,427 @@
+//Availability.gs - Availability windows for People, used when scheduling and assigning work
+
+/**
+ * Configuration constants
+ */
+const AVAILABILITY_HEADER = 'Availability';
+const AVAILABILITY_WARN = 'Warn';
+const AVAILABILITY_REJECT = 'Reject';
+// Parts of the day offered on the speaker form, clamped to the event hours
+const AVAILABILITY_FORM_PERIODS = [
+  { label: 'Morning', start: 0, end: 12 * 60 },
+  { label: 'Afternoon', start: 12 * 60, end: 17 * 60 },
+  { label: 'Evening', start: 17 * 60, end: 24 * 60 }
+];
+
+/**
+ * Parses an Availability cell. One window per line (or separated by ";"):
+ *   "2026-06-01 9:00 AM-12:00 PM"  a window on one day
+ *   "9:00 AM-12:00 PM"             the same window on every day
+ *   "2026-06-01"                   the whole day
+ * @param {*} text The cell value
+ * @return {Array} Windows ({ day: ms or null, start, end } in minutes of the day)
+ */
+function parseAvailability(text) {
+  const windows = [];
+  if (!text) return windows;
+
+  text.toString().split(/\n|;/).forEach(line => {
+    const entry = line.trim();
+    if (!entry) return;
+
+    const match = entry.match(/^(\d{4}-\d{2}-\d{2})?\s*(?:(\d{1,2}:\d{2}\s*[AP]M)\s*-\s*(\d{1,2}:\d{2}\s*[AP]M))?$/i);
+    if (!match || (!match[1] && !match[2])) {
+      Logger.log(`Ignoring availability "${entry}" - expected e.g. "2026-06-01 9:00 AM-12:00 PM"`);
+      return;
+    }
+
+    const day = match[1] ? _parseAvailabilityDay(match[1]) : null;
+    const start = match[2] ? _minutesOfDay(parseTimeString(match[2].toUpperCase())) : 0;
+    const end = match[3] ? _minutesOfDay(parseTimeString(match[3].toUpperCase())) : 24 * 60;
+    if (start === null || end === null || end <= start) {
+      Logger.log(`Ignoring availability "${entry}" - the end must be after the start`);
+      return;
+    }
+
+    windows.push({ day: day, start: start, end: end });
+  });
+
+  return windows;
+}
+
+/**
+ * Formats windows for an Availability cell, one per line, merging windows that touch
+ * @param {Array} windows Windows from parseAvailability()
+ * @return {string} The cell text
+ */
+function formatAvailability(windows) {
+  const sorted = windows.slice().sort((a, b) =>
+    (a.day === null ? -1 : a.day) - (b.day === null ? -1 : b.day) || a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(window => {
+    const last = merged[merged.length - 1];
+    if (last && last.day === window.day && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ day: window.day, start: window.start, end: window.end });
+    }
+  });
+
+  return merged.map(formatAvailabilityWindow).join('\n');
+}
+
+/**
+ * Formats one window, e.g. "2026-06-01 9:00 AM-12:00 PM"
+ * @param {Object} window The window
+ * @return {string} The formatted window
+ */
+function formatAvailabilityWindow(window) {
+  const date = window.day === null ? '' :
+    formatDate(new Date(window.day));
+  if (date && window.start === 0 && window.end === 24 * 60) return date;
+
+  const end = window.end >= 24 * 60 ? '11:59 PM' : _formatMinutes(window.end);
+  return `${date} ${_formatMinutes(window.start)}-${end}`.trim();
+}
+
+/**
+ * Reads the Availability column of the People sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Map of lowercase name to windows, for people who have any
+ */
+function getAvailabilityWindows(ss) {
+  const sheet = ss.getSheetByName('People');
+  const availability = {};
+  if (!sheet || sheet.getLastRow() <= 1) return availability;
+
+  const data = sheet.getDataRange().getValues();
+  const nameIndex = findColumnIndex(data[0], 'name');
+  const availabilityIndex = findColumnIndex(data[0], AVAILABILITY_HEADER);
+  if (nameIndex === -1 || availabilityIndex === -1) return availability;
+
+  for (let i = 1; i < data.length; i++) {
+    const name = data[i][nameIndex] ? data[i][nameIndex].toString().trim().toLowerCase() : '';
+    const windows = parseAvailability(data[i][availabilityIndex]);
+    if (name && windows.length > 0) availability[name] = windows;
+  }
+
+  return availability;
+}
+
+/**
+ * Checks whether a time span falls inside one of a person's windows.
+ * People without windows are available throughout the event.
+ * @param {Array|undefined} windows The person's windows
+ * @param {number} dayKey Start of the day in ms
+ * @param {number} start Start in minutes of the day
+ * @param {number} end End in minutes of the day
+ * @return {boolean} True if the person is available
+ */
+function isAvailableDuring(windows, dayKey, start, end) {
+  if (!windows || windows.length === 0) return true;
+  return windows.some(w => (w.day === null || w.day === dayKey) && w.start <= start && w.end >= end);
+}
+
+/**
+ * Lists the Leads of a Schedule row who are not available for the whole session
+ * @param {Array} values The row values (Date, Start Time, End Time, Duration, Title, Lead)
+ * @param {Object} availability Windows from getAvailabilityWindows()
+ * @return {Array} Names of the unavailable Leads
+ */
+function getUnavailableLeads(values, availability) {
+  const start = _minutesOfDay(parseTimeString(values[1]));
+  const end = _minutesOfDay(parseTimeString(values[2]));
+  if (!(values[0] instanceof Date) || start === null || end === null || !values[5]) return [];
+
+  const dayKey = _startOfDay(values[0]).getTime();
+  return values[5].toString().split(/,|&|\band\b/)
+    .map(name => name.trim())
+    .filter(name => name && !isAvailableDuring(availability[name.toLowerCase()], dayKey, start, end));
+}
+
+/**
+ * Called from handleScheduleEdit when a date, time or Lead changes. Warns when a Lead
+ * is outside their availability; with "Availability Enforcement" set to Reject, a typed
+ * or picked Lead is put back to its previous value instead. Date and time edits only warn,
+ * so they never undo a ripple shift.
+ * @param {Object} e The edit event object
+ * @return {boolean} False if the edit was rejected
+ */
+function checkLeadAvailabilityEdit(e) {
+  try {
+    const sheet = e.range.getSheet();
+    const ss = sheet.getParent();
+    const availability = getAvailabilityWindows(ss);
+    if (Object.keys(availability).length === 0) return true;
+
+    const firstRow = Math.max(2, e.range.getRow());
+    const lastRow = e.range.getRow() + e.range.getNumRows() - 1;
+    if (lastRow < firstRow) return true;
+
+    const problems = [];
+    sheet.getRange(firstRow, 1, lastRow - firstRow + 1, 6).getValues().forEach((values, index) => {
+      const leads = getUnavailableLeads(values, availability);
+      if (leads.length > 0) {
+        problems.push(`Row ${firstRow + index} "${values[4] || 'Untitled'}": ${leads.join(', ')}`);
+      }
+    });
+    if (problems.length === 0) return true;
+
+    const singleLeadEdit = e.range.getColumn() === 6 &&
+      e.range.getNumRows() === 1 && e.range.getNumColumns() === 1;
+    if (singleLeadEdit && getAvailabilityEnforcement(ss) === AVAILABILITY_REJECT) {
+      e.range.setValue(e.oldValue === undefined ? '' : e.oldValue);
+      ss.toast(`Lead not changed. Outside their availability:\n${problems[0]}\n\n` +
+        'Check their Availability in the People sheet.', 'Lead Not Available', 8);
+      return false;
+    }
+
+    ss.toast(`Outside their availability:\n${problems.join('\n')}`, 'Lead Not Available', 8);
+    return true;
+  } catch (error) {
+    Logger.log(`Error checking Lead availability: ${error}`);
+    return true;
+  }
+}
+
+/**
+ * Reads the Config "Availability Enforcement" setting
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {string} AVAILABILITY_WARN or AVAILABILITY_REJECT
+ */
+function getAvailabilityEnforcement(ss) {
+  const value = _getConfigValue(ss, 'Availability Enforcement', AVAILABILITY_WARN).toString().trim().toLowerCase();
+  return value === 'reject' ? AVAILABILITY_REJECT : AVAILABILITY_WARN;
+}
+
+/**
+ * Collects the names a task can be given to and their availability
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {Object} eventInfo Event information with startDate and endDate
+ * @return {Object} Candidates with names (lowercase to display name), availability and the event days
+ */
+function getTaskOwnerCandidates(ss, eventInfo) {
+  const names = {};
+  getConfigDropdownOptions(ss).owners.forEach(name => {
+    if (name) names[name.toLowerCase()] = name;
+  });
+  const contacts = getPeopleContacts(ss);
+  Object.keys(contacts).forEach(key => {
+    names[key] = contacts[key].name;
+  });
+
+  return {
+    names: names,
+    availability: getAvailabilityWindows(ss),
+    firstDay: eventInfo && eventInfo.startDate instanceof Date ? _startOfDay(eventInfo.startDate).getTime() : null,
+    lastDay: eventInfo && eventInfo.endDate instanceof Date ? _startOfDay(eventInfo.endDate).getTime() : null
+  };
+}
+
+/**
+ * Checks an AI-suggested task owner. The name must be an owner or a person in the
+ * People sheet, and for tasks due during the event they must be available that day.
+ * @param {string} name The suggested owner
+ * @param {Date} dueDate The task due date
+ * @param {Object} candidates Candidates from getTaskOwnerCandidates()
+ * @return {string} The owner's name as listed, or '' if the suggestion can't be used
+ */
+function suggestTaskOwner(name, dueDate, candidates) {
+  if (!name) return '';
+  const key = name.toString().trim().toLowerCase();
+  if (!candidates.names[key]) return '';
+
+  const windows = candidates.availability[key];
+  if (windows && dueDate instanceof Date && candidates.firstDay !== null && candidates.lastDay !== null) {
+    const dayKey = _startOfDay(dueDate).getTime();
+    const duringEvent = dayKey >= candidates.firstDay && dayKey <= candidates.lastDay;
+    if (duringEvent && !windows.some(w => w.day === null || w.day === dayKey)) return '';
+  }
+
+  return candidates.names[key];
+}
+
+/**
+ * Adds the Availability question to the speaker form: a grid of event days against
+ * parts of the day, or a free-text question when the event dates aren't set yet
+ * @param {GoogleAppsScript.Forms.Form} form The form
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ */
+function addAvailabilityQuestion(form, ss) {
+  const eventSheet = ss.getSheetByName('Event Description');
+  const details = eventSheet ? getEventDetails(eventSheet) : null;
+
+  if (!details || !(details.startDate instanceof Date) || !(details.endDate instanceof Date)) {
+    form.addParagraphTextItem()
+      .setTitle(AVAILABILITY_HEADER)
+      .setRequired(false)
+      .setHelpText('When can you present? One window per line, e.g. "2026-06-01 9:00 AM-12:00 PM". Leave blank if you are available throughout the event.');
+    return;
+  }
+
+  const rows = details.days.map(day => formatDate(day.date, 'yyyy-MM-dd (EEEE)'));
+
+  // Column labels carry their times, so answers can be read back without the event details.
+  // They span the earliest start and latest end across the event days.
+  const eventStart = Math.min.apply(null, details.days.map(day => day.start));
+  const eventEnd = Math.max.apply(null, details.days.map(day => day.end));
+  const columns = AVAILABILITY_FORM_PERIODS
+    .map(period => ({
+      label: period.label,
+      start: Math.max(period.start, eventStart),
+      end: Math.min(period.end, eventEnd)
+    }))
+    .filter(period => period.end > period.start)
+    .map(period => `${period.label} (${formatAvailabilityWindow({ day: null, start: period.start, end: period.end })})`);
+
+  form.addCheckboxGridItem()
+    .setTitle(AVAILABILITY_HEADER)
+    .setRows(rows)
+    .setColumns(columns)
+    .setRequired(false)
+    .setHelpText('Tick every part of each day you can present. Leave it blank if you are available throughout the event.');
+}
+
+/**
+ * Reads the answer to the speaker form's Availability question
+ * @param {GoogleAppsScript.Forms.ItemResponse} itemResponse The item response
+ * @return {string} Text for the People sheet Availability column
+ */
+function readAvailabilityResponse(itemResponse) {
+  const item = itemResponse.getItem();
+  const answer = itemResponse.getResponse();
+
+  if (item.getType() !== FormApp.ItemType.CHECKBOX_GRID) {
+    return formatAvailability(parseAvailability(answer));
+  }
+
+  const rows = item.asCheckboxGridItem().getRows();
+  const windows = [];
+  (answer || []).forEach((columns, index) => {
+    if (!columns || !rows[index]) return;
+    columns.forEach(column => {
+      const times = column.match(/\(([^)]*)\)/);
+      const parsed = times ? parseAvailability(`${rows[index].substring(0, 10)} ${times[1]}`) : [];
+      parsed.forEach(window => windows.push(window));
+    });
+  });
+
+  return formatAvailability(windows);
+}
+
+/**
+ * Opens the availability editor
+ * Called from the Event Planner Setup menu
+ */
+function showAvailabilitySidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('AvailabilitySidebar')
+    .setTitle('Edit Availability');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Lists people and their windows for the availability editor
+ * Called from AvailabilitySidebar.html
+ * @return {Object} People ({ name, category, windows }) and the event dates
+ */
+function getAvailabilityEditorData() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('People');
+  if (!sheet || sheet.getLastRow() <= 1) {
+    throw new Error('Add people to the People sheet first.');
+  }
+
+  const timeZone = getEventTimeZone(ss);
+  const data = sheet.getDataRange().getValues();
+  const nameIndex = findColumnIndex(data[0], 'name');
+  const categoryIndex = findColumnIndex(data[0], 'category');
+  const availabilityIndex = findColumnIndex(data[0], AVAILABILITY_HEADER);
+
+  const people = [];
+  for (let i = 1; i < data.length; i++) {
+    const name = data[i][nameIndex] ? data[i][nameIndex].toString().trim() : '';
+    if (!name) continue;
+
+    const windows = availabilityIndex === -1 ? [] : parseAvailability(data[i][availabilityIndex]);
+    people.push({
+      name: name,
+      category: categoryIndex === -1 ? '' : data[i][categoryIndex].toString(),
+      windows: windows.map(window => ({
+        date: window.day === null ? '' : Utilities.formatDate(new Date(window.day), timeZone, 'yyyy-MM-dd'),
+        start: _availabilityInputTime(window.start),
+        end: _availabilityInputTime(window.end)
+      }))
+    });
+  }
+
+  const eventSheet = ss.getSheetByName('Event Description');
+  const details = eventSheet ? getEventDetails(eventSheet) : null;
+  return {
+    people: people,
+    startDate: details && details.startDate instanceof Date ? Utilities.formatDate(details.startDate, timeZone, 'yyyy-MM-dd') : '',
+    endDate: details && details.endDate instanceof Date ? Utilities.formatDate(details.endDate, timeZone, 'yyyy-MM-dd') : ''
+  };
+}
+
+/**
+ * Saves one person's windows from the availability editor
+ * Called from AvailabilitySidebar.html
+ * @param {string} name The person's name
+ * @param {Array} windows Windows as { date: "yyyy-MM-dd" or "", start: "HH:mm", end: "HH:mm" }
+ * @return {string} The text written to the Availability column
+ */
+function saveAvailability(name, windows) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('People');
+  const contact = getPeopleContacts(ss)[name.toString().trim().toLowerCase()];
+  if (!sheet || !contact) {
+    throw new Error(`"${name}" was not found in the People sheet.`);
+  }
+
+  const parsed = windows.map(window => {
+    const start = _availabilityInputMinutes(window.start);
+    const end = _availabilityInputMinutes(window.end);
+    if (start === null || end === null || end <= start) {
+      throw new Error('Each window needs a start and an end time, with the end after the start.');
+    }
+    return { day: window.date ? _parseAvailabilityDay(window.date) : null, start: start, end: end };
+  });
+
+  const text = formatAvailability(parsed);
+  const col = _ensureColumn(sheet, AVAILABILITY_HEADER, 260);
+  sheet.getRange(contact.row, col).setValue(text).setWrap(true);
+
+  return text;
+}
+
+/**
+ * Reads a "yyyy-MM-dd" date as the start of that day in the event timezone
+ * @param {string} text The date
+ * @return {number} Start of the day in ms
+ */
+function _parseAvailabilityDay(text) {
+  return parseEventDate(text).getTime();
+}
+
+/**
+ * Formats minutes of the day for an HTML time input ("HH:mm")
+ * @param {number} minutes Minutes after midnight
+ * @return {string} The time
+ */
+function _availabilityInputTime(minutes) {
+  const clamped = Math.min(minutes, 24 * 60 - 1);
+  return ('0' + Math.floor(clamped / 60)).slice(-2) + ':' + ('0' + (clamped % 60)).slice(-2);
+}
+
+/**
+ * Reads an HTML time input value ("HH:mm"); "23:59" stands for the end of the day
+ * @param {string} value The time
+ * @return {number|null} Minutes after midnight, or null if the value is not a time
+ */
+function _availabilityInputMinutes(value) {
+  const match = value ? value.toString().match(/^(\d{1,2}):(\d{2})$/) : null;
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes === 24 * 60 - 1 ? 24 * 60 : minutes;
+}
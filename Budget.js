@@ -3,8 +3,9 @@
  * Sets up or resets the Budget sheet with the Pre-Event Budget structure
  * All data starts at zero and Other/Miscellaneous section corrected
  * Header fields and Attendees Goal removed as requested
+ * @param {boolean} silent Skip the completion alert (used by the Quick Event Setup wizard)
  */
-function setupBudgetSheet() {
+function setupBudgetSheet(silent) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const budgetSheet = ss.getSheetByName('Budget');
   
@@ -13,6 +14,9 @@ function setupBudgetSheet() {
     return;
   }
   
+  // Save a snapshot so the reset can be undone
+  if (!snapshotOrConfirm(budgetSheet, 'Reset Budget')) return;
+  
   // STEP 1: Aggressively remove all data validations first
   try {
     const entireSheet = budgetSheet.getDataRange();
@@ -183,5 +187,7 @@ function setupBudgetSheet() {
     Logger.log("Error in final validation cleanup: " + e.toString());
   }
   
-  SpreadsheetApp.getUi().alert('Budget sheet has been updated with the Pre-Event Budget structure and formatting!');
+  if (!silent) {
+    SpreadsheetApp.getUi().alert('Budget sheet has been updated with the Pre-Event Budget structure and formatting!');
+  }
 }
\ No newline at end of file
@@ -0,0 +1,377 @@
+//CalendarExport.gs - Exports the Schedule as iCalendar (.ics) files in Drive
+
+/**
+ * Configuration constants
+ */
+const ICS_UID_HEADER = 'iCal UID';
+const ICS_STATE_SHEET_NAME = '_Calendar Export'; // Hidden: UID, Sequence, last exported event
+const ICS_PRODID = '-//Event Planner Pro//Schedule Export//EN';
+
+/**
+ * Writes the full schedule and one agenda per Lead to Drive and lists the files
+ * Called from the Event Planner Setup menu
+ */
+function exportScheduleToIcs() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!ss.getSheetByName('Schedule')) {
+    ui.alert('Error', 'Schedule sheet not found.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const result = writeScheduleIcsFiles(ss);
+
+    if (result.eventCount === 0) {
+      ui.alert('Nothing to Export', 'Add sessions with a date and start/end times to the Schedule sheet first.', ui.ButtonSet.OK);
+      return;
+    }
+
+    ui.alert(
+      'Calendar Exported',
+      `Exported ${result.eventCount} session(s) to "${result.scheduleFile.getName()}"` +
+        (result.leadFiles.length ? ` and ${result.leadFiles.length} Lead agenda(s)` : '') + '.\n\n' +
+        `Folder: ${result.folder.getUrl()}\n\n` +
+        'Files are overwritten in place on every export, so shared links and calendar subscriptions keep working. ' +
+        'Share a file with "Anyone with the link" before subscribing to it from a calendar app.',
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    Logger.log(`Error exporting calendar: ${error}`);
+    ui.alert('Error', `Failed to export the calendar: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Builds the calendar events and writes the .ics files
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Object with eventCount, folder, scheduleFile and leadFiles
+ */
+function writeScheduleIcsFiles(ss) {
+  const events = getScheduleCalendarEvents(ss);
+  const eventName = getIcsEventName(ss);
+  const folder = getIcsExportFolder(ss);
+  const result = { eventCount: events.filter(event => !event.removed).length, folder: folder, scheduleFile: null, leadFiles: [] };
+
+  if (result.eventCount === 0) return result;
+
+  result.scheduleFile = _writeDriveTextFile(folder, `${eventName} - Schedule.ics`,
+    buildIcsCalendar(`${eventName} Schedule`, events, getEventTimeZone(ss)));
+
+  // One agenda per Lead, including sessions they were just taken off so their calendar drops them
+  const leads = {};
+  events.forEach(event => {
+    event.leads.forEach(lead => {
+      const key = lead.toLowerCase();
+      if (!leads[key]) leads[key] = { name: lead, events: [] };
+      leads[key].events.push(event);
+    });
+    (event.previousLeads || []).forEach(lead => {
+      const key = lead.toLowerCase();
+      if (event.leads.some(current => current.toLowerCase() === key)) return;
+      if (!leads[key]) leads[key] = { name: lead, events: [] };
+      leads[key].events.push(Object.assign({}, event, { status: 'Cancelled' }));
+    });
+  });
+
+  // Leads with a Time Zone in People get their agenda in their own time
+  const contacts = getPeopleContacts(ss);
+  Object.keys(leads).sort().forEach(key => {
+    const lead = leads[key];
+    const fileName = `${eventName} - ${lead.name.replace(/[\\/:*?"<>|]/g, '-')}.ics`;
+    const timeZone = (contacts[key] && contacts[key].timeZone) || getEventTimeZone(ss);
+    result.leadFiles.push(_writeDriveTextFile(folder, fileName,
+      buildIcsCalendar(`${eventName} - ${lead.name}`, lead.events, timeZone)));
+  });
+
+  return result;
+}
+
+/**
+ * Reads the Schedule into calendar events, assigning UIDs to new rows and bumping
+ * SEQUENCE on any session whose exported details changed since the last export.
+ * Sessions deleted from the Schedule are kept as cancelled events so subscribers drop them.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Event objects
+ */
+function getScheduleCalendarEvents(ss) {
+  const sheet = ss.getSheetByName('Schedule');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const uidCol = _ensureColumn(sheet, ICS_UID_HEADER, 120);
+  const data = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const uids = data.slice(1).map(row => [row[uidCol - 1] ? row[uidCol - 1].toString() : '']);
+  const state = _readIcsState(ss);
+  const events = [];
+  const seen = {};
+  let uidsChanged = false;
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const startTime = parseTimeString(row[1]);
+    const endTime = parseTimeString(row[2]);
+    if (!(row[0] instanceof Date) || !startTime || !endTime) continue;
+
+    // Copied rows carry the original's UID, so give the copy its own
+    if (!uids[i - 1][0] || seen[uids[i - 1][0]]) {
+      uids[i - 1][0] = `${Utilities.getUuid()}@event-planner`;
+      uidsChanged = true;
+    }
+    const uid = uids[i - 1][0];
+    seen[uid] = true;
+
+    const start = _combineDateAndTime(row[0], startTime);
+    let end = _combineDateAndTime(row[0], endTime);
+    if (end <= start) end = addDays(end, 1); // Runs past midnight
+
+    const event = {
+      uid: uid,
+      start: start.getTime(),
+      end: end.getTime(),
+      title: row[4] ? row[4].toString() : 'Untitled Session',
+      leads: row[5] ? row[5].toString().split(/,|&|\band\b/).map(name => name.trim()).filter(name => name) : [],
+      location: row[6] ? row[6].toString() : '',
+      status: row[7] ? row[7].toString() : '',
+      notes: row[9] ? row[9].toString() : ''
+    };
+
+    const previous = state[uid];
+    const snapshot = JSON.stringify(_icsFields(event));
+    event.sequence = previous ? (previous.json === snapshot ? previous.sequence : previous.sequence + 1) : 0;
+    event.previousLeads = previous ? previous.event.leads : [];
+    state[uid] = { sequence: event.sequence, json: snapshot, event: _icsFields(event) };
+    events.push(event);
+  }
+
+  // Rows removed from the Schedule since the last export
+  Object.keys(state).forEach(uid => {
+    if (seen[uid]) return;
+    const previous = state[uid];
+    const event = Object.assign({}, previous.event, { uid: uid, status: 'Cancelled', removed: true, previousLeads: [] });
+    const snapshot = JSON.stringify(_icsFields(event));
+    event.sequence = previous.event.removed ? previous.sequence : previous.sequence + 1;
+    state[uid] = { sequence: event.sequence, json: snapshot, event: _icsFields(event) };
+    events.push(event);
+  });
+
+  if (uidsChanged) {
+    sheet.getRange(2, uidCol, uids.length, 1).setValues(uids);
+  }
+  _writeIcsState(ss, state);
+
+  return events;
+}
+
+/**
+ * Builds an RFC 5545 calendar. Times are written in UTC; the timezone tells
+ * calendar apps which zone to show them in.
+ * @param {string} calendarName Shown by calendar apps as the calendar's name
+ * @param {Array} events Events from getScheduleCalendarEvents()
+ * @param {string} timeZone The reader's timezone (optional, default the event timezone)
+ * @return {string} The .ics content
+ */
+function buildIcsCalendar(calendarName, events, timeZone) {
+  const eventTimeZone = getEventTimeZone();
+  if (!timeZone) timeZone = eventTimeZone;
+
+  const stamp = _formatIcsDateTime(new Date().getTime());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${_escapeIcsText(calendarName)}`,
+    `X-WR-TIMEZONE:${timeZone}`
+  ];
+
+  events.forEach(event => {
+    // Readers in another zone get both their own time and the time at the venue
+    const description = [
+      event.leads.length ? `Lead: ${event.leads.join(', ')}` : '',
+      timeZone !== eventTimeZone ? `Your time (${timeZone}): ${_formatIcsTimeRange(event, timeZone)}` : '',
+      timeZone !== eventTimeZone ? `Event time (${eventTimeZone}): ${_formatIcsTimeRange(event, eventTimeZone)}` : '',
+      event.notes
+    ].filter(text => text).join('\n');
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(`DTSTART:${_formatIcsDateTime(event.start)}`);
+    lines.push(`DTEND:${_formatIcsDateTime(event.end)}`);
+    lines.push(`SEQUENCE:${event.sequence}`);
+    lines.push(`SUMMARY:${_escapeIcsText(event.title)}`);
+    if (event.location) lines.push(`LOCATION:${_escapeIcsText(event.location)}`);
+    if (description) lines.push(`DESCRIPTION:${_escapeIcsText(description)}`);
+    lines.push(`STATUS:${event.status === 'Cancelled' ? 'CANCELLED' : event.status === 'Confirmed' ? 'CONFIRMED' : 'TENTATIVE'}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(_foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Gets the event name used for the calendar and file names
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {string} The event name, or the spreadsheet name if none is set
+ */
+function getIcsEventName(ss) {
+  const eventSheet = ss.getSheetByName('Event Description');
+  const details = eventSheet ? getEventDetails(eventSheet) : null;
+  const name = details && details.eventName ? details.eventName.toString() : ss.getName();
+  return name.replace(/[\\/:*?"<>|]/g, '-');
+}
+
+/**
+ * Gets (or creates) the export folder next to the spreadsheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Drive.Folder} The folder
+ */
+function getIcsExportFolder(ss) {
+  const parents = DriveApp.getFileById(ss.getId()).getParents();
+  const parent = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+  const folderName = `${ss.getName()} - Calendars`;
+
+  const existing = parent.getFoldersByName(folderName);
+  return existing.hasNext() ? existing.next() : parent.createFolder(folderName);
+}
+
+/**
+ * Creates a text file or overwrites it in place, keeping its ID and sharing settings
+ * @param {GoogleAppsScript.Drive.Folder} folder The folder
+ * @param {string} name The file name
+ * @param {string} content The file content
+ * @return {GoogleAppsScript.Drive.File} The file
+ */
+function _writeDriveTextFile(folder, name, content) {
+  const existing = folder.getFilesByName(name);
+  if (existing.hasNext()) {
+    const file = existing.next();
+    file.setContent(content);
+    return file;
+  }
+  return folder.createFile(name, content, 'text/calendar');
+}
+
+/**
+ * Reads the hidden export state: UID -> { sequence, json, event }
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} The state
+ */
+function _readIcsState(ss) {
+  const sheet = ss.getSheetByName(ICS_STATE_SHEET_NAME);
+  const state = {};
+  if (!sheet || sheet.getLastRow() <= 1) return state;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().forEach(row => {
+    if (!row[0]) return;
+    try {
+      state[row[0].toString()] = { sequence: Number(row[1]) || 0, json: row[2].toString(), event: JSON.parse(row[2]) };
+    } catch (error) {
+      Logger.log(`Skipping unreadable calendar export state for ${row[0]}: ${error}`);
+    }
+  });
+  return state;
+}
+
+/**
+ * Rewrites the hidden export state sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {Object} state The state from _readIcsState()
+ */
+function _writeIcsState(ss, state) {
+  let sheet = ss.getSheetByName(ICS_STATE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ICS_STATE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 3).setValues([['UID', 'Sequence', 'Last Exported']]);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  } else if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).clearContent();
+  }
+
+  const rows = Object.keys(state).map(uid => [uid, state[uid].sequence, state[uid].json]);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, 3).setValues(rows);
+  }
+}
+
+/**
+ * The event fields that trigger a SEQUENCE bump when they change
+ * @param {Object} event The event
+ * @return {Object} The fields
+ */
+function _icsFields(event) {
+  return {
+    start: event.start,
+    end: event.end,
+    title: event.title,
+    leads: event.leads,
+    location: event.location,
+    status: event.status,
+    notes: event.notes,
+    removed: !!event.removed
+  };
+}
+
+/**
+ * Formats an event's day and times in a timezone for its description
+ * @param {Object} event The event
+ * @param {string} timeZone The timezone ID
+ * @return {string} e.g. "Tue Mar 3, 4:00 PM - 5:00 PM"
+ */
+function _formatIcsTimeRange(event, timeZone) {
+  const start = new Date(event.start);
+  return `${formatDate(start, 'EEE MMM d', timeZone)}, ${formatTimeValue(start, timeZone)} - ` +
+    formatTimeValue(new Date(event.end), timeZone);
+}
+
+/**
+ * Formats a timestamp as an RFC 5545 UTC date-time
+ * @param {number} timestamp Milliseconds since the epoch
+ * @return {string} e.g. 20250101T150000Z
+ */
+function _formatIcsDateTime(timestamp) {
+  return Utilities.formatDate(new Date(timestamp), 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text The text
+ * @return {string} The escaped text
+ */
+function _escapeIcsText(text) {
+  return text.toString()
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets (RFC 5545 section 3.1)
+ * @param {string} line The unfolded line
+ * @return {string} The folded line
+ */
+function _foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const code = char.codePointAt(0);
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' '; // Continuation lines start with a space
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+}
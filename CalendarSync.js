@@ -0,0 +1,323 @@
+//CalendarSync.gs - Two-way sync between confirmed Schedule sessions and Google Calendar
+
+/**
+ * Configuration constants
+ */
+const CALENDAR_EVENT_ID_HEADER = 'Calendar Event ID';
+const CALENDAR_SYNC_COLUMNS = [1, 2, 3, 5, 6, 7, 8, 10]; // Date, Start, End, Title, Lead, Location, Status, Notes
+const CALENDAR_LEAD_GUESTS_TAG = 'eventPlannerLeadGuests'; // Guests added by the sync, so they can be removed again
+const CALENDAR_SYNCED_TIMES_TAG = 'eventPlannerSyncedTimes'; // Start and end last written by the sync, to tell which side moved
+
+/**
+ * Pushes every confirmed session to the event calendar and pulls back times moved in Calendar
+ * Called from the Event Planner Setup menu
+ */
+function syncCalendar() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Schedule');
+
+  if (!sheet) {
+    ui.alert('Error', 'Schedule sheet not found.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const calendar = getEventCalendar(ss);
+    const pulled = pullCalendarChanges(ss, calendar);
+    const pushed = pushSessionsToCalendar(ss, calendar, pulled.conflictRows);
+
+    if (pulled.moved.length > 0) {
+      refreshScheduleConflicts(false);
+    }
+
+    let message = `Calendar: ${calendar.getName()}\n\n` +
+      `Created ${pushed.created}, updated ${pushed.updated} and removed ${pushed.removed} calendar event(s).\n` +
+      `Pulled ${pulled.moved.length} time change(s) back into the Schedule.`;
+    if (pulled.moved.length > 0) {
+      message += '\n\nMoved in Calendar:\n' + pulled.moved.join('\n');
+    }
+    if (pulled.missing.length > 0) {
+      message += '\n\nDeleted in Calendar (recreated from the Schedule):\n' + pulled.missing.join('\n');
+    }
+    if (pulled.conflicts.length > 0) {
+      message += '\n\nMoved in both the Schedule and Calendar (left as they are - give both the same time, then sync again):\n' +
+        pulled.conflicts.join('\n');
+    }
+
+    ui.alert('Calendar Sync', message, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`Error syncing calendar: ${error}`);
+    ui.alert('Error', `Calendar sync failed: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Installable edit trigger: keeps the calendar in step with Schedule edits.
+ * Calendar access needs authorization, so this cannot run from the simple onEdit trigger;
+ * it is switched on from the Manage Automations sidebar.
+ * @param {Object} e The edit event object
+ */
+function syncScheduleEditToCalendar(e) {
+  if (!e || !e.range) return;
+
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== 'Schedule') return;
+
+  const firstCol = e.range.getColumn();
+  const lastCol = firstCol + e.range.getNumColumns() - 1;
+  if (!CALENDAR_SYNC_COLUMNS.some(col => col >= firstCol && col <= lastCol)) return;
+
+  try {
+    const ss = sheet.getParent();
+    const calendar = getEventCalendar(ss);
+    const contacts = getPeopleContacts(ss);
+    const firstRow = Math.max(2, e.range.getRow());
+    const lastRow = e.range.getRow() + e.range.getNumRows() - 1;
+    const rows = [];
+    for (let row = firstRow; row <= lastRow; row++) rows.push(row);
+
+    // A time edit may have shifted the rest of the day (RippleReschedule.gs), and those
+    // script writes fire no trigger of their own. Rows not shifted yet are left for Sync Calendar.
+    if (rows.length === 1 && (firstCol === 2 || firstCol === 3) && lastCol === firstCol &&
+        getRippleMode(ss) !== RIPPLE_MODE_OFF) {
+      const dates = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues();
+      const edited = dates[firstRow - 1][0];
+      if (edited instanceof Date) {
+        const day = _startOfDay(edited).getTime();
+        dates.forEach((values, index) => {
+          const row = index + 1;
+          if (row > 1 && row !== firstRow && values[0] instanceof Date && _startOfDay(values[0]).getTime() === day) {
+            rows.push(row);
+          }
+        });
+      }
+    }
+
+    const changes = [];
+    rows.forEach(row => {
+      const change = syncSessionRowToCalendar(sheet, row, calendar, contacts);
+      if (change) changes.push(change);
+    });
+
+    if (changes.length > 0) {
+      ss.toast(changes.join('\n'), 'Calendar Updated', 5);
+    }
+    recordAutomationRun('syncScheduleEditToCalendar');
+  } catch (error) {
+    Logger.log(`Error in syncScheduleEditToCalendar: ${error}`);
+    recordAutomationRun('syncScheduleEditToCalendar', error);
+  }
+}
+
+/**
+ * Creates, updates or removes the calendar event for every Schedule row
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {GoogleAppsScript.Calendar.Calendar} calendar The event calendar
+ * @param {Array} skipRows Row numbers to leave alone, such as sessions moved on both sides
+ * @return {Object} Counts of created, updated and removed events
+ */
+function pushSessionsToCalendar(ss, calendar, skipRows) {
+  const sheet = ss.getSheetByName('Schedule');
+  const contacts = getPeopleContacts(ss);
+  const counts = { created: 0, updated: 0, removed: 0 };
+
+  for (let row = 2; row <= sheet.getLastRow(); row++) {
+    if (skipRows && skipRows.indexOf(row) !== -1) continue;
+    const change = syncSessionRowToCalendar(sheet, row, calendar, contacts);
+    if (!change) continue;
+    if (change.indexOf('Added') === 0) counts.created++;
+    else if (change.indexOf('Removed') === 0) counts.removed++;
+    else counts.updated++;
+  }
+
+  return counts;
+}
+
+/**
+ * Brings one Schedule row and its calendar event into line.
+ * Confirmed sessions get an event (Lead as guest); any other status removes it.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @param {number} row The row number
+ * @param {GoogleAppsScript.Calendar.Calendar} calendar The event calendar
+ * @param {Object} contacts People contacts from getPeopleContacts()
+ * @return {string|null} A description of the change, or null if nothing changed
+ */
+function syncSessionRowToCalendar(sheet, row, calendar, contacts) {
+  const idCol = _ensureColumn(sheet, CALENDAR_EVENT_ID_HEADER, 120);
+  const values = sheet.getRange(row, 1, 1, Math.max(idCol, 10)).getValues()[0];
+  const session = _getCalendarSession(values);
+  const eventId = values[idCol - 1] ? values[idCol - 1].toString() : '';
+  const event = eventId ? calendar.getEventById(eventId) : null;
+  const idCell = sheet.getRange(row, idCol);
+
+  // Only confirmed sessions with a usable date and time belong on the calendar
+  if (!session || session.status !== 'Confirmed') {
+    if (!eventId) return null;
+    if (event) event.deleteEvent();
+    idCell.clearContent();
+    return `Removed "${values[4] || 'Untitled'}" (${values[7] || 'no status'})`;
+  }
+
+  const leadEmails = session.leads
+    .map(lead => contacts[lead.toLowerCase()])
+    .filter(contact => contact && contact.email)
+    .map(contact => contact.email.toLowerCase());
+
+  if (!event) {
+    const created = calendar.createEvent(session.title, session.start, session.end, {
+      location: session.location,
+      description: session.description,
+      guests: leadEmails.join(','),
+      sendInvites: true
+    });
+    created.setTag(CALENDAR_LEAD_GUESTS_TAG, leadEmails.join(','));
+    created.setTag(CALENDAR_SYNCED_TIMES_TAG, _calendarTimesKey(session.start, session.end));
+    idCell.setValue(created.getId());
+    return `Added "${session.title}"`;
+  }
+
+  let changed = false;
+  if (event.getStartTime().getTime() !== session.start.getTime() ||
+      event.getEndTime().getTime() !== session.end.getTime()) {
+    event.setTime(session.start, session.end);
+    changed = true;
+  }
+  if (event.getTitle() !== session.title) {
+    event.setTitle(session.title);
+    changed = true;
+  }
+  if (event.getLocation() !== session.location) {
+    event.setLocation(session.location);
+    changed = true;
+  }
+  if (event.getDescription() !== session.description) {
+    event.setDescription(session.description);
+    changed = true;
+  }
+
+  // Swap out Leads that were added by an earlier sync, leaving other guests alone
+  const previousEmails = (event.getTag(CALENDAR_LEAD_GUESTS_TAG) || '').split(',').filter(email => email);
+  const guestEmails = event.getGuestList().map(guest => guest.getEmail().toLowerCase());
+  previousEmails.filter(email => leadEmails.indexOf(email) === -1).forEach(email => {
+    event.removeGuest(email);
+    changed = true;
+  });
+  leadEmails.filter(email => guestEmails.indexOf(email) === -1).forEach(email => {
+    event.addGuest(email);
+    changed = true;
+  });
+  event.setTag(CALENDAR_LEAD_GUESTS_TAG, leadEmails.join(','));
+  event.setTag(CALENDAR_SYNCED_TIMES_TAG, _calendarTimesKey(session.start, session.end));
+
+  return changed ? `Updated "${session.title}"` : null;
+}
+
+/**
+ * Copies start and end times that were moved in Calendar back into the Schedule.
+ * Each event is tagged with the times the sync last wrote, so a session moved only in
+ * the Schedule is left for the push; one moved on both sides is reported, not overwritten.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {GoogleAppsScript.Calendar.Calendar} calendar The event calendar
+ * @return {Object} Descriptions of the moved, missing and conflicting sessions, and the conflicting row numbers
+ */
+function pullCalendarChanges(ss, calendar) {
+  const sheet = ss.getSheetByName('Schedule');
+  const idCol = _ensureColumn(sheet, CALENDAR_EVENT_ID_HEADER, 120);
+  const result = { moved: [], missing: [], conflicts: [], conflictRows: [] };
+  if (sheet.getLastRow() <= 1) return result;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Math.max(idCol, 10)).getValues();
+
+  data.forEach((values, index) => {
+    const eventId = values[idCol - 1] ? values[idCol - 1].toString() : '';
+    const session = _getCalendarSession(values);
+    if (!eventId || !session || session.status !== 'Confirmed') return;
+
+    const row = index + 2;
+    const event = calendar.getEventById(eventId);
+    if (!event) {
+      result.missing.push(`Row ${row}: ${session.title}`);
+      sheet.getRange(row, idCol).clearContent();
+      return;
+    }
+
+    const start = event.getStartTime();
+    const end = event.getEndTime();
+    const eventTimes = _calendarTimesKey(start, end);
+    const sheetTimes = _calendarTimesKey(session.start, session.end);
+    const syncedTimes = event.getTag(CALENDAR_SYNCED_TIMES_TAG);
+    if (eventTimes === sheetTimes || eventTimes === syncedTimes) return;
+
+    // Events from before the tag existed count as moved on both sides: neither can be trusted
+    if (sheetTimes !== syncedTimes) {
+      result.conflicts.push(`Row ${row}: ${session.title} - Schedule ${formatDate(session.start)} ` +
+        `${formatTimeValue(session.start)}-${formatTimeValue(session.end)}, Calendar ${formatDate(start)} ` +
+        `${formatTimeValue(start)}-${formatTimeValue(end)}`);
+      result.conflictRows.push(row);
+      return;
+    }
+
+    // Duration holds a static value once the row has been edited, so it is rewritten too
+    const minutes = Math.round((end.getTime() - start.getTime()) / 60000);
+    sheet.getRange(row, 1, 1, 4).setValues([[_startOfDay(start), formatTimeValue(start), formatTimeValue(end),
+      formatDurationMinutes(minutes)]]);
+    result.moved.push(`Row ${row}: ${session.title} -> ${formatDate(start)} ${formatTimeValue(start)}-${formatTimeValue(end)}`);
+  });
+
+  return result;
+}
+
+/**
+ * Writes a start and end as the value kept in the synced times event tag
+ * @param {Date} start The start
+ * @param {Date} end The end
+ * @return {string} The tag value
+ */
+function _calendarTimesKey(start, end) {
+  return `${start.getTime()}-${end.getTime()}`;
+}
+
+/**
+ * Opens the calendar named by the Config "Event Calendar ID", or the user's default calendar
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Calendar.Calendar} The event calendar
+ */
+function getEventCalendar(ss) {
+  const calendarId = _getConfigValue(ss, 'Event Calendar ID', '').toString().trim();
+  if (!calendarId) return CalendarApp.getDefaultCalendar();
+
+  const calendar = CalendarApp.getCalendarById(calendarId);
+  if (!calendar) {
+    throw new Error(`Calendar "${calendarId}" was not found or you do not have access to it. Check the Event Calendar ID in the Config sheet.`);
+  }
+  return calendar;
+}
+
+/**
+ * Reads the calendar fields from a Schedule row
+ * @param {Array} values The row values
+ * @return {Object|null} Session with title, start, end, leads, location, status and description
+ */
+function _getCalendarSession(values) {
+  const startTime = parseTimeString(values[1]);
+  const endTime = parseTimeString(values[2]);
+  if (!(values[0] instanceof Date) || !startTime || !endTime) return null;
+
+  const start = _combineDateAndTime(values[0], startTime);
+  let end = _combineDateAndTime(values[0], endTime);
+  if (end <= start) end = addDays(end, 1); // Runs past midnight
+
+  const leads = values[5] ? values[5].toString().split(/,|&|\band\b/).map(name => name.trim()).filter(name => name) : [];
+  const notes = values[9] ? values[9].toString() : '';
+
+  return {
+    title: values[4] ? values[4].toString() : 'Untitled Session',
+    start: start,
+    end: end,
+    leads: leads,
+    location: values[6] ? values[6].toString() : '',
+    status: values[7] ? values[7].toString() : '',
+    description: [leads.length ? `Lead: ${leads.join(', ')}` : '', notes].filter(text => text).join('\n')
+  };
+}
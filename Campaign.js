@@ -0,0 +1,230 @@
+//Campaign.gs - Mail-merge campaigns from the Config email templates
+
+/**
+ * Configuration constants
+ */
+const CAMPAIGNS_SENT_HEADER = 'Campaigns Sent';
+
+/**
+ * Shows the Send Campaign dialog
+ * Called from the Event Planner Setup menu
+ */
+function showCampaignDialog() {
+  const html = HtmlService.createHtmlOutputFromFile('CampaignDialog')
+    .setWidth(640)
+    .setHeight(600);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Send Campaign');
+}
+
+/**
+ * Returns the templates and People filters offered in the dialog
+ * Called from CampaignDialog.html via google.script.run
+ * @return {Object} Object with templates, categories and statuses
+ */
+function getCampaignOptions() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lists = _getConfigLists(ss);
+
+  // Every Config key ending in "Template" is a campaign template
+  const templates = [];
+  const configSheet = ss.getSheetByName('Config');
+  if (configSheet && configSheet.getLastRow() > 1) {
+    configSheet.getRange(2, 1, configSheet.getLastRow() - 1, 1).getValues().forEach(row => {
+      const key = row[0] ? row[0].toString().trim() : '';
+      if (key && /template$/i.test(key)) templates.push(key);
+    });
+  }
+
+  // Offer the Config lists plus any values already used in the People sheet
+  const categories = new Set(lists['People Categories'] || []);
+  const statuses = new Set(lists['People Statuses'] || []);
+  getCampaignPeople(ss).forEach(person => {
+    if (person.category) categories.add(person.category);
+    if (person.status) statuses.add(person.status);
+  });
+
+  return {
+    templates: templates,
+    categories: Array.from(categories),
+    statuses: Array.from(statuses)
+  };
+}
+
+/**
+ * Renders the campaign for every matching person without sending anything
+ * Called from CampaignDialog.html via google.script.run
+ * @param {Object} options Object with templateName, campaignName, category and status
+ * @return {Object} Object with the rendered messages and recipient counts
+ */
+function previewCampaign(options) {
+  const messages = buildCampaignMessages(options);
+
+  return {
+    messages: messages,
+    sendCount: messages.filter(message => !message.skipReason).length,
+    skipCount: messages.filter(message => message.skipReason).length
+  };
+}
+
+/**
+ * Sends the campaign to every matching person who has not already received it
+ * Called from CampaignDialog.html via google.script.run
+ * @param {Object} options Object with templateName, campaignName, category and status
+ * @return {Object} Object with sent, failed and skipped counts
+ */
+function sendCampaign(options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const peopleSheet = ss.getSheetByName('People');
+  if (!peopleSheet) throw new Error('People sheet not found.');
+
+  const messages = buildCampaignMessages(options);
+  const campaignName = getCampaignName(options);
+  const sentCol = _ensureColumn(peopleSheet, CAMPAIGNS_SENT_HEADER, 250);
+  const timestamp = formatDate(new Date(), 'yyyy-MM-dd HH:mm');
+
+  const result = { sent: 0, failed: 0, skipped: 0 };
+
+  messages.forEach(message => {
+    if (message.skipReason) {
+      result.skipped++;
+      return;
+    }
+
+    const sent = sendLoggedEmail({
+      to: message.email,
+      name: message.name,
+      subject: message.subject,
+      body: message.body,
+      type: 'Campaign',
+      reference: campaignName
+    });
+
+    if (!sent) {
+      result.failed++;
+      return;
+    }
+
+    // Record the campaign against the person so it is never sent twice
+    const cell = peopleSheet.getRange(message.row, sentCol);
+    const existing = cell.getValue() ? cell.getValue().toString() : '';
+    const entry = `${campaignName} @ ${timestamp}`;
+    cell.setValue(existing ? `${existing}\n${entry}` : entry);
+    result.sent++;
+  });
+
+  Logger.log(`Campaign "${campaignName}": ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped`);
+  return result;
+}
+
+/**
+ * Builds the rendered subject/body for every person matching the campaign filters
+ * @param {Object} options Object with templateName, campaignName, category and status
+ * @return {Array} Message objects with row, name, email, subject, body and skipReason
+ */
+function buildCampaignMessages(options) {
+  if (!options || !options.templateName) {
+    throw new Error('Please choose a template.');
+  }
+
+  const template = getEmailTemplate(options.templateName);
+  if (!template) {
+    throw new Error(`Template "${options.templateName}" not found in the Config sheet.`);
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const campaignName = getCampaignName(options);
+  const eventInfo = getEventInformation();
+
+  return getCampaignPeople(ss)
+    .filter(person => !options.category || person.category === options.category)
+    .filter(person => !options.status || person.status === options.status)
+    .map(person => {
+      const values = buildEmailTemplateValues(eventInfo, {
+        name: person.name,
+        email: person.email,
+        category: person.category,
+        role: person.role
+      });
+
+      let skipReason = '';
+      if (!person.email || person.email.indexOf('@') === -1) {
+        skipReason = 'No email address';
+      } else if (person.campaignsSent.indexOf(campaignName) !== -1) {
+        skipReason = 'Already received this campaign';
+      }
+
+      return {
+        row: person.row,
+        name: person.name,
+        email: person.email,
+        subject: renderEmailTemplate(template.subject, values),
+        body: renderEmailTemplate(template.body, values),
+        skipReason: skipReason
+      };
+    });
+}
+
+/**
+ * Reads everyone in the People sheet along with the campaigns they have received
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Person objects with row, name, category, role, status, email and campaignsSent
+ */
+function getCampaignPeople(ss) {
+  const peopleSheet = ss.getSheetByName('People');
+  if (!peopleSheet) return [];
+
+  const data = peopleSheet.getDataRange().getValues();
+  if (data.length <= 1) return [];
+
+  const headers = data[0];
+  const nameIndex = findColumnIndex(headers, 'name');
+  const categoryIndex = findColumnIndex(headers, 'category');
+  const roleIndex = findColumnIndex(headers, 'role/position');
+  const statusIndex = findColumnIndex(headers, 'status');
+  const emailIndex = findColumnIndex(headers, 'email');
+  const sentIndex = findColumnIndex(headers, CAMPAIGNS_SENT_HEADER);
+
+  const people = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (nameIndex === -1 || !row[nameIndex]) continue;
+
+    people.push({
+      row: i + 1,
+      name: row[nameIndex].toString().trim(),
+      category: categoryIndex !== -1 ? row[categoryIndex].toString() : '',
+      role: roleIndex !== -1 ? row[roleIndex].toString() : '',
+      status: statusIndex !== -1 ? row[statusIndex].toString() : '',
+      email: emailIndex !== -1 ? row[emailIndex].toString().trim() : '',
+      campaignsSent: sentIndex !== -1 ? parseCampaignsSent(row[sentIndex]) : []
+    });
+  }
+
+  return people;
+}
+
+/**
+ * Parses the "Campaigns Sent" cell into a list of campaign names
+ * Each line has the form "Campaign Name @ yyyy-MM-dd HH:mm"
+ * @param {string} value The cell value
+ * @return {Array} Campaign names
+ */
+function parseCampaignsSent(value) {
+  if (!value) return [];
+  return value.toString()
+    .split('\n')
+    .map(line => {
+      const separator = line.lastIndexOf(' @ ');
+      return (separator === -1 ? line : line.substring(0, separator)).trim();
+    })
+    .filter(name => name);
+}
+
+/**
+ * Returns the campaign name, defaulting to the template name
+ * @param {Object} options Object with templateName and campaignName
+ * @return {string} The campaign name
+ */
+function getCampaignName(options) {
+  return (options.campaignName || options.templateName).toString().trim();
+}
@@ -2,8 +2,9 @@
 /**
  * Creates and populates the Config sheet with default configuration values.
  * This function can be run once to initialize the Config sheet or to reset it to defaults.
+ * @param {boolean} silent Skip the completion alert (used by the Quick Event Setup wizard)
  */
-function setupConfigSheet() {
+function setupConfigSheet(silent) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let configSheet = ss.getSheetByName('Config');
   
@@ -56,7 +57,27 @@ function setupConfigSheet() {
     // Email templates with no special formatting
     ["InviteTemplate", "Invitation: {{name}} for [EVENT NAME]", "Hi {{name}},\n\nYou are invited to [EVENT NAME]!\n\n[Add event details like date, time, location.]\n\nPlease RSVP by [RSVP Date].\n\nMore info here: [Link]\n\nBest regards,\n[Your Name/Org]"],
     ["ReminderTemplate", "Reminder: [EVENT NAME] is coming up!", "Hi {{name}},\n\nJust a friendly reminder about the upcoming event: [EVENT NAME] on [Date] at [Time].\n\nLocation: [Location]\n\nWe look forward to seeing you!\n\nBest regards,\n[Your Name/Org]"],
-    ["ThankYouTemplate", "Thank You for Attending [EVENT NAME]!", "Hi {{name}},\n\nThank you for attending [EVENT NAME]!\n\nWe hope you enjoyed it. [Optional: Add link to slides, photos, feedback survey, etc.]\n\nBest regards,\n[Your Name/Org]"]
+    ["ThankYouTemplate", "Thank You for Attending [EVENT NAME]!", "Hi {{name}},\n\nThank you for attending [EVENT NAME]!\n\nWe hope you enjoyed it. [Optional: Add link to slides, photos, feedback survey, etc.]\n\nBest regards,\n[Your Name/Org]"],
+    // Overdue task escalation
+    ["Overdue Escalation (days)", "3", ""],
+    ["Escalate Overdue To", "Manager", ""],
+    ["Event Lead", "", ""],
+    // Schedule generation
+    ["Schedule Mode", "Single Track", ""],
+    ["Event Calendar ID", "", ""],
+    ["Ripple Mode", "Off", ""],
+    ["Meal Breaks", "Lunch 12:00 PM-1:00 PM", ""],
+    ["Break Between Sessions (mins)", "10", ""],
+    ["Availability Enforcement", "Warn", ""],
+    ["Event Timezone", ss.getSpreadsheetTimeZone(), ""],
+    // AI provider used by the schedule and task generators
+    ["AI Provider", "OpenAI", ""],
+    ["AI Base URL", "", ""],
+    ["AI API Key", "", ""],
+    ["AI Model", "", ""],
+    ["AI Temperature", "0.7", ""],
+    ["AI Max Tokens", "4000", ""],
+    ["AI Repair Attempts", "2", ""]
   ];
   
   // Insert the configuration data
@@ -88,7 +109,7 @@ function setupConfigSheet() {
   configSheet.setFrozenRows(1);
   
   // Add note to OpenAI API Key cell
-  configSheet.getRange(15, 2).setNote('Enter your OpenAI API key here. It will be used for AI functionality.');
+  configSheet.getRange(15, 2).setNote('Enter your OpenAI API key here. It is only sent to api.openai.com; other providers use the AI API Key row.');
   
   // Add notes to form URL cells
   const formNoteText = 'This cell will store the Google Form URL after it is created. Do not modify manually.';
@@ -99,11 +120,51 @@ function setupConfigSheet() {
   configSheet.getRange(2, 2, configData.length, 1).setHorizontalAlignment('left'); // Values left-aligned
   configSheet.getRange(2, 3, configData.length, 1).setHorizontalAlignment('left'); // Body left-aligned
   
+  // Explain the escalation settings
+  configSheet.getRange(findRowByValue(configSheet, 'Overdue Escalation (days)'), 2)
+    .setNote('Days a task can be overdue before it is escalated. Leave blank or 0 to turn escalation off.');
+  configSheet.getRange(findRowByValue(configSheet, 'Escalate Overdue To'), 2)
+    .setNote('"Manager" emails the Manager listed for the owner in the People sheet, falling back to the Event Lead. "Event Lead" always emails the Event Lead.');
+  configSheet.getRange(findRowByValue(configSheet, 'Event Lead'), 2)
+    .setNote('Name of the event lead as listed in the People sheet.');
+  configSheet.getRange(findRowByValue(configSheet, 'Location List'), 2)
+    .setNote('Room names used until the Rooms sheet exists. Set Up Rooms copies them into the Rooms sheet, which then drives the Location dropdown.');
+  configSheet.getRange(findRowByValue(configSheet, 'Schedule Mode'), 2)
+    .setNote('"Single Track" generates one session at a time. "Multi-Track" runs breakout sessions in parallel across the Location List rooms.');
+  configSheet.getRange(findRowByValue(configSheet, 'Event Calendar ID'), 2)
+    .setNote('Calendar that confirmed sessions are synced to (Calendar settings > Integrate calendar > Calendar ID). Leave blank to use your default calendar.');
+  configSheet.getRange(findRowByValue(configSheet, 'Ripple Mode'), 2)
+    .setNote('When a session\'s start or end time changes: "Off" moves nothing else, "Same Location" shifts the later sessions that day in the same location, "Whole Day" shifts every later session that day.');
+  configSheet.getRange(findRowByValue(configSheet, 'Meal Breaks'), 2)
+    .setNote('Breaks kept free in every room by Build Schedule (No AI), e.g. "Lunch 12:00 PM-1:00 PM, Coffee 3:00 PM-3:15 PM".');
+  configSheet.getRange(findRowByValue(configSheet, 'Break Between Sessions (mins)'), 2)
+    .setNote('Minimum gap Build Schedule (No AI) leaves between sessions in the same room or with the same Lead.');
+  configSheet.getRange(findRowByValue(configSheet, 'Availability Enforcement'), 2)
+    .setNote('What happens when a Schedule Lead is outside their Availability in the People sheet: "Warn" shows a message, "Reject" puts the Lead back to its previous value.');
+  configSheet.getRange(findRowByValue(configSheet, 'Event Timezone'), 2)
+    .setNote('Where the event takes place, e.g. "America/New_York" or "Europe/Berlin". Schedule dates and times, reminders and calendar exports all follow it, and the spreadsheet\'s own timezone is switched to match.');
+  configSheet.getRange(findRowByValue(configSheet, 'AI Provider'), 2)
+    .setNote(`Who runs the AI generators: ${Object.keys(LLM_PROVIDERS).join(', ')}. "OpenAI-Compatible" is any server with the OpenAI chat completions API, such as a self-hosted Ollama, LM Studio or vLLM.`);
+  configSheet.getRange(findRowByValue(configSheet, 'AI Base URL'), 2)
+    .setNote('API address, e.g. "http://localhost:11434/v1" for Ollama. Leave blank for the provider\'s own API (required for OpenAI-Compatible).');
+  configSheet.getRange(findRowByValue(configSheet, 'AI API Key'), 2)
+    .setNote('Key for Anthropic, Gemini, an OpenAI-Compatible server or OpenAI at a custom AI Base URL. Self-hosted servers can leave it blank. It can also be saved to Script Properties as AI_API_KEY.');
+  configSheet.getRange(findRowByValue(configSheet, 'AI Model'), 2)
+    .setNote('Model name as the provider spells it, e.g. "gpt-4o-mini", "claude-3-5-haiku-latest", "gemini-1.5-flash" or "llama3.1". Leave blank for the provider\'s default.');
+  configSheet.getRange(findRowByValue(configSheet, 'AI Temperature'), 2)
+    .setNote('0 gives the most predictable output, higher values more varied output.');
+  configSheet.getRange(findRowByValue(configSheet, 'AI Max Tokens'), 2)
+    .setNote('Longest reply the model may write. Large multi-day schedules need more.');
+  configSheet.getRange(findRowByValue(configSheet, 'AI Repair Attempts'), 2)
+    .setNote('How many times a generated schedule or task list that breaks the rules (missing fields, wrong formats, unknown rooms or categories) is sent back to the model with the problems listed. 0 keeps only the valid items of the first reply.');
+  
   // Format units for numerical values
   configSheet.getRange(14, 2).setNumberFormat('0.00'); // Default Food Rate
   
   // Alert the user
-  SpreadsheetApp.getUi().alert('Config sheet has been set up with default values.');
+  if (!silent) {
+    SpreadsheetApp.getUi().alert('Config sheet has been set up with default values.');
+  }
   
   return configSheet;
 }
@@ -111,8 +172,9 @@ function setupConfigSheet() {
 /**
  * Updates all dropdowns across all sheets in a single operation.
  * This function centralizes dropdown management for all sheets.
+ * @param {boolean} silent Skip the summary alert (used by the Quick Event Setup wizard)
  */
-function updateAllDropdowns() {
+function updateAllDropdowns(silent) {
   // Get spreadsheet once and reuse
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const lists = _getConfigLists(ss);
@@ -164,7 +226,9 @@ function updateAllDropdowns() {
     ? "Updated dropdowns for: " + updatedElements.join(", ")
     : "No dropdowns needed updating";
     
-  SpreadsheetApp.getUi().alert('All Dropdowns Updated', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  if (!silent) {
+    SpreadsheetApp.getUi().alert('All Dropdowns Updated', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
   Logger.log(message);
 }
 
@@ -281,30 +345,12 @@ function updateTaskManagementDropdowns(ss, sheets, rowCounts) {
     }
   }
   
-  // Fetch session titles from Schedule sheet for Related Session dropdown
+  // Related Session lists sessions by Session ID; this also refreshes the Cue Builder
+  // dropdown and brings existing references up to date with renamed sessions
   const scheduleSheet = sheets.schedule;
-  if (scheduleSheet) {
-    const lastScheduleRow = scheduleSheet.getLastRow();
-    if (lastScheduleRow > 1) {
-      // Get all session titles from row 2 to last row - properly excludes header
-      const dataRowCount = lastScheduleRow - 1; // Exclude header row
-      const sessionRange = scheduleSheet.getRange(2, 5, dataRowCount, 1);
-      const sessionValues = sessionRange.getValues();
-      
-      // Filter non-empty session titles
-      const allSessions = sessionValues
-        .filter(row => row[0])
-        .map(row => row[0]);
-      
-      if (allSessions.length > 0) {
-        const sessionRule = SpreadsheetApp.newDataValidation()
-          .requireValueInList(allSessions, true)
-          .build();
-        // Related Session is column 9 in Task Management sheet - apply to data rows only
-        taskSheet.getRange(2, 9, numRows).setDataValidation(sessionRule);
-        updated.push("Related Session");
-      }
-    }
+  if (scheduleSheet && Object.keys(ensureSessionIds(ss)).length > 0) {
+    refreshSessionReferences(ss);
+    updated.push("Related Session");
   }
   
   return updated;
@@ -8,16 +8,34 @@ function onOpen() {
   
   // Create the Event Planner Setup menu with updated order
     ui.createMenu('Event Planner Setup')
+      .addItem('Quick Event Setup', 'showQuickEventSetup')
+      .addSeparator()
       .addItem('Update Dashboard', 'setupDashboard')
       .addSeparator()
       .addItem('Generate AI Tasks', 'generateAITasksWithSchedule')
+      .addItem('Check Task Dependencies', 'validateTaskDependencies')
+      .addItem('Generate Timeline', 'generateTimeline')
       .addItem('Generate Preliminary Schedule', 'generatePreliminarySchedule')
+      .addItem('Build Schedule (No AI)', 'buildScheduleFromBacklog')
+      .addItem('Set Up Rooms', 'setupRoomsCatalog')
+      .addItem('Set Up Event Days', 'setupEventDays')
+      .addItem('Check Schedule Conflicts', 'checkScheduleConflicts')
+      .addItem('Generate Schedule Grid', 'generateScheduleGrid')
+      .addItem('Export Calendar (.ics)', 'exportScheduleToIcs')
+      .addItem('Sync Google Calendar', 'syncCalendar')
     .addSeparator()
     .addItem('Create/Reset Cue Builder Sheet', 'setupCueBuilderSheet') // <-- New
     .addItem('Generate Professional Cue Sheet', 'generateProfessionalCueSheet') // <-- Updated
     .addSeparator()
       .addItem('Generate Google Forms', 'showFormGeneratorDialog')
+      .addItem('Update Registration Form', 'updateRegistrationForm')
+      .addItem('Edit Availability', 'showAvailabilitySidebar')
+      .addItem('Send Campaign', 'showCampaignDialog')
+      .addItem('Manage Automations', 'showAutomationsSidebar')
       .addItem('Update All Dropdowns', 'updateAllDropdowns')
+    .addSeparator()
+      .addItem('Undo Last Generator Run', 'undoLastGeneratorRun')
+      .addItem('Restore a Snapshot...', 'showSnapshotsDialog')
           .addSubMenu(SpreadsheetApp.getUi().createMenu('Tutorial System')
         .addItem('Create Tutorial Overlays', 'createFullTutorialSystem')
         .addItem('Remove Tutorial Overlays', 'removeTutorialSystem'))
@@ -62,6 +80,21 @@ function onEdit(e) {
     handleSessionStatusChange(e);
   }
   
+  // Keep the Location dropdown and room warnings in step with the Rooms sheet
+  if (sheetName === ROOMS_SHEET_NAME) {
+    handleRoomsEdit(e);
+  }
+  
+  // Re-check the Schedule against changed day hours
+  if (sheetName === EVENT_DAYS_SHEET_NAME) {
+    handleEventDaysEdit(e);
+  }
+  
+  // Apply a new Event Timezone to the spreadsheet
+  if (sheetName === 'Config') {
+    handleEventTimeZoneEdit(e);
+  }
+  
   // Handle People sheet edits for speaker task creation
   if (sheetName === 'People') {
     handlePeopleSheetEdit(e);
@@ -69,6 +102,9 @@ function onEdit(e) {
   
   // Handle Task Management sheet edits
   if (sheetName === 'Task Management') {
+    // Validate dependencies, cascade due dates, and guard In Progress
+    handleTaskDependencyEdit(e);
+    
     // Get column number of the edit
     const col = e.range.getColumn();
     
@@ -109,11 +145,7 @@ function _findRow(sheet, label) {
  * @return {string} Formatted date string
  */
 function _getTodayString() {
-  const today = new Date();
-  const yyyy = today.getFullYear();
-  const mm = String(today.getMonth() + 1).padStart(2, '0');
-  const dd = String(today.getDate()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}`;
+  return formatDate(new Date());
 }
 
 /**
@@ -179,6 +211,24 @@ function _getConfigLists(ss) {
   return lists;
 }
 
+/**
+ * Reads a single value from column B of the Config sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {string} key The key in column A
+ * @param {*} defaultValue Value returned when the key is missing or blank
+ * @return {*} The Config value, or defaultValue
+ */
+function _getConfigValue(ss, key, defaultValue) {
+  const config = ss.getSheetByName('Config');
+  if (!config) return defaultValue;
+  
+  const row = findRowByValue(config, key);
+  if (!row) return defaultValue;
+  
+  const value = config.getRange(row, 2).getValue();
+  return value === '' || value === null ? defaultValue : value;
+}
+
 /**
  * Gets a sheet by name, logs error if not found.
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The active spreadsheet.
@@ -245,8 +295,34 @@ function _getColumnsIndices(headers, requiredCols) {
   return allFound ? indices : null;
 }
 
+/**
+ * Finds a column by header (case-insensitive), adding it after the last column if missing.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet
+ * @param {string} header The header text
+ * @param {number} width Column width for a newly added column (optional)
+ * @return {number} The 1-based column number
+ */
+function _ensureColumn(sheet, header, width) {
+  const lastCol = sheet.getLastColumn();
+  const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+  const index = findColumnIndex(headers, header);
+  if (index !== -1) return index + 1;
+  
+  const newCol = lastCol + 1;
+  sheet.getRange(1, newCol).setValue(header)
+    .setBackground('#4a86e8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+  if (width) sheet.setColumnWidth(newCol, width);
+  
+  return newCol;
+}
+
 /**
  * Handles a session status change to "Confirmed" in the Schedule sheet.
+ * The calendar event itself is created by syncScheduleEditToCalendar (CalendarSync.gs),
+ * which runs as an installable trigger because simple triggers cannot use Calendar.
  * @param {Object} e The edit event object
  */
 function handleSessionStatusChange(e) {
@@ -277,14 +353,13 @@ function handleSessionStatusChange(e) {
     // Format the date and time for display
     let dateStr = '';
     if (sessionDate instanceof Date) {
-      const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-      dateStr = sessionDate.toLocaleDateString(undefined, options);
+      dateStr = formatDate(sessionDate, 'EEEE, MMMM d, yyyy');
     }
     
     // Show a confirmation message
     const message = `Session "${sessionTitle}" is now confirmed:\n` + 
                     `Date: ${dateStr}\n` + 
-                    `Time: ${sessionTime}\n` + 
+                    `Time: ${formatTimeValue(sessionTime)}\n` + 
                     `Location: ${sessionLocation}\n` + 
                     `Lead: ${sessionLead || 'Not assigned'}`;
     
@@ -368,27 +443,27 @@ function createSessionReminders() {
   const lastRow = scheduleSheet.getLastRow();
   if (lastRow <= 1) return; // Only header row
   
+  // Session IDs let the reminders tell apart sessions that share a title
+  const sessions = ensureSessionIds(ss);
   const scheduleData = scheduleSheet.getRange(2, 1, lastRow - 1, 9).getValues();
+  Object.keys(sessions).forEach(id => {
+    scheduleData[sessions[id].row - 2].sessionId = id;
+  });
   
-  // Get today's date
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Set to midnight for date comparison
+  // Get today's date (midnight in the event timezone)
+  const today = _startOfDay(new Date());
   
   // Get configured look-ahead days from Config sheet (default to 2)
   const lookAheadDays = getLookAheadDays() || 2;
   
   // Calculate the future date to check for
-  const futureDate = new Date(today);
-  futureDate.setDate(today.getDate() + lookAheadDays);
+  const futureDate = addDays(today, lookAheadDays);
   
   // Filter for sessions happening on the future date
   const upcomingSessions = scheduleData.filter(row => {
     if (!row[0] || !(row[0] instanceof Date)) return false;
     
-    const sessionDate = new Date(row[0]);
-    sessionDate.setHours(0, 0, 0, 0); // Set to midnight for comparison
-    
-    return sessionDate.getTime() === futureDate.getTime();
+    return _startOfDay(row[0]).getTime() === futureDate.getTime();
   });
   
   // If there are upcoming sessions, show a notification
@@ -397,7 +472,7 @@ function createSessionReminders() {
     
     upcomingSessions.forEach((session, index) => {
       if (index < 5) { // Limit to showing 5 sessions in the notification
-        message += `• ${session[4]} at ${session[1]}\n`;
+        message += `• ${session[4]} at ${formatTimeValue(session[1])}${session.sessionId ? ` (${session.sessionId})` : ''}\n`;
       } else if (index === 5) {
         message += `• ... and ${upcomingSessions.length - 5} more\n`;
       }
@@ -408,9 +483,65 @@ function createSessionReminders() {
       `Upcoming Sessions - ${formatDate(futureDate)}`,
       10  // Show for 10 seconds
     );
+    
+    // Email each session Lead their sessions for that day
+    sendSessionReminderEmails(upcomingSessions, futureDate);
   }
 }
 
+/**
+ * Emails each session Lead a reminder listing their sessions on the given date
+ * Cancelled sessions and sessions without a Lead are skipped
+ * @param {Array} sessions Schedule rows (Date, Start, End, Duration, Title, Lead, Location, Status, ...),
+ *   each with a sessionId property when one has been assigned
+ * @param {Date} sessionDate The date the sessions take place
+ * @return {number} Number of reminder emails sent
+ */
+function sendSessionReminderEmails(sessions, sessionDate) {
+  const contacts = getPeopleContacts(SpreadsheetApp.getActiveSpreadsheet());
+  
+  // Group the sessions by Lead
+  const sessionsByLead = {};
+  sessions.forEach(session => {
+    const lead = session[5] ? session[5].toString().trim() : '';
+    if (!lead || session[7] === 'Cancelled') return;
+    
+    if (!sessionsByLead[lead]) sessionsByLead[lead] = [];
+    sessionsByLead[lead].push(session);
+  });
+  
+  let sentCount = 0;
+  
+  Object.keys(sessionsByLead).forEach(lead => {
+    const leadSessions = sessionsByLead[lead];
+    const contact = contacts[lead.toLowerCase()] || { name: lead, email: '' };
+    const firstSession = leadSessions[0];
+    
+    // Times in the event timezone, plus the Lead's own when they are somewhere else
+    const itemLines = leadSessions.map(session =>
+      `• ${session[4]}: ${formatSessionTimes(session[0], session[1], session[2], contact.timeZone)}` +
+      (session[6] ? ` (${session[6]})` : '') +
+      (session.sessionId ? ` [${session.sessionId}]` : ''));
+    
+    const sent = sendReminderEmail(
+      contact,
+      {
+        date: formatDate(sessionDate),
+        time: formatSessionTimes(firstSession[0], firstSession[1], null, contact.timeZone),
+        location: firstSession[6] || ''
+      },
+      itemLines,
+      'Session Reminder',
+      leadSessions.map(session => session.sessionId || session[4]).join(', ')
+    );
+    
+    if (sent) sentCount++;
+  });
+  
+  Logger.log(`Sent ${sentCount} session reminder emails`);
+  return sentCount;
+}
+
 /**
  * Gets the look-ahead days from Config sheet
  * @return {number} Number of days to look ahead (default 1)
@@ -459,28 +590,26 @@ function findRowByValue(sheet, value) {
   return null;
 }
 
-/**
- * Format a date as a user-friendly string
- * @param {Date} date The date to format
- * @return {string} Formatted date string
- */
-function formatDate(date) {
-  if (!date || !(date instanceof Date)) return '';
-  
-  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-  return date.toLocaleDateString(undefined, options);
-}
-
 /**
  * Trigger function to run automatically daily
- * Set this up using "Project triggers" in the Apps Script editor
+ * Turn it on or off from Event Planner Setup > Manage Automations
  */
 function dailyTrigger() {
-  // Run session reminders
-  createSessionReminders();
-  
-  // Check for upcoming tasks
-  createTaskReminders();
+  try {
+    // Run session reminders
+    createSessionReminders();
+    
+    // Check for upcoming tasks
+    createTaskReminders();
+    
+    // Flag overdue tasks and escalate the long-overdue ones
+    flagOverdueTasks();
+    
+    recordAutomationRun('dailyTrigger');
+  } catch (error) {
+    recordAutomationRun('dailyTrigger', error);
+    throw error;
+  }
 }
 
 /**
@@ -519,17 +648,22 @@ function createTaskReminders() {
   // Get reminder lead time from Config (default to 2 days)
   const reminderLeadTime = getReminderLeadTime() || 2;
   
-  // Get today's date
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Set to midnight for date comparison
+  // Get today's date (midnight in the event timezone)
+  const today = _startOfDay(new Date());
   
   // Calculate the future date to check for
-  const reminderDate = new Date(today);
-  reminderDate.setDate(today.getDate() + reminderLeadTime);
+  const reminderDate = addDays(today, reminderLeadTime);
+  
+  // Find the Owner and Task ID columns for the reminder emails
+  const ownerColIndex = headers.findIndex(header => 
+    header.toString().toLowerCase().trim() === 'owner');
+  const taskIdColIndex = headers.findIndex(header => 
+    header.toString().toLowerCase().trim() === 'task id');
+  const relatedColIndex = findColumnIndex(headers, 'Related Session');
+  const sessions = relatedColIndex !== -1 ? ensureSessionIds(ss) : {};
   
   // Find tasks due on the reminder date that haven't had reminders sent yet
   const tasksDue = [];
-  const tasksToUpdate = [];
   
   for (let i = 1; i < taskData.length; i++) {
     const row = taskData[i];
@@ -543,23 +677,25 @@ function createTaskReminders() {
     
     // Check if the task is due on the reminder date
     if (dueDate instanceof Date) {
-      const taskDueDate = new Date(dueDate);
-      taskDueDate.setHours(0, 0, 0, 0); // Set to midnight for comparison
-      
-      if (taskDueDate.getTime() === reminderDate.getTime()) {
-        tasksDue.push(taskName);
-        tasksToUpdate.push(i + 1); // Convert to 1-based row index
+      if (_startOfDay(dueDate).getTime() === reminderDate.getTime()) {
+        tasksDue.push({
+          name: taskName,
+          id: taskIdColIndex !== -1 ? row[taskIdColIndex] : '',
+          owner: ownerColIndex !== -1 && row[ownerColIndex] ? row[ownerColIndex].toString().trim() : '',
+          session: relatedColIndex !== -1 ? resolveSessionReference(row[relatedColIndex], sessions) : null,
+          rowIndex: i + 1 // Convert to 1-based row index
+        });
       }
     }
   }
   
-  // If there are tasks due, show a notification and update the Reminder Sent column
+  // If there are tasks due, show a notification and email each Owner
   if (tasksDue.length > 0) {
     let message = `Tasks due in ${reminderLeadTime} days (${formatDate(reminderDate)}):\n\n`;
     
     tasksDue.forEach((task, index) => {
       if (index < 5) { // Limit to showing 5 tasks in the notification
-        message += `• ${task}\n`;
+        message += `• ${task.name}\n`;
       } else if (index === 5) {
         message += `• ... and ${tasksDue.length - 5} more\n`;
       }
@@ -572,13 +708,71 @@ function createTaskReminders() {
       10  // Show for 10 seconds
     );
     
-    // Update the Reminder Sent column for all tasks
-    tasksToUpdate.forEach(rowIndex => {
+    // Only mark "Reminder Sent?" for tasks whose Owner email was delivered
+    const deliveredRows = sendTaskReminderEmails(tasksDue, reminderDate);
+    deliveredRows.forEach(rowIndex => {
       taskSheet.getRange(rowIndex, reminderColIndex + 1).setValue('Yes');
     });
   }
 }
 
+/**
+ * Emails each task Owner a reminder listing their tasks due on the given date
+ * Tasks without an Owner, or whose Owner has no email in People, are logged as failed
+ * @param {Array} tasks Task objects with name, id, owner, session (related session or null) and rowIndex
+ * @param {Date} dueDate The date the tasks are due
+ * @return {Array} 1-based row indices of tasks whose reminder was delivered
+ */
+function sendTaskReminderEmails(tasks, dueDate) {
+  const contacts = getPeopleContacts(SpreadsheetApp.getActiveSpreadsheet());
+  const deliveredRows = [];
+  
+  // Group the tasks by Owner
+  const tasksByOwner = {};
+  tasks.forEach(task => {
+    if (!task.owner) {
+      logEmailSend({
+        type: 'Task Reminder',
+        name: '',
+        email: '',
+        subject: '',
+        reference: task.id || task.name,
+        status: 'Failed',
+        error: 'Task has no Owner'
+      });
+      return;
+    }
+    
+    if (!tasksByOwner[task.owner]) tasksByOwner[task.owner] = [];
+    tasksByOwner[task.owner].push(task);
+  });
+  
+  Object.keys(tasksByOwner).forEach(owner => {
+    const ownerTasks = tasksByOwner[owner];
+    const contact = contacts[owner.toLowerCase()] || { name: owner, email: '' };
+    
+    const itemLines = ownerTasks.map(task =>
+      `• ${task.name}${task.id ? ` (${task.id})` : ''} - due ${formatDate(dueDate)}` +
+      (task.session ? ` - for "${task.session.title}" (${task.session.id}` +
+        (task.session.date instanceof Date ? `, ${formatDate(task.session.date)} ${formatSessionTimes(task.session.date, task.session.startTime, null, contact.timeZone)}` : '') + ')' : ''));
+    
+    const sent = sendReminderEmail(
+      contact,
+      { date: formatDate(dueDate) },
+      itemLines,
+      'Task Reminder',
+      ownerTasks.map(task => task.id || task.name).join(', ')
+    );
+    
+    if (sent) {
+      ownerTasks.forEach(task => deliveredRows.push(task.rowIndex));
+    }
+  });
+  
+  Logger.log(`Delivered task reminders for ${deliveredRows.length} of ${tasks.length} tasks`);
+  return deliveredRows;
+}
+
 /**
  * Gets the reminder lead time from Config sheet
  * @return {number} Number of days lead time for reminders (default 2)
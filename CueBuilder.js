@@ -24,6 +24,7 @@ function setupCueBuilderSheet() {
     if (response !== ui.Button.YES) {
       return;
     }
+    if (!snapshotOrConfirm(sheet, 'Reset Cue Builder')) return;
     sheet.clear();
   }
   
@@ -63,9 +64,10 @@ function setupCueBuilderSheet() {
 
 /**
  * Populates the "Schedule Item" dropdown in the "Cue Builder" sheet
- * with titles from the "Schedule" sheet.
+ * with sessions from the "Schedule" sheet, shown as "Session ID · Title".
+ * @param {Object} sessions Sessions from ensureSessionIds() (optional, read if omitted)
  */
-function updateCueBuilderDropdowns() {
+function updateCueBuilderDropdowns(sessions) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const scheduleSheet = ss.getSheetByName('Schedule');
   const cueBuilderSheet = ss.getSheetByName('Cue Builder');
@@ -75,29 +77,12 @@ function updateCueBuilderDropdowns() {
     return;
   }
   
-  // Get session titles from the Schedule sheet
-  const lastRow = scheduleSheet.getLastRow();
-  if (lastRow < 2) {
-    Logger.log('No data in Schedule sheet to create dropdowns from.');
-    return;
-  }
-  
-  const sessionTitlesRange = scheduleSheet.getRange(2, 5, lastRow - 1, 1);
-  const sessionTitles = sessionTitlesRange.getValues()
-    .flat()
-    .filter(title => title.toString().trim() !== ''); // Filter out empty titles
-    
-  if (sessionTitles.length === 0) {
+  // Sessions are listed by ID so two blocks with the same title stay distinct
+  const rule = buildSessionReferenceRule(sessions || ensureSessionIds(ss), 'Select a schedule block for this cue.');
+  if (!rule) {
     Logger.log('No session titles found in Schedule sheet.');
     return;
   }
-  
-  // Create a data validation rule (dropdown)
-  const rule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(sessionTitles, true)
-    .setAllowInvalid(false)
-    .setHelpText('Select a schedule block for this cue.')
-    .build();
     
   // Apply the rule to the "Schedule Item" column in the Cue Builder sheet
   const dropdownColumn = cueBuilderSheet.getRange('A2:A');
@@ -156,6 +156,10 @@ function setupDashboard() {
       const taskHeaders = taskData[0];
       const statusColIndex = taskHeaders.findIndex(header => 
         header.toString().toLowerCase() === 'status');
+      const dueDateColIndex = taskHeaders.findIndex(header => 
+        header.toString().toLowerCase() === 'due date');
+      
+      const today = _startOfDay(new Date());
       
       if (statusColIndex !== -1) {
         // Count tasks by status - start from row 1 (after header)
@@ -174,6 +178,12 @@ function setupDashboard() {
             statusCounts[status]++;
           }
           
+          // Open tasks past their due date count as Overdue alongside their own status
+          if (status !== 'Overdue' && dueDateColIndex !== -1 && 
+              isTaskOverdue(row[dueDateColIndex], status, today)) {
+            statusCounts['Overdue']++;
+          }
+          
           // Count completed tasks
           if (status === 'Done') {
             completedTasks++;
@@ -279,8 +289,7 @@ function setupDashboard() {
       const scheduleData = scheduleRange.getValues();
       
       // Filter for future sessions
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Set to midnight for date comparison
+      const today = _startOfDay(new Date()); // Midnight in the event timezone
       
       const futureSessions = scheduleData.filter(row => {
         // Check if date is valid and in the future
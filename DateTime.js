@@ -0,0 +1,326 @@
+//DateTime.gs - Event timezone and the date/time helpers every module shares
+
+/**
+ * Configuration constants
+ */
+const EVENT_TIMEZONE_KEY = 'Event Timezone';
+const TIME_ZONE_HEADER = 'Time Zone';
+const DEFAULT_DATE_FORMAT = 'yyyy-MM-dd';
+
+// Looked up once per execution; a Config edit to the timezone clears it
+let _eventTimeZoneCache = null;
+
+/**
+ * Gets the timezone the event happens in. Dates, times and reminders all follow it.
+ * Uses the Config "Event Timezone" when it is a valid zone, otherwise the spreadsheet's.
+ * Cells are read in the spreadsheet's timezone, so when the Config value was changed
+ * without handleEventTimeZoneEdit running (a paste, a script write) the spreadsheet is
+ * switched to it here; if that fails, the spreadsheet's zone is used so cells still
+ * decode to the times they show.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet (optional)
+ * @return {string} Timezone ID, e.g. "Europe/Berlin"
+ */
+function getEventTimeZone(ss) {
+  if (_eventTimeZoneCache) return _eventTimeZoneCache;
+
+  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+  const configured = ss ? _getConfigValue(ss, EVENT_TIMEZONE_KEY, '').toString().trim() : '';
+  const spreadsheetZone = (ss && ss.getSpreadsheetTimeZone()) || Session.getScriptTimeZone();
+
+  if (!configured || !isValidTimeZone(configured) || configured === spreadsheetZone) {
+    _eventTimeZoneCache = spreadsheetZone;
+    return _eventTimeZoneCache;
+  }
+
+  try {
+    ss.setSpreadsheetTimeZone(configured);
+    Logger.log(`Spreadsheet timezone was ${spreadsheetZone}, set to the Event Timezone ${configured}`);
+    _eventTimeZoneCache = configured;
+  } catch (error) {
+    Logger.log(`Could not set the spreadsheet timezone to ${configured}, using ${spreadsheetZone}: ${error}`);
+    _eventTimeZoneCache = spreadsheetZone;
+  }
+  return _eventTimeZoneCache;
+}
+
+/**
+ * Checks a timezone ID, e.g. "America/New_York" or "UTC"
+ * @param {string} timeZone The timezone ID
+ * @return {boolean} True if the ID is a known timezone
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timeZone.toString().trim() });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sets the spreadsheet's own timezone to the event timezone, so date and time
+ * cells are read and written in the zone the event happens in
+ * Called from Quick Event Setup and when the Config "Event Timezone" changes
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {string} The event timezone
+ */
+function applyEventTimeZone(ss) {
+  _eventTimeZoneCache = null;
+  const timeZone = getEventTimeZone(ss);
+  if (ss.getSpreadsheetTimeZone() !== timeZone) {
+    ss.setSpreadsheetTimeZone(timeZone);
+    Logger.log(`Spreadsheet timezone set to ${timeZone}`);
+  }
+  return timeZone;
+}
+
+/**
+ * Called from onEdit when the Config sheet changes: applies a new Event Timezone,
+ * or explains why it was ignored
+ * @param {Object} e The edit event object
+ */
+function handleEventTimeZoneEdit(e) {
+  if (e.range.getColumn() !== 2 || e.range.getNumRows() !== 1) return;
+
+  const sheet = e.range.getSheet();
+  if (sheet.getRange(e.range.getRow(), 1).getValue() !== EVENT_TIMEZONE_KEY) return;
+
+  const ss = sheet.getParent();
+  const value = e.range.getValue().toString().trim();
+  if (value && !isValidTimeZone(value)) {
+    ss.toast(`"${value}" is not a timezone. Use an ID such as "America/New_York" or "Europe/Berlin". ` +
+      `Dates stay in ${ss.getSpreadsheetTimeZone()} until it is fixed.`, 'Event Timezone', 8);
+    return;
+  }
+
+  const timeZone = applyEventTimeZone(ss);
+  ss.toast(`Dates and times now follow ${timeZone}.`, 'Event Timezone', 5);
+}
+
+/**
+ * Formats a date in the event timezone (or another zone)
+ * @param {Date} date The date to format
+ * @param {string} pattern Format pattern (optional, default "yyyy-MM-dd")
+ * @param {string} timeZone Timezone ID (optional, default the event timezone)
+ * @return {string} Formatted date string, or "" if the date is invalid
+ */
+function formatDate(date, pattern, timeZone) {
+  if (!date) return '';
+  if (!(date instanceof Date)) date = new Date(date);
+  if (isNaN(date.getTime())) return '';
+
+  return Utilities.formatDate(date, timeZone || getEventTimeZone(), pattern || DEFAULT_DATE_FORMAT);
+}
+
+/**
+ * Formats a time cell value (Date or string) as "h:mm AM/PM"
+ * @param {Date|string} value The time value
+ * @param {string} timeZone Timezone ID (optional, default the event timezone)
+ * @return {string} Formatted time string
+ */
+function formatTimeValue(value, timeZone) {
+  if (!value) return '';
+  if (!(value instanceof Date)) return value.toString();
+
+  return Utilities.formatDate(value, timeZone || getEventTimeZone(), 'h:mm a');
+}
+
+/**
+ * Formats a session's times in the event timezone, followed by the reader's own
+ * times when they are in a different zone
+ * @param {Date} date The session date
+ * @param {Date|string} start The start time cell
+ * @param {Date|string} end The end time cell (optional)
+ * @param {string} timeZone The reader's timezone (optional)
+ * @return {string} e.g. "10:00 AM - 11:00 AM (4:00 PM - 5:00 PM your time)"
+ */
+function formatSessionTimes(date, start, end, timeZone) {
+  const text = formatTimeValue(start) + (end ? ` - ${formatTimeValue(end)}` : '');
+
+  const startTime = parseTimeString(start);
+  const endTime = end ? parseTimeString(end) : null;
+  if (!timeZone || timeZone === getEventTimeZone() || !(date instanceof Date) || !startTime || (end && !endTime)) {
+    return text;
+  }
+
+  const localStart = _combineDateAndTime(date, startTime);
+  let local = formatTimeValue(localStart, timeZone);
+  if (endTime) {
+    let localEnd = _combineDateAndTime(date, endTime);
+    if (localEnd <= localStart) localEnd = addDays(localEnd, 1); // Runs past midnight
+    local += ` - ${formatTimeValue(localEnd, timeZone)}`;
+  }
+
+  // The reader's clock may already be on another day
+  if (formatDate(localStart, DEFAULT_DATE_FORMAT, timeZone) !== formatDate(date)) {
+    local = `${formatDate(localStart, 'EEE MMM d', timeZone)} ${local}`;
+  }
+
+  return `${text} (${local} your time)`;
+}
+
+/**
+ * Formats minutes after midnight as "h:mm AM/PM"
+ * @param {number} minutes Minutes after midnight
+ * @return {string} The formatted time
+ */
+function _formatMinutes(minutes) {
+  const dayMinutes = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  const hours = Math.floor(dayMinutes / 60);
+  const mins = dayMinutes % 60;
+
+  return `${hours % 12 || 12}:${mins < 10 ? '0' + mins : mins} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+/**
+ * Parses a time string such as "10:00 AM", "2:30PM", "14:00" or "2.30 PM"
+ * @param {string|Date} timeStr The time string, or a Date (returned as-is)
+ * @return {Date|null} Today at that time in the event timezone, or null if parsing fails
+ */
+function parseTimeString(timeStr) {
+  try {
+    // Handle Date objects directly
+    if (timeStr instanceof Date) {
+      return timeStr;
+    }
+
+    const match = String(timeStr).trim().match(/^(\d{1,2})[:.\s](\d{2})\s*(AM|PM|am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const period = match[3] ? match[3].toUpperCase() : null;
+
+    // If period is specified, convert to 24-hour format
+    if (period === 'PM' && hours < 12) {
+      hours += 12;
+    } else if (period === 'AM' && hours === 12) {
+      hours = 0;
+    }
+
+    return _dateAtMinutes(new Date(), hours * 60 + minutes);
+
+  } catch (error) {
+    Logger.log("Error parsing time string: " + error.toString());
+    return null;
+  }
+}
+
+/**
+ * Parses a date typed as text (e.g. "2025-05-24" or "May 24, 2025, 9:00 AM")
+ * as a time in the event timezone
+ * @param {string} text The date text
+ * @return {Date|null} The date, or null if it cannot be read
+ */
+function parseEventDate(text) {
+  // new Date() would read a bare yyyy-MM-dd as midnight UTC
+  const isoDate = String(text).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (isoDate) return _eventDateTime(Number(isoDate[1]), Number(isoDate[2]), Number(isoDate[3]), 0);
+
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) return null;
+
+  // The runtime reads the text in the script's zone; keep the wall-clock time it found
+  return _eventDateTime(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate(),
+    parsed.getHours() * 60 + parsed.getMinutes());
+}
+
+/**
+ * Converts a time value to minutes after midnight in the event timezone
+ * @param {Date} time The time (from parseTimeString)
+ * @return {number|null} Minutes after midnight, or null if not a time
+ */
+function _minutesOfDay(time) {
+  if (!(time instanceof Date)) return null;
+  const parts = _eventDateParts(time);
+  return parts.hours * 60 + parts.minutes;
+}
+
+/**
+ * Returns midnight, in the event timezone, of the day a date falls on
+ * @param {Date} date The date
+ * @return {Date} The date with the time cleared
+ */
+function _startOfDay(date) {
+  return _dateAtMinutes(date, 0);
+}
+
+/**
+ * Adds days to a date, keeping its time of day in the event timezone
+ * (negative values subtract days)
+ * @param {Date} date The base date
+ * @param {number} days Number of days to add/subtract
+ * @return {Date} New date
+ */
+function addDays(date, days) {
+  if (!date || !(date instanceof Date)) {
+    return new Date(); // Default to today if invalid date
+  }
+
+  const parts = _eventDateParts(date);
+  return _eventDateTime(parts.year, parts.month, parts.day + days, parts.hours * 60 + parts.minutes);
+}
+
+/**
+ * Combines a date cell with a time of day
+ * @param {Date} date The date
+ * @param {Date} time The time (from parseTimeString)
+ * @return {Date} The combined date and time
+ */
+function _combineDateAndTime(date, time) {
+  return _dateAtMinutes(date, _minutesOfDay(time));
+}
+
+/**
+ * Returns the moment a number of minutes after midnight on a date's day, in the event timezone
+ * @param {Date} date The date
+ * @param {number} minutes Minutes after midnight
+ * @return {Date} The date at that time
+ */
+function _dateAtMinutes(date, minutes) {
+  const parts = _eventDateParts(date);
+  return _eventDateTime(parts.year, parts.month, parts.day, minutes);
+}
+
+/**
+ * Splits a date into its calendar fields in the event timezone
+ * @param {Date} date The date
+ * @return {Object} Object with year, month (1-12), day, hours and minutes
+ */
+function _eventDateParts(date) {
+  const parts = Utilities.formatDate(date, getEventTimeZone(), 'yyyy-M-d-H-m').split('-').map(Number);
+  return { year: parts[0], month: parts[1], day: parts[2], hours: parts[3], minutes: parts[4] };
+}
+
+/**
+ * Builds the moment a wall-clock time happens in the event timezone.
+ * Days and minutes past the end of the month or day roll over.
+ * @param {number} year The year
+ * @param {number} month The month (1-12)
+ * @param {number} day The day of the month
+ * @param {number} minutes Minutes after midnight
+ * @return {Date} The date
+ */
+function _eventDateTime(year, month, day, minutes) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = _eventTimeZoneOffset(wallClock);
+  let timestamp = wallClock - offset;
+
+  // Across a daylight saving change the offset at the result differs from the first guess
+  const corrected = _eventTimeZoneOffset(timestamp);
+  if (corrected !== offset) timestamp = wallClock - corrected;
+
+  return new Date(timestamp);
+}
+
+/**
+ * Gets the event timezone's offset from UTC at a moment
+ * @param {number} timestamp Milliseconds since the epoch
+ * @return {number} Offset in milliseconds (positive east of UTC)
+ */
+function _eventTimeZoneOffset(timestamp) {
+  const zone = Utilities.formatDate(new Date(timestamp), getEventTimeZone(), 'Z'); // e.g. "+0530"
+  const sign = zone.charAt(0) === '-' ? -1 : 1;
+  return sign * (Number(zone.substr(1, 2)) * 60 + Number(zone.substr(3, 2))) * 60000;
+}
@@ -0,0 +1,245 @@
+//Email.gs - Email templates, delivery, and the send log
+
+/**
+ * Configuration constants
+ */
+const EMAIL_LOG_SHEET_NAME = 'Email Log';
+
+/**
+ * Reads an email template (subject in column B, body in column C) from the Config sheet
+ * @param {string} templateName The template key in column A (e.g. "ReminderTemplate")
+ * @return {Object|null} Object with subject and body, or null if not found
+ */
+function getEmailTemplate(templateName) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const configSheet = ss.getSheetByName('Config');
+
+  if (!configSheet) {
+    Logger.log('Config sheet not found');
+    return null;
+  }
+
+  const row = findRowByValue(configSheet, templateName);
+  if (!row) {
+    Logger.log(`Email template not found in Config sheet: ${templateName}`);
+    return null;
+  }
+
+  const values = configSheet.getRange(row, 2, 1, 2).getValues()[0];
+  return {
+    subject: values[0] ? values[0].toString() : '',
+    body: values[1] ? values[1].toString() : ''
+  };
+}
+
+/**
+ * Fills {{placeholder}} and legacy [PLACEHOLDER] fields in a template string
+ * Placeholder names are matched case-insensitively; unknown placeholders are left as-is
+ * @param {string} text The template text
+ * @param {Object} values Map of placeholder names to values (e.g. { name: 'Jane' })
+ * @return {string} The rendered text
+ */
+function renderEmailTemplate(text, values) {
+  if (!text) return '';
+
+  // Normalize keys so {{Name}}, {{name}} and [EVENT NAME] all resolve
+  const lookup = {};
+  Object.keys(values || {}).forEach(key => {
+    lookup[key.toLowerCase().replace(/[\s_]/g, '')] = values[key];
+  });
+
+  const resolve = (match, key) => {
+    const normalized = key.toLowerCase().replace(/[\s_]/g, '');
+    const value = lookup[normalized];
+    return value === undefined || value === null || value === '' ? match : value.toString();
+  };
+
+  return text
+    .replace(/\{\{\s*([^}]+?)\s*\}\}/g, resolve)
+    .replace(/\[([A-Za-z ]+)\]/g, resolve);
+}
+
+/**
+ * Builds the standard placeholder values for the current event
+ * @param {Object} eventInfo Event information from getEventInformation() (optional)
+ * @param {Object} extra Additional placeholder values that override the defaults
+ * @return {Object} Map of placeholder names to values
+ */
+function buildEmailTemplateValues(eventInfo, extra) {
+  const values = {};
+
+  if (eventInfo) {
+    values.eventName = eventInfo.eventName || '';
+    values.date = formatDate(eventInfo.startDate);
+    values.time = formatTimeValue(eventInfo.startDate);
+    values.location = eventInfo.location || '';
+  }
+
+  Object.keys(extra || {}).forEach(key => {
+    values[key] = extra[key];
+  });
+
+  return values;
+}
+
+/**
+ * Reads names, emails and timezones from the People sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Map of lowercase name to { name, email, timeZone, row }
+ */
+function getPeopleContacts(ss) {
+  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const contacts = {};
+  const peopleSheet = ss.getSheetByName('People');
+  if (!peopleSheet) {
+    Logger.log('People sheet not found');
+    return contacts;
+  }
+
+  const data = peopleSheet.getDataRange().getValues();
+  if (data.length <= 1) return contacts;
+
+  const nameIndex = findColumnIndex(data[0], 'name');
+  const emailIndex = findColumnIndex(data[0], 'email');
+  const timeZoneIndex = findColumnIndex(data[0], TIME_ZONE_HEADER);
+  if (nameIndex === -1 || emailIndex === -1) {
+    Logger.log('Name or Email column not found in People sheet');
+    return contacts;
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const name = data[i][nameIndex];
+    if (!name) continue;
+
+    // Unrecognised zones fall back to the event timezone
+    const timeZone = timeZoneIndex !== -1 && data[i][timeZoneIndex] ? data[i][timeZoneIndex].toString().trim() : '';
+
+    contacts[name.toString().trim().toLowerCase()] = {
+      name: name.toString().trim(),
+      email: data[i][emailIndex] ? data[i][emailIndex].toString().trim() : '',
+      timeZone: isValidTimeZone(timeZone) ? timeZone : '',
+      row: i + 1
+    };
+  }
+
+  return contacts;
+}
+
+/**
+ * Sends a plain-text email and records the outcome in the Email Log sheet
+ * @param {Object} message Object with to, name, subject, body, type and reference
+ * @return {boolean} True if the email was delivered to MailApp successfully
+ */
+function sendLoggedEmail(message) {
+  const entry = {
+    type: message.type || 'Email',
+    name: message.name || '',
+    email: message.to || '',
+    subject: message.subject || '',
+    reference: message.reference || '',
+    status: 'Sent',
+    error: ''
+  };
+
+  try {
+    if (!entry.email || entry.email.indexOf('@') === -1) {
+      throw new Error('No valid email address');
+    }
+
+    if (MailApp.getRemainingDailyQuota() < 1) {
+      throw new Error('Daily email quota exhausted');
+    }
+
+    MailApp.sendEmail({
+      to: entry.email,
+      subject: entry.subject,
+      body: message.body || ''
+    });
+
+    Logger.log(`Email sent to ${entry.name} <${entry.email}>: ${entry.subject}`);
+  } catch (error) {
+    entry.status = 'Failed';
+    entry.error = error.message || error.toString();
+    Logger.log(`Email to ${entry.name} <${entry.email}> failed: ${entry.error}`);
+  }
+
+  logEmailSend(entry);
+  return entry.status === 'Sent';
+}
+
+/**
+ * Appends one row to the Email Log sheet, creating the sheet if needed
+ * @param {Object} entry Object with type, name, email, subject, reference, status and error
+ */
+function logEmailSend(entry) {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let logSheet = ss.getSheetByName(EMAIL_LOG_SHEET_NAME);
+
+    if (!logSheet) {
+      logSheet = ss.insertSheet(EMAIL_LOG_SHEET_NAME);
+      logSheet.setTabColor('#999999'); // Gray color for utility sheets
+
+      const headers = ['Timestamp', 'Type', 'Name', 'Email', 'Subject', 'Reference', 'Status', 'Error'];
+      logSheet.getRange(1, 1, 1, headers.length).setValues([headers])
+        .setBackground('#4a86e8')
+        .setFontColor('#ffffff')
+        .setFontWeight('bold')
+        .setHorizontalAlignment('center');
+      logSheet.setFrozenRows(1);
+      logSheet.setColumnWidth(5, 300);
+      logSheet.setColumnWidth(8, 250);
+    }
+
+    logSheet.appendRow([
+      new Date(),
+      entry.type,
+      entry.name,
+      entry.email,
+      entry.subject,
+      entry.reference,
+      entry.status,
+      entry.error
+    ]);
+  } catch (error) {
+    Logger.log(`Error writing to Email Log: ${error}`);
+  }
+}
+
+/**
+ * Sends the Config "ReminderTemplate" email to one person with a list of items
+ * The item list replaces {{items}} in the body, or is appended if the placeholder is absent
+ * @param {Object} contact Contact from getPeopleContacts() ({ name, email })
+ * @param {Object} values Extra placeholder values (date, time, location, ...)
+ * @param {Array} itemLines Lines describing the sessions or tasks being reminded about
+ * @param {string} type Log type (e.g. "Task Reminder")
+ * @param {string} reference Log reference (e.g. Task IDs)
+ * @return {boolean} True if the email was sent
+ */
+function sendReminderEmail(contact, values, itemLines, type, reference) {
+  const template = getEmailTemplate('ReminderTemplate') || {
+    subject: 'Reminder: [EVENT NAME] is coming up!',
+    body: 'Hi {{name}},\n\nThis is a reminder about the following:'
+  };
+
+  const eventInfo = getEventInformation();
+  const templateValues = buildEmailTemplateValues(eventInfo, values);
+  templateValues.name = contact.name;
+  templateValues.items = itemLines.join('\n');
+
+  const subject = renderEmailTemplate(template.subject, templateValues);
+  let body = renderEmailTemplate(template.body, templateValues);
+  if (!/\{\{\s*items\s*\}\}/i.test(template.body)) {
+    body += '\n\n' + itemLines.join('\n');
+  }
+
+  return sendLoggedEmail({
+    to: contact.email,
+    name: contact.name,
+    subject: subject,
+    body: body,
+    type: type,
+    reference: reference
+  });
+}
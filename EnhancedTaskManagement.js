@@ -24,10 +24,10 @@ function generateAITasksWithSchedule() {
     // Step 3: Get people information (speakers, staff, etc.)
     const peopleInfo = getPeopleInformation(ss);
     
-    // Step 4: Get OpenAI API key
-    const apiKey = getOpenAIApiKey();
-    if (!apiKey) {
-      ui.alert('Error', 'OpenAI API key not found. Please add your API key to Script Properties or cell B15 in Config sheet.', ui.ButtonSet.OK);
+    // Step 4: Check the AI settings (provider, model and API key)
+    const llmProblem = getLLMSettingsProblem(getLLMSettings(ss));
+    if (llmProblem) {
+      ui.alert('Error', llmProblem, ui.ButtonSet.OK);
       return;
     }
     
@@ -35,14 +35,25 @@ function generateAITasksWithSchedule() {
     ui.alert('Processing', 'Generating enhanced tasks using AI with schedule analysis. This may take a few moments...', ui.ButtonSet.OK);
     
     // Step 6: Generate tasks using enhanced prompt
-    const tasks = generateEnhancedTasksWithAI(eventInfo, scheduleInfo, peopleInfo, apiKey);
+    const result = generateEnhancedTasksWithAI(eventInfo, scheduleInfo, peopleInfo);
+    const tasks = result.items;
+    const report = formatAIValidationReport(result);
     if (!tasks || tasks.length === 0) {
-      ui.alert('Error', 'Failed to generate tasks. Please try again later.', ui.ButtonSet.OK);
+      ui.alert('Error', 'Failed to generate tasks. Please try again later.' + (report ? '\n\n' + report : ''), ui.ButtonSet.OK);
       return;
     }
+    if (report) {
+      ui.alert('AI Reply Check', report, ui.ButtonSet.OK);
+    }
     
-    // Step 7: Clear existing tasks
-    clearExistingTasks();
+    // Step 7: Merge into the existing tasks for review, or clear them
+    const writeMode = chooseTaskWriteMode();
+    if (writeMode === 'cancel') return;
+    if (writeMode === 'merge') {
+      showTaskMergeDialog(tasks, eventInfo);
+      return;
+    }
+    if (!clearExistingTasks()) return;
     
     // Step 8: Add generated tasks to the Task Management sheet
     const taskCount = addTasksToSheet(tasks, eventInfo);
@@ -186,6 +197,7 @@ function getPeopleInformation(ss) {
   const nameIndex = headers.findIndex(h => h.toString().toLowerCase().includes('name'));
   const categoryIndex = headers.findIndex(h => h.toString().toLowerCase().includes('category'));
   const statusIndex = headers.findIndex(h => h.toString().toLowerCase().includes('status'));
+  const availabilityIndex = findColumnIndex(headers, AVAILABILITY_HEADER);
   
   // Process each person
   for (let i = 1; i < data.length; i++) {
@@ -196,7 +208,8 @@ function getPeopleInformation(ss) {
     const person = {
       name: row[nameIndex],
       category: row[categoryIndex] || '',
-      status: row[statusIndex] || ''
+      status: row[statusIndex] || '',
+      availability: availabilityIndex !== -1 ? formatAvailability(parseAvailability(row[availabilityIndex])) : ''
     };
     
     // Categorize people
@@ -218,14 +231,13 @@ function getPeopleInformation(ss) {
 }
 
 /**
- * Generate enhanced tasks using OpenAI API with schedule and people analysis
+ * Generate enhanced tasks with the configured AI provider, using schedule and people analysis
  * @param {Object} eventInfo Event information
  * @param {Object} scheduleInfo Schedule analysis
  * @param {Object} peopleInfo People information
- * @param {string} apiKey OpenAI API key
- * @return {Array} Array of task objects
+ * @return {Object} Result from requestValidatedItems() with the task objects
  */
-function generateEnhancedTasksWithAI(eventInfo, scheduleInfo, peopleInfo, apiKey) {
+function generateEnhancedTasksWithAI(eventInfo, scheduleInfo, peopleInfo) {
   try {
     // Format dates for the prompt
     const startDate = formatDate(eventInfo.startDate);
@@ -259,15 +271,19 @@ CRITICAL: Create specific preparation tasks for EACH session listed above, consi
 - Pre-event testing and rehearsals`;
     }
     
-    // Create people context
+    // Create people context, with availability so owners are only suggested when they're around
     let peopleContext = '';
     if (peopleInfo.totalPeople > 0) {
+      const describe = person => person.availability
+        ? `${person.name} (available ${person.availability.split('\n').join('; ')})`
+        : person.name;
       peopleContext = `\n\nTEAM ANALYSIS:
-- ${peopleInfo.speakers.length} Speakers: ${peopleInfo.speakers.map(s => s.name).join(', ')}
-- ${peopleInfo.staff.length} Staff Members: ${peopleInfo.staff.map(s => s.name).join(', ')}
-- ${peopleInfo.volunteers.length} Volunteers: ${peopleInfo.volunteers.map(v => v.name).join(', ')}
+- ${peopleInfo.speakers.length} Speakers: ${peopleInfo.speakers.map(describe).join(', ')}
+- ${peopleInfo.staff.length} Staff Members: ${peopleInfo.staff.map(describe).join(', ')}
+- ${peopleInfo.volunteers.length} Volunteers: ${peopleInfo.volunteers.map(describe).join(', ')}
 
-Create coordination and communication tasks for team members.`;
+Create coordination and communication tasks for team members.
+People without listed availability are available throughout the event.`;
     }
     
     // Create the enhanced prompt
@@ -302,6 +318,7 @@ For each task, include:
 - Priority: Critical, High, Medium, or Low
 - Timeline: Specific timing relative to event or session
 - Status: "Not Started"
+- Suggested Owner: A team member named above who suits the task and is available when it happens, or "" if unsure
 
 Return response in this JSON format:
 {
@@ -312,58 +329,28 @@ Return response in this JSON format:
       "category": "Category",
       "priority": "Priority",
       "timeline": "Timeline",
-      "status": "Not Started"
+      "status": "Not Started",
+      "suggestedOwner": "Name or empty"
     }
   ]
 }
 
 Focus on creating actionable, specific tasks rather than generic ones. Each session should have 2-4 related tasks.`;
 
-    // Call OpenAI API with enhanced prompt
-    const url = 'https://api.openai.com/v1/chat/completions';
-    const payload = {
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert event planning assistant that creates detailed, session-specific task lists for events. You analyze schedules and create specific preparation tasks for each session."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 4000
-    };
-    
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: { 'Authorization': 'Bearer ' + apiKey },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-    
-    Logger.log('Calling OpenAI API with enhanced prompt...');
-    const response = UrlFetchApp.fetch(url, options);
-    const responseCode = response.getResponseCode();
-    
-    if (responseCode !== 200) {
-      Logger.log(`API Error (${responseCode}): ${response.getContentText()}`);
-      throw new Error(`OpenAI API returned error code: ${responseCode}`);
-    }
-    
-    const responseJson = JSON.parse(response.getContentText());
-    const content = responseJson.choices[0].message.content;
-    
-    Logger.log(`Received enhanced response (${content.length} chars)`);
-    
-    // Parse the JSON response
-    const tasks = parseTasksFromResponse(content);
-    
-    Logger.log(`Successfully extracted ${tasks.length} enhanced tasks`);
-    return tasks;
+    // Call the AI provider with the enhanced prompt; the reply is checked against the task schema
+    const result = requestValidatedItems([
+      {
+        role: "system",
+        content: "You are an expert event planning assistant that creates detailed, session-specific task lists for events. You analyze schedules and create specific preparation tasks for each session."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ], getTaskSchema(), parseTasksFromResponse);
+    
+    Logger.log(`Successfully extracted ${result.items.length} enhanced tasks (${result.dropped.length} dropped)`);
+    return result;
     
   } catch (error) {
     Logger.log('Error generating enhanced tasks: ' + error.toString());
@@ -0,0 +1,229 @@
+//EventDays.gs - Per-day start and end times, and day themes, for multi-day events
+
+/**
+ * Configuration constants
+ */
+const EVENT_DAYS_SHEET_NAME = 'Event Days';
+const EVENT_DAYS_HEADERS = ['Date', 'Start Time', 'End Time', 'Day Theme', 'Notes'];
+const DEFAULT_DAY_START = 9 * 60;  // 9:00 AM
+const DEFAULT_DAY_END = 17 * 60;   // 5:00 PM
+
+/**
+ * Creates the Event Days sheet, or adds any event days it is missing.
+ * New days start with the event's start and end times; existing rows are never changed.
+ * Called from Quick Event Setup and the Event Planner Setup menu
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if the event dates are not set
+ */
+function setupEventDaysSheet(ss) {
+  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const eventSheet = ss.getSheetByName('Event Description');
+  const details = eventSheet ? getEventDetails(eventSheet) : null;
+  if (!details || !(details.startDate instanceof Date)) return null;
+
+  let sheet = ss.getSheetByName(EVENT_DAYS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(EVENT_DAYS_SHEET_NAME);
+    sheet.setTabColor('#f1c232'); // Same gold as the Schedule
+
+    sheet.getRange(1, 1, 1, EVENT_DAYS_HEADERS.length).setValues([EVENT_DAYS_HEADERS])
+      .setBackground('#4a86e8')
+      .setFontColor('#ffffff')
+      .setFontWeight('bold')
+      .setHorizontalAlignment('center');
+    sheet.setFrozenRows(1);
+
+    const widths = [110, 100, 100, 250, 250];
+    widths.forEach((width, index) => sheet.setColumnWidth(index + 1, width));
+
+    sheet.getRange(2, 1, 99, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 2, 99, 2).setNumberFormat('h:mm AM/PM');
+    sheet.getRange(1, 2).setNote('Sessions on this day are scheduled and checked between the Start and End Time, ' +
+      'e.g. 2:00 PM on arrival day and 12:00 PM on the last day.');
+    sheet.getRange(1, 4).setNote('Given to the AI schedule generator as the focus for that day.');
+  }
+
+  // Add the event days that have no row yet
+  const listed = _readEventDayRows(sheet).map(day => day.key);
+  const window = _defaultDayWindow(details);
+  const missing = _eventDateRange(details)
+    .filter(date => listed.indexOf(date.getTime()) === -1)
+    .map(date => [date, _formatMinutes(window.start), _formatMinutes(window.end), '', '']);
+  if (missing.length > 0) {
+    const row = Math.max(2, sheet.getLastRow() + 1);
+    sheet.getRange(row, 1, missing.length, EVENT_DAYS_HEADERS.length).setValues(missing);
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, EVENT_DAYS_HEADERS.length).sort(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Menu wrapper for setupEventDaysSheet
+ * Called from the Event Planner Setup menu
+ */
+function setupEventDays() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = setupEventDaysSheet(ss);
+
+  if (!sheet) {
+    ui.alert('Event Days', 'Set the Start Date on the Event Description sheet first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  ss.setActiveSheet(sheet);
+  ui.alert(
+    'Event Days',
+    'Set each day\'s start and end time, and optionally a theme. The schedule generators, ' +
+      'conflict checks and task timeline use these instead of the event\'s start and end time.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Gets the event's days with their schedule windows. Every day from the event
+ * start to end date is an event day; rows on the Event Days sheet set a day's
+ * hours and theme, and days without a row use the event's start and end time.
+ * Rows outside the event dates (left over after the event moved) are ignored.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {Object} details Event details with startDate, endDate and optionally startTimeFormatted/endTimeFormatted
+ * @return {Array} Days in date order: { date, key, start, end, theme, notes } with times in minutes of the day
+ */
+function getEventDays(ss, details) {
+  const sheet = ss.getSheetByName(EVENT_DAYS_SHEET_NAME);
+  const rows = sheet ? _readEventDayRows(sheet) : [];
+  const window = _defaultDayWindow(details);
+  const range = _eventDateRange(details);
+
+  // Without event dates, the sheet is all there is to go on
+  const dates = range.length > 0 ? range : rows.map(row => row.date);
+  const ignored = rows.filter(row => !dates.some(date => date.getTime() === row.key));
+  if (ignored.length > 0) {
+    Logger.log(`Event Days outside the event dates are ignored: ${ignored.map(row => formatDate(row.date)).join(', ')}`);
+  }
+
+  return dates.map(date => {
+    const row = rows.find(candidate => candidate.key === date.getTime());
+    if (!row) {
+      return { date: date, key: date.getTime(), start: window.start, end: window.end, theme: '', notes: '' };
+    }
+
+    const valid = row.start !== null && row.end !== null && row.end > row.start;
+    if (!valid) Logger.log(`Event Days ${formatDate(row.date)}: unreadable times, using the event's start and end time`);
+    return {
+      date: row.date,
+      key: row.key,
+      start: valid ? row.start : window.start,
+      end: valid ? row.end : window.end,
+      theme: row.theme,
+      notes: row.notes
+    };
+  });
+}
+
+/**
+ * Finds the event day a date falls on
+ * @param {Array} days Days from getEventDays()
+ * @param {Date} date The date
+ * @return {Object|null} The day, or null if the date is not an event day
+ */
+function getEventDay(days, date) {
+  if (!(date instanceof Date)) return null;
+  const key = _startOfDay(date).getTime();
+  return days.find(day => day.key === key) || null;
+}
+
+/**
+ * Formats a day's window, e.g. "2:00 PM-9:00 PM"
+ * @param {Object} day Day from getEventDays()
+ * @return {string} The formatted window
+ */
+function formatEventDayWindow(day) {
+  return `${_formatMinutes(day.start)}-${_formatMinutes(day.end)}`;
+}
+
+/**
+ * Called from onEdit when the Event Days sheet changes: re-checks the Schedule
+ * against the new windows
+ * @param {Object} e The edit event object
+ */
+function handleEventDaysEdit(e) {
+  if (e.range.getRow() <= 1 || e.range.getColumn() > 3) return;
+
+  try {
+    const ss = e.range.getSheet().getParent();
+    const values = e.range.getSheet().getRange(e.range.getRow(), 1, 1, 3).getValues()[0];
+    const start = _minutesOfDay(parseTimeString(values[1]));
+    const end = _minutesOfDay(parseTimeString(values[2]));
+    if (start !== null && end !== null && end <= start) {
+      ss.toast('The End Time must be after the Start Time. The event\'s own times are used for this day until it is fixed.',
+        'Event Days', 6);
+    }
+    refreshScheduleConflicts(false);
+  } catch (error) {
+    Logger.log(`Error in handleEventDaysEdit: ${error}`);
+  }
+}
+
+/**
+ * Reads the dated rows of the Event Days sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Event Days sheet
+ * @return {Array} Rows as { date, key, start, end, theme, notes }, in date order
+ */
+function _readEventDayRows(sheet) {
+  if (sheet.getLastRow() <= 1) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, EVENT_DAYS_HEADERS.length).getValues()
+    .filter(row => row[0] instanceof Date)
+    .map(row => {
+      const date = _startOfDay(row[0]);
+      return {
+        date: date,
+        key: date.getTime(),
+        start: _minutesOfDay(parseTimeString(row[1])),
+        end: _minutesOfDay(parseTimeString(row[2])),
+        theme: row[3] ? row[3].toString().trim() : '',
+        notes: row[4] ? row[4].toString().trim() : ''
+      };
+    })
+    .sort((a, b) => a.key - b.key);
+}
+
+/**
+ * Lists every date from the event's start date to its end date
+ * @param {Object} details Event details with startDate and endDate
+ * @return {Array} Dates at midnight
+ */
+function _eventDateRange(details) {
+  const dates = [];
+  if (!details || !(details.startDate instanceof Date)) return dates;
+
+  const last = _startOfDay(details.endDate instanceof Date ? details.endDate : details.startDate);
+  for (let day = _startOfDay(details.startDate); day <= last; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+  return dates;
+}
+
+/**
+ * Gets the event's start and end time, used for days without their own window.
+ * Falls back to the time of day on the start and end dates, then to 9 to 5.
+ * @param {Object} details Event details
+ * @return {Object} Object with start and end in minutes of the day
+ */
+function _defaultDayWindow(details) {
+  const timeOf = (formatted, date) => {
+    const minutes = _minutesOfDay(parseTimeString(formatted));
+    if (minutes !== null) return minutes;
+    return date instanceof Date && _minutesOfDay(date) > 0 ? _minutesOfDay(date) : null;
+  };
+  const start = details ? timeOf(details.startTimeFormatted, details.startDate) : null;
+  const end = details ? timeOf(details.endTimeFormatted, details.endDate) : null;
+
+  return {
+    start: start !== null ? start : DEFAULT_DAY_START,
+    end: end !== null && (start === null || end > start) ? end : DEFAULT_DAY_END
+  };
+}
@@ -0,0 +1,83 @@
+//EventDescription.gs
+
+/**
+ * Sets up the Event Description sheet with the field labels every other module reads.
+ * Labels in column A must stay in sync with getEventDetails() and getEventInformation().
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet object (optional)
+ * @param {Object} eventData Optional initial values keyed by field (eventName, startDate, ...)
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The configured Event Description sheet
+ */
+function setupEventDescriptionSheet(ss, eventData) {
+  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+  eventData = eventData || {};
+
+  let sheet = ss.getSheetByName('Event Description');
+
+  // Create the sheet if it doesn't exist
+  if (!sheet) {
+    sheet = ss.insertSheet('Event Description', 0);
+    sheet.setTabColor('#674ea7'); // Purple color
+  } else {
+    // Clear existing content if sheet already exists
+    sheet.clear();
+  }
+
+  // Field labels (column A) and values (column B)
+  const fields = [
+    ['Field', 'Value'],
+    ['Event ID', eventData.eventId || generateEventId()],
+    ['Event Name', eventData.eventName || ''],
+    ['Single- or Multi-Day?', eventData.eventType || 'Single'],
+    ['Start Date (And Time)', eventData.startDate || ''],
+    ['End Date (And Time)', eventData.endDate || ''],
+    ['Location', eventData.location || ''],
+    ['Theme', eventData.theme || ''],
+    ['Target Audience', eventData.targetAudience || ''],
+    ['Short Objectives', eventData.objectives || ''],
+    ['Attendance Goal (#)', eventData.attendanceGoal || ''],
+    ['Profit Goal ($)', eventData.profitGoal || ''],
+    ['Description & Messaging', eventData.description || ''],
+    ['Detailed Description', eventData.detailedDescription || ''],
+    ['Key Messages', eventData.keyMessages || '']
+  ];
+
+  sheet.getRange(1, 1, fields.length, 2).setValues(fields);
+
+  // Format headers with blue background and white text
+  sheet.getRange(1, 1, 1, 2)
+    .setBackground('#4a86e8') // Blue background
+    .setFontColor('#ffffff') // White text
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+
+  // Bold labels and wrap long text values
+  sheet.getRange(2, 1, fields.length - 1, 1).setFontWeight('bold');
+  sheet.getRange(2, 2, fields.length - 1, 1).setWrap(true).setVerticalAlignment('top');
+
+  // Date/time and number formats
+  sheet.getRange(_findRow(sheet, 'Start Date (And Time)'), 2).setNumberFormat('yyyy-mm-dd h:mm AM/PM');
+  sheet.getRange(_findRow(sheet, 'End Date (And Time)'), 2).setNumberFormat('yyyy-mm-dd h:mm AM/PM');
+  sheet.getRange(_findRow(sheet, 'Attendance Goal (#)'), 2).setNumberFormat('0');
+  sheet.getRange(_findRow(sheet, 'Profit Goal ($)'), 2).setNumberFormat('$#,##0.00');
+
+  // Set column widths
+  sheet.setColumnWidth(1, 200);
+  sheet.setColumnWidth(2, 450);
+
+  // Freeze header row
+  sheet.setFrozenRows(1);
+
+  // Apply the Event Type dropdown from Config
+  setEventTypeDropdown(sheet, _getConfigLists(ss));
+
+  return sheet;
+}
+
+/**
+ * Generates an event ID based on today's date
+ * @return {string} An event ID such as EVT-20250615-AB12
+ */
+function generateEventId() {
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `EVT-${_getTodayString().replace(/-/g, '')}-${random}`;
+}
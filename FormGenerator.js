@@ -139,6 +139,10 @@ function createRegistrationForm() {
       .setChoiceValues(['Email', 'Social Media', 'Website', 'Word of Mouth', 'Other'])
       .setRequired(false);
     
+    // One question per breakout time slot, kept up to date as sessions fill
+    syncRegistrationForm(form, ss);
+    PropertiesService.getDocumentProperties().setProperty(REGISTRATION_FORM_PROPERTY, form.getId());
+    
     // Set up response destination
     form.setDestination(FormApp.DestinationType.SPREADSHEET, ss.getId());
     
@@ -304,10 +308,19 @@ function createSpeakerBioForm() {
       .setRequired(false)
       .setHelpText('If you have a professional headshot available online, please provide the URL link here. Otherwise, we will contact you separately to request one.');
       
+    // When the speaker can present
+    addAvailabilityQuestion(form, ss);
+    
+    // Remote speakers get reminders and agendas in their own time
+    form.addTextItem()
+      .setTitle(TIME_ZONE_HEADER)
+      .setRequired(false)
+      .setHelpText(`Only if you are outside the event's timezone (${getEventTimeZone(ss)}), e.g. "Europe/London" or "Asia/Tokyo".`);
+      
     // Add AV and setup needs
     form.addCheckboxItem()
       .setTitle('AV/Technical Requirements')
-      .setChoiceValues(['Projector', 'Audio Connection', 'Microphone', 'Internet Connection', 'Whiteboard/Flip Chart', 'Other (specify in notes)'])
+      .setChoiceValues(AV_EQUIPMENT_OPTIONS.concat(['Other (specify in notes)']))
       .setRequired(false);
       
     form.addParagraphTextItem()
@@ -360,6 +373,12 @@ function processRegistrationForm(e) {
       role: '',
       notes: ''
     };
+    const sessionIds = [];
+    
+    // Unanswered questions are left out of the response, so check the form itself:
+    // an attendee who unticks every session must have their old registrations cleared
+    const asksForSessions = e.source.getItems()
+      .some(item => item.getTitle().indexOf(REGISTRATION_QUESTION_PREFIX) === 0);
     
     // Process each item response
     itemResponses.forEach(itemResponse => {
@@ -378,14 +397,28 @@ function processRegistrationForm(e) {
         if (answer) {
           data.notes += `${question}: ${answer}\n`;
         }
+      } else if (question.indexOf(REGISTRATION_QUESTION_PREFIX) === 0) {
+        (answer || []).forEach(choice => {
+          const id = parseSessionReference(choice);
+          if (id) sessionIds.push(id);
+        });
       }
     });
     
     // Add or update the person in the People sheet
     addOrUpdatePersonInPeopleSheet(data);
     
+    // Record the breakout choices and close any session that is now full
+    if (asksForSessions) {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      recordSessionRegistrations(ss, data.name, data.email, sessionIds);
+      syncRegistrationForm(e.source, ss);
+    }
+    recordAutomationRun('processRegistrationForm');
+    
   } catch (error) {
     Logger.log(`Error processing registration form submission: ${error}`);
+    recordAutomationRun('processRegistrationForm', error);
   }
 }
 
@@ -443,9 +476,11 @@ function processVolunteerForm(e) {
     
     // Add or update the person in the People sheet
     addOrUpdatePersonInPeopleSheet(data);
+    recordAutomationRun('processVolunteerForm');
     
   } catch (error) {
     Logger.log(`Error processing volunteer form submission: ${error}`);
+    recordAutomationRun('processVolunteerForm', error);
   }
 }
 
@@ -482,6 +517,14 @@ function processSpeakerForm(e) {
         data.phone = answer;
       } else if (question === 'Session Title') {
         data.role = answer;
+      } else if (question === AVAILABILITY_HEADER) {
+        data.availability = readAvailabilityResponse(itemResponse);
+      } else if (question === TIME_ZONE_HEADER) {
+        if (isValidTimeZone(answer)) {
+          data.timeZone = answer.trim();
+        } else if (answer) {
+          data.notes += `${question}: ${answer}\n`;
+        }
       } else if (question === 'Session Description' || 
                 question === 'Speaker Bio' ||
                 question === 'Headshot Photo Link' ||
@@ -496,13 +539,20 @@ function processSpeakerForm(e) {
           }
         }
       }
+      
+      // AV needs also get their own column, so rooms can be checked for the gear
+      if (question === 'AV/Technical Requirements') {
+        data.avNeeds = Array.isArray(answer) ? answer.join(', ') : (answer || '');
+      }
     });
     
     // Add or update the person in the People sheet
     addOrUpdatePersonInPeopleSheet(data);
+    recordAutomationRun('processSpeakerForm');
     
   } catch (error) {
     Logger.log(`Error processing speaker form submission: ${error}`);
+    recordAutomationRun('processSpeakerForm', error);
   }
 }
 
@@ -519,6 +569,14 @@ function addOrUpdatePersonInPeopleSheet(data) {
     return;
   }
   
+  // Columns only some forms fill; People sheets set up before they existed get them on first use
+  const optionalColumns = [
+    { key: 'availability', header: AVAILABILITY_HEADER, width: 260 },
+    { key: 'avNeeds', header: AV_NEEDS_HEADER, width: 200 },
+    { key: 'timeZone', header: TIME_ZONE_HEADER, width: 150 }
+  ].filter(column => data[column.key] !== undefined);
+  optionalColumns.forEach(column => _ensureColumn(peopleSheet, column.header, column.width));
+  
   // Get the headers to ensure we're adding data to the right columns
   const headers = peopleSheet.getRange(1, 1, 1, peopleSheet.getLastColumn()).getValues()[0];
   
@@ -558,6 +616,9 @@ function addOrUpdatePersonInPeopleSheet(data) {
   if (statusColIndex) rowData[statusColIndex - 1] = data.status || '';
   if (emailColIndex) rowData[emailColIndex - 1] = data.email || '';
   if (phoneColIndex) rowData[phoneColIndex - 1] = data.phone || '';
+  optionalColumns.forEach(column => {
+    rowData[findColumnIndex(headers, column.header)] = data[column.key];
+  });
   
   // Update or add the row
   if (existingRowIndex !== -1) {
@@ -572,10 +633,10 @@ function addOrUpdatePersonInPeopleSheet(data) {
       rowData[assignedTasksColIndex - 1] = '';
     }
     
-    // Fill any undefined values with empty strings
+    // Keep existing values (e.g. Campaigns Sent) for columns the form doesn't manage
     for (let i = 0; i < headers.length; i++) {
       if (rowData[i] === undefined) {
-        rowData[i] = '';
+        rowData[i] = allData[existingRowIndex][i];
       }
     }
     
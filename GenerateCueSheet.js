@@ -59,8 +59,8 @@ function createPrintReadyHeader(sheet, eventInfo) {
   sheet.setRowHeight(1, 40);
 
   // --- Event & Crew Info Section ---
-  const eventDate = eventInfo.startDate ? eventInfo.startDate.toLocaleDateString() : 'TBD';
-  const generatedTime = new Date().toLocaleString();
+  const eventDate = eventInfo.startDate ? formatDate(eventInfo.startDate, 'EEEE, MMMM d, yyyy') : 'TBD';
+  const generatedTime = formatDate(new Date(), 'yyyy-MM-dd h:mm a');
 
   // Create the info table
   const infoData = [
@@ -150,20 +150,8 @@ function populateProfessionalCueSheet(cueSheet, cueData, ss) {
   const scheduleSheet = ss.getSheetByName('Schedule');
   if (!scheduleSheet) throw new Error('"Schedule" sheet not found.');
 
-  const scheduleData = scheduleSheet.getDataRange().getValues();
-  const scheduleHeaders = scheduleData[0].map(h => h.toString().toLowerCase());
-  const scheduleTitleIndex = scheduleHeaders.indexOf('session title');
-  const scheduleTimeIndex = scheduleHeaders.indexOf('start time');
-
-  // Create a map for quick lookup of schedule item start times
-  const scheduleTimeMap = new Map();
-  scheduleData.slice(1).forEach(row => {
-    const title = row[scheduleTitleIndex];
-    const time = row[scheduleTimeIndex];
-    if (title && time) {
-      scheduleTimeMap.set(title, time);
-    }
-  });
+  // Sessions keyed by Session ID, so two blocks with the same title keep their own start times
+  const sessions = ensureSessionIds(ss);
 
   let runningTime = null;
   let currentScheduleItem = '';
@@ -174,7 +162,8 @@ function populateProfessionalCueSheet(cueSheet, cueData, ss) {
     // Check if we are starting a new section
     if (cue.scheduleItem !== currentScheduleItem) {
       currentScheduleItem = cue.scheduleItem;
-      const scheduleStartTime = scheduleTimeMap.get(currentScheduleItem);
+      const session = resolveSessionReference(currentScheduleItem, sessions);
+      const scheduleStartTime = session ? parseTimeString(session.startTime) : null;
       if (scheduleStartTime instanceof Date) {
         runningTime = new Date(scheduleStartTime.getTime());
       } else {
@@ -182,7 +171,8 @@ function populateProfessionalCueSheet(cueSheet, cueData, ss) {
       }
       
       // Add a visual separator row for the new section (9 columns total)
-      const separatorRow = ['', '', '', `--- ${currentScheduleItem.toUpperCase()} ---`, '', '', '', '', ''];
+      const sectionTitle = session ? session.title : currentScheduleItem.toString();
+      const separatorRow = ['', '', '', `--- ${sectionTitle.toUpperCase()} ---`, '', '', '', '', ''];
       outputData.push(separatorRow);
     }
 
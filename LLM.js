@@ -0,0 +1,223 @@
+//LLM.gs - One chat-completion call for every AI generator, with the provider, model and endpoint set in Config
+
+/**
+ * Configuration constants
+ */
+const AI_PROVIDER_KEY = 'AI Provider';
+const AI_BASE_URL_KEY = 'AI Base URL';
+const AI_API_KEY_KEY = 'AI API Key';
+const AI_API_KEY_PROPERTY = 'AI_API_KEY';
+const AI_MODEL_KEY = 'AI Model';
+const AI_TEMPERATURE_KEY = 'AI Temperature';
+const AI_MAX_TOKENS_KEY = 'AI Max Tokens';
+const DEFAULT_AI_PROVIDER = 'OpenAI';
+const DEFAULT_AI_TEMPERATURE = 0.7;
+const DEFAULT_AI_MAX_TOKENS = 4000;
+
+/**
+ * Supported providers. Each one turns a list of chat messages into a request and
+ * reads the reply text back out. To add a vendor, add an entry here and list its
+ * name in the Config "AI Provider" note.
+ * Messages are { role: 'system'|'user'|'assistant', content }.
+ */
+const LLM_PROVIDERS = {
+  // api.openai.com
+  'OpenAI': {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    needsKey: true,
+    buildRequest: _buildChatCompletionRequest,
+    readReply: _readChatCompletionReply
+  },
+  // Any server with the same /chat/completions API: self-hosted (Ollama, LM Studio, vLLM), proxies, other vendors
+  'OpenAI-Compatible': {
+    baseUrl: '',
+    model: '',
+    needsKey: false,
+    buildRequest: _buildChatCompletionRequest,
+    readReply: _readChatCompletionReply
+  },
+  'Anthropic': {
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    needsKey: true,
+    buildRequest: (settings, messages) => ({
+      url: `${settings.baseUrl}/messages`,
+      headers: { 'x-api-key': settings.apiKey, 'anthropic-version': '2023-06-01' },
+      body: {
+        model: settings.model,
+        system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n') || undefined,
+        messages: messages.filter(m => m.role !== 'system').map(m => ({ role: m.role, content: m.content })),
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens
+      }
+    }),
+    readReply: json => (json.content || []).filter(part => part.type === 'text').map(part => part.text).join('')
+  },
+  'Gemini': {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-1.5-flash',
+    needsKey: true,
+    buildRequest: (settings, messages) => {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      return {
+        url: `${settings.baseUrl}/models/${encodeURIComponent(settings.model)}:generateContent`,
+        headers: { 'x-goog-api-key': settings.apiKey },
+        body: {
+          systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+          contents: messages.filter(m => m.role !== 'system').map(m => ({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: m.content }]
+          })),
+          generationConfig: { temperature: settings.temperature, maxOutputTokens: settings.maxTokens }
+        }
+      };
+    },
+    readReply: json => {
+      const candidate = (json.candidates || [])[0];
+      return candidate && candidate.content ? candidate.content.parts.map(part => part.text || '').join('') : '';
+    }
+  }
+};
+
+/**
+ * Reads the AI settings from Config. Blank values fall back to the provider's defaults.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet (optional)
+ * @return {Object} Settings with provider, baseUrl, model, temperature, maxTokens, apiKey and apiKeySource
+ */
+function getLLMSettings(ss) {
+  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const configured = _getConfigValue(ss, AI_PROVIDER_KEY, DEFAULT_AI_PROVIDER).toString().trim().toLowerCase();
+  const provider = Object.keys(LLM_PROVIDERS).find(name => name.toLowerCase() === configured) || DEFAULT_AI_PROVIDER;
+  const defaults = LLM_PROVIDERS[provider];
+
+  const temperature = Number(_getConfigValue(ss, AI_TEMPERATURE_KEY, DEFAULT_AI_TEMPERATURE));
+  const maxTokens = Number(_getConfigValue(ss, AI_MAX_TOKENS_KEY, DEFAULT_AI_MAX_TOKENS));
+  const baseUrl = (_getConfigValue(ss, AI_BASE_URL_KEY, '').toString().trim() || defaults.baseUrl).replace(/\/+$/, '');
+  const usesOpenAIKey = _usesOpenAIKey(provider, baseUrl);
+  const apiKey = usesOpenAIKey ? getOpenAIApiKey() : _getAIApiKey(ss);
+
+  return {
+    provider: provider,
+    unknownProvider: configured !== provider.toLowerCase() ? configured : '',
+    baseUrl: baseUrl,
+    model: _getConfigValue(ss, AI_MODEL_KEY, '').toString().trim() || defaults.model,
+    temperature: isNaN(temperature) ? DEFAULT_AI_TEMPERATURE : temperature,
+    maxTokens: maxTokens > 0 ? Math.round(maxTokens) : DEFAULT_AI_MAX_TOKENS,
+    apiKey: apiKey ? apiKey.toString().trim() : '',
+    apiKeySource: usesOpenAIKey ? 'OpenAI API Key' : AI_API_KEY_KEY
+  };
+}
+
+/**
+ * Checks that the AI settings are complete enough to make a call
+ * @param {Object} settings Settings from getLLMSettings()
+ * @return {string|null} What to fix in Config, or null if the settings are usable
+ */
+function getLLMSettingsProblem(settings) {
+  const provider = LLM_PROVIDERS[settings.provider];
+
+  if (settings.unknownProvider) {
+    return `"${settings.unknownProvider}" is not a supported AI Provider. Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}.`;
+  }
+  if (!settings.baseUrl) {
+    return `Set the AI Base URL in the Config sheet for the ${settings.provider} provider, e.g. "http://localhost:11434/v1".`;
+  }
+  if (!settings.model) {
+    return `Set the AI Model in the Config sheet for the ${settings.provider} provider.`;
+  }
+  if (provider.needsKey && !settings.apiKey) {
+    return `${settings.provider} needs an API key. Add it to the "${settings.apiKeySource}" row of the Config sheet or save it to Script Properties.`;
+  }
+  return null;
+}
+
+/**
+ * Sends a conversation to the configured provider and returns the reply text
+ * @param {Array} messages Chat messages as { role, content }, role being 'system', 'user' or 'assistant'
+ * @param {Object} overrides Settings to change for this call only, e.g. { maxTokens: 10 } (optional)
+ * @return {string} The model's reply
+ */
+function callLLM(messages, overrides) {
+  const settings = Object.assign(getLLMSettings(), overrides || {});
+  const problem = getLLMSettingsProblem(settings);
+  if (problem) throw new Error(problem);
+
+  const provider = LLM_PROVIDERS[settings.provider];
+  const request = provider.buildRequest(settings, messages);
+
+  Logger.log(`Calling ${settings.provider} (${settings.model}) at ${request.url}...`);
+  const response = UrlFetchApp.fetch(request.url, {
+    method: 'post',
+    contentType: 'application/json',
+    headers: request.headers,
+    payload: JSON.stringify(request.body),
+    muteHttpExceptions: true
+  });
+
+  const responseCode = response.getResponseCode();
+  if (responseCode !== 200) {
+    Logger.log(`${settings.provider} API Error (${responseCode}): ${response.getContentText()}`);
+    throw new Error(`${settings.provider} API returned error code: ${responseCode}`);
+  }
+
+  const reply = provider.readReply(JSON.parse(response.getContentText()));
+  if (!reply) {
+    throw new Error(`${settings.provider} returned an empty reply`);
+  }
+
+  Logger.log(`Received ${reply.length} chars from ${settings.provider}`);
+  return reply;
+}
+
+/**
+ * Checks whether a call goes to OpenAI's own API. The OpenAI API Key is only
+ * ever sent there; every other provider or address uses the AI API Key.
+ * @param {string} provider Provider name
+ * @param {string} baseUrl The configured base URL
+ * @return {boolean} True for OpenAI at its default address
+ */
+function _usesOpenAIKey(provider, baseUrl) {
+  return provider === 'OpenAI' && baseUrl === LLM_PROVIDERS['OpenAI'].baseUrl;
+}
+
+/**
+ * Gets the key for providers other than OpenAI, from Script Properties or the Config sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {string} The key, or "" if none is set
+ */
+function _getAIApiKey(ss) {
+  const stored = PropertiesService.getScriptProperties().getProperty(AI_API_KEY_PROPERTY);
+  return (stored || _getConfigValue(ss, AI_API_KEY_KEY, '')).toString().trim();
+}
+
+/**
+ * Builds a /chat/completions request, shared by OpenAI and compatible servers
+ * @param {Object} settings Settings from getLLMSettings()
+ * @param {Array} messages Chat messages
+ * @return {Object} Object with url, headers and body
+ */
+function _buildChatCompletionRequest(settings, messages) {
+  return {
+    url: `${settings.baseUrl}/chat/completions`,
+    // Self-hosted servers usually run without a key
+    headers: settings.apiKey ? { 'Authorization': 'Bearer ' + settings.apiKey } : {},
+    body: {
+      model: settings.model,
+      messages: messages,
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens
+    }
+  };
+}
+
+/**
+ * Reads the reply text from a /chat/completions response
+ * @param {Object} json The parsed response
+ * @return {string} The reply text
+ */
+function _readChatCompletionReply(json) {
+  const choice = (json.choices || [])[0];
+  return choice && choice.message ? choice.message.content || '' : '';
+}
@@ -0,0 +1,152 @@
+//LockedSessions.gs - Confirmed and Locked sessions that AI schedule generation plans around
+
+/**
+ * Configuration constants
+ */
+const LOCKED_HEADER = 'Locked';
+const MIN_OPEN_TIME = 15; // Minutes; shorter gaps between fixed sessions are not offered to the AI
+
+/**
+ * Adds the Locked checkbox column to the Schedule sheet if it is missing
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @return {number} The column number
+ */
+function ensureLockedColumn(sheet) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const index = findColumnIndex(headers, LOCKED_HEADER);
+  if (index !== -1) return index + 1;
+
+  const col = _ensureColumn(sheet, LOCKED_HEADER, 70);
+  sheet.getRange(2, col, sheet.getMaxRows() - 1, 1).insertCheckboxes();
+  sheet.getRange(1, col).setNote('Checked sessions are kept as they are when the schedule is generated again. ' +
+    'Confirmed sessions are always kept.');
+  return col;
+}
+
+/**
+ * Checks whether a Schedule row is fixed: Confirmed, or with Locked checked
+ * @param {Array} row The row values
+ * @param {number} lockedIndex 0-based index of the Locked column, or -1 if there is none
+ * @return {boolean} True if the session must not be moved or removed
+ */
+function isLockedScheduleRow(row, lockedIndex) {
+  if (!row[4] || !row[4].toString().trim()) return false;
+  return row[7] === 'Confirmed' || (lockedIndex !== -1 && row[lockedIndex] === true);
+}
+
+/**
+ * Reads the fixed sessions from the Schedule sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Sessions as { id, row, date (yyyy-MM-dd), start, end, startTime, endTime, title, lead, location }
+ */
+function getLockedSessions(ss) {
+  const sheet = ss.getSheetByName('Schedule');
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const lockedIndex = findColumnIndex(data[0], LOCKED_HEADER);
+  const idIndex = findColumnIndex(data[0], SESSION_ID_HEADER);
+  const sessions = [];
+
+  data.slice(1).forEach((row, index) => {
+    if (!isLockedScheduleRow(row, lockedIndex)) return;
+
+    const start = _minutesOfDay(parseTimeString(row[1]));
+    const end = _minutesOfDay(parseTimeString(row[2]));
+    if (!(row[0] instanceof Date) || start === null || end === null || end <= start) {
+      Logger.log(`Schedule row ${index + 2} is locked but has no usable date and times, so it cannot be planned around`);
+      return;
+    }
+
+    sessions.push({
+      id: idIndex !== -1 ? row[idIndex].toString() : '',
+      row: index + 2,
+      date: formatDate(row[0]),
+      start: start,
+      end: end,
+      startTime: _formatMinutes(start),
+      endTime: _formatMinutes(end),
+      title: row[4].toString().trim(),
+      lead: row[5] ? row[5].toString().trim() : '',
+      location: row[6] ? row[6].toString().trim() : ''
+    });
+  });
+
+  return sessions;
+}
+
+/**
+ * Finds the fixed session a generated session would overlap. In a multi-track
+ * schedule only a session in the same location counts.
+ * @param {Object} item Schedule item with date (yyyy-MM-dd), startTime, endTime and location
+ * @param {Array} lockedSessions Sessions from getLockedSessions()
+ * @param {boolean} multiTrack Whether sessions in different locations may run at the same time
+ * @return {Object|null} The overlapped session, or null
+ */
+function findLockedSessionClash(item, lockedSessions, multiTrack) {
+  const start = _minutesOfDay(parseTimeString(item.startTime));
+  const end = _minutesOfDay(parseTimeString(item.endTime));
+
+  return lockedSessions.find(session =>
+    session.date === item.date && start < session.end && end > session.start &&
+    (!multiTrack || session.location.toLowerCase() === (item.location || '').toLowerCase())) || null;
+}
+
+/**
+ * Writes the fixed sessions section of the schedule prompt, with the open times
+ * left on each day for the AI to fill
+ * @param {Object} eventDetails Event details with days and lockedSessions
+ * @param {boolean} multiTrack Whether sessions in different locations may run at the same time
+ * @return {string} The section, or "" if no session is fixed
+ */
+function formatLockedSessionsForPrompt(eventDetails, multiTrack) {
+  const days = eventDetails.days || [];
+  const locked = (eventDetails.lockedSessions || [])
+    .filter(session => days.some(day => formatDate(day.date) === session.date));
+  if (locked.length === 0) return '';
+
+  const lines = locked.map(session =>
+    `- ${session.date} ${session.startTime}-${session.endTime}: ${session.title}` + (session.location ? ` (${session.location})` : ''));
+
+  let section = `
+FIXED SESSIONS (already confirmed - they stay exactly as they are):
+${lines.join('\n')}
+- Do NOT include these sessions in your reply, and do not add another session with the same purpose
+`;
+
+  if (multiTrack) {
+    return section + `- A fixed session's location is taken during its time; other locations may be used at the same time
+`;
+  }
+
+  const open = days.map(day => {
+    const key = formatDate(day.date);
+    const gaps = _openTimes(day, locked.filter(session => session.date === key));
+    return `- ${key}: ` + (gaps.length > 0
+      ? gaps.map(gap => `${_formatMinutes(gap.start)}-${_formatMinutes(gap.end)}`).join(', ')
+      : 'fully booked, add no sessions on this day');
+  });
+  return section + `
+OPEN TIMES TO FILL (new sessions must fit entirely inside these):
+${open.join('\n')}
+`;
+}
+
+/**
+ * Lists the times in a day's window not taken by fixed sessions
+ * @param {Object} day Day from getEventDays()
+ * @param {Array} sessions Fixed sessions on that day
+ * @return {Array} Gaps as { start, end } in minutes of the day
+ */
+function _openTimes(day, sessions) {
+  const gaps = [];
+  let from = day.start;
+
+  sessions.slice().sort((a, b) => a.start - b.start).forEach(session => {
+    if (session.start - from >= MIN_OPEN_TIME) gaps.push({ start: from, end: Math.min(session.start, day.end) });
+    from = Math.max(from, session.end);
+  });
+  if (day.end - from >= MIN_OPEN_TIME) gaps.push({ start: from, end: day.end });
+
+  return gaps.filter(gap => gap.end - gap.start >= MIN_OPEN_TIME);
+}
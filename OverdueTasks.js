@@ -0,0 +1,204 @@
+//OverdueTasks.gs - Daily overdue task flagging and escalation
+
+/**
+ * Configuration constants
+ */
+const DAYS_OVERDUE_HEADER = 'Days Overdue';
+const ESCALATED_ON_HEADER = 'Escalated On';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a task is past its due date and still open
+ * @param {Date} dueDate The task's due date
+ * @param {string} status The task's status
+ * @param {Date} today Today's date at midnight
+ * @return {boolean} True if the task is overdue
+ */
+function isTaskOverdue(dueDate, status, today) {
+  if (status === 'Done' || status === 'Cancelled') return false;
+  if (!(dueDate instanceof Date)) return false;
+
+  return _startOfDay(dueDate).getTime() < today.getTime();
+}
+
+/**
+ * Flags every open task that is past its due date and escalates long-overdue tasks.
+ * The task's Status is left untouched; the "Days Overdue" column carries the flag.
+ * Called from dailyTrigger.
+ * @return {Object} Object with overdue and escalated counts
+ */
+function flagOverdueTasks() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const taskSheet = ss.getSheetByName('Task Management');
+  const result = { overdue: 0, escalated: 0 };
+
+  if (!taskSheet || taskSheet.getLastRow() <= 1) return result;
+
+  const overdueCol = _ensureColumn(taskSheet, DAYS_OVERDUE_HEADER, 110);
+  const escalatedCol = _ensureColumn(taskSheet, ESCALATED_ON_HEADER, 120);
+
+  const taskData = taskSheet.getDataRange().getValues();
+  const headers = taskData[0];
+
+  const taskIdIndex = findColumnIndex(headers, 'task id');
+  const taskNameIndex = findColumnIndex(headers, 'task name');
+  const ownerIndex = findColumnIndex(headers, 'owner');
+  const dueDateIndex = findColumnIndex(headers, 'due date');
+  const statusIndex = findColumnIndex(headers, 'status');
+
+  if (taskNameIndex === -1 || dueDateIndex === -1 || statusIndex === -1) {
+    Logger.log('Required columns not found in Task Management sheet');
+    return result;
+  }
+
+  const today = _startOfDay(new Date());
+
+  const escalationDays = parseInt(_getConfigValue(ss, 'Overdue Escalation (days)', 0), 10) || 0;
+
+  const overdueValues = [];
+  const escalatedValues = [];
+  const fontColors = [];
+  const toEscalate = [];
+
+  for (let i = 1; i < taskData.length; i++) {
+    const row = taskData[i];
+    let daysOverdue = '';
+    let escalatedOn = row[escalatedCol - 1];
+
+    if (row[taskNameIndex] && isTaskOverdue(row[dueDateIndex], row[statusIndex], today)) {
+      const due = _startOfDay(row[dueDateIndex]);
+      daysOverdue = Math.round((today.getTime() - due.getTime()) / MS_PER_DAY);
+      result.overdue++;
+
+      if (escalationDays > 0 && daysOverdue >= escalationDays && !escalatedOn) {
+        toEscalate.push({
+          id: taskIdIndex !== -1 ? row[taskIdIndex] : '',
+          name: row[taskNameIndex],
+          owner: ownerIndex !== -1 && row[ownerIndex] ? row[ownerIndex].toString().trim() : '',
+          dueDate: row[dueDateIndex],
+          daysOverdue: daysOverdue,
+          rowIndex: i
+        });
+      }
+    } else {
+      // Task is no longer overdue - reset so a future slip escalates again
+      escalatedOn = '';
+    }
+
+    overdueValues.push([daysOverdue]);
+    escalatedValues.push([escalatedOn]);
+    fontColors.push([daysOverdue !== '' ? '#cc0000' : '#000000']);
+  }
+
+  // Escalate and stamp the rows that were delivered
+  escalateOverdueTasks(ss, toEscalate).forEach(rowIndex => {
+    escalatedValues[rowIndex - 1][0] = today;
+    result.escalated++;
+  });
+
+  const dataRows = taskData.length - 1;
+  taskSheet.getRange(2, overdueCol, dataRows, 1)
+    .setValues(overdueValues)
+    .setFontColors(fontColors)
+    .setFontWeight('bold');
+  taskSheet.getRange(2, escalatedCol, dataRows, 1)
+    .setValues(escalatedValues)
+    .setNumberFormat('yyyy-mm-dd');
+
+  Logger.log(`Overdue check: ${result.overdue} overdue, ${result.escalated} escalated`);
+  return result;
+}
+
+/**
+ * Emails each escalation contact a single list of their long-overdue tasks
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {Array} tasks Task objects with id, name, owner, dueDate, daysOverdue and rowIndex
+ * @return {Array} Row indexes (into the task data) of tasks whose escalation was sent
+ */
+function escalateOverdueTasks(ss, tasks) {
+  const escalated = [];
+  if (tasks.length === 0) return escalated;
+
+  const contacts = getPeopleContacts(ss);
+  const managers = getPeopleManagers(ss);
+  const escalateTo = _getConfigValue(ss, 'Escalate Overdue To', 'Manager').toString().trim().toLowerCase();
+  const eventLead = _getConfigValue(ss, 'Event Lead', '').toString().trim();
+  const eventInfo = getEventInformation();
+
+  // Group tasks by the person they escalate to
+  const byRecipient = {};
+  tasks.forEach(task => {
+    let recipient = '';
+    if (escalateTo === 'manager' && task.owner) {
+      recipient = managers[task.owner.toLowerCase()] || '';
+    }
+    if (!recipient) recipient = eventLead;
+
+    if (!recipient || !contacts[recipient.toLowerCase()]) {
+      logEmailSend({
+        type: 'Overdue Escalation',
+        name: recipient,
+        email: '',
+        subject: task.name,
+        reference: task.id,
+        status: 'Failed',
+        error: recipient ? 'Escalation contact not found in People sheet' : 'No manager or Event Lead configured'
+      });
+      return;
+    }
+
+    const key = recipient.toLowerCase();
+    if (!byRecipient[key]) byRecipient[key] = [];
+    byRecipient[key].push(task);
+  });
+
+  Object.keys(byRecipient).forEach(key => {
+    const contact = contacts[key];
+    const recipientTasks = byRecipient[key];
+
+    const lines = recipientTasks.map(task =>
+      `• ${task.name}${task.id ? ' (' + task.id + ')' : ''} - owner: ${task.owner || 'unassigned'}, ` +
+      `due ${formatDate(task.dueDate)}, ${task.daysOverdue} days overdue`);
+
+    const eventName = eventInfo && eventInfo.eventName ? eventInfo.eventName : 'the event';
+    const sent = sendLoggedEmail({
+      to: contact.email,
+      name: contact.name,
+      subject: `Overdue tasks for ${eventName}`,
+      body: `Hi ${contact.name},\n\nThe following tasks for ${eventName} are overdue and need attention:\n\n` +
+        lines.join('\n') + '\n\nPlease follow up with the task owners.',
+      type: 'Overdue Escalation',
+      reference: recipientTasks.map(task => task.id || task.name).join(', ')
+    });
+
+    if (sent) {
+      recipientTasks.forEach(task => escalated.push(task.rowIndex));
+    }
+  });
+
+  return escalated;
+}
+
+/**
+ * Reads each person's manager from the People sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Map of lowercase person name to manager name
+ */
+function getPeopleManagers(ss) {
+  const managers = {};
+  const peopleSheet = ss.getSheetByName('People');
+  if (!peopleSheet) return managers;
+
+  const data = peopleSheet.getDataRange().getValues();
+  const nameIndex = findColumnIndex(data[0], 'name');
+  const managerIndex = findColumnIndex(data[0], 'manager');
+  if (nameIndex === -1 || managerIndex === -1) return managers;
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][nameIndex] && data[i][managerIndex]) {
+      managers[data[i][nameIndex].toString().trim().toLowerCase()] = data[i][managerIndex].toString().trim();
+    }
+  }
+
+  return managers;
+}
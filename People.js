@@ -151,8 +151,7 @@ function createSpeakerTask(spreadsheet, speakerName) {
     }
     
     // Calculate due date (2 days before event)
-    const dueDate = new Date(startDateValue);
-    dueDate.setDate(dueDate.getDate() - 2);
+    const dueDate = addDays(startDateValue, -2);
     
     // Get the last row in the Task Management sheet
     const lastRow = taskMgmtSheet.getLastRow();
@@ -252,13 +251,13 @@ function setupPeopleSheet(ss, addSampleData = true) {
   }
   
   // Define headers - REMOVED Google Form Responses and Form Submission Date columns
-  const headers = ['Name', 'Category', 'Role/Position', 'Status', 'Email', 'Phone', 'Assigned Tasks'];
+  const headers = ['Name', 'Category', 'Role/Position', 'Status', 'Email', 'Phone', 'Assigned Tasks', 'Campaigns Sent', 'Manager', AVAILABILITY_HEADER, AV_NEEDS_HEADER, TIME_ZONE_HEADER];
   
   // Set header values
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
   
   // Set column widths
-  const widths = [150, 120, 150, 120, 200, 120, 200];
+  const widths = [150, 120, 150, 120, 200, 120, 200, 250, 150, 260, 200, 150];
   for (let i = 0; i < headers.length; i++) {
     if (i < widths.length) {
       sheet.setColumnWidth(i + 1, widths[i]);
@@ -271,8 +270,8 @@ function setupPeopleSheet(ss, addSampleData = true) {
   // Apply sample data if requested
   if (addSampleData) {
     const sampleData = [
-      ['Jane Doe', 'Staff', 'Event Manager', 'Active', 'jane@example.com', '555-1234', ''],
-      ['John Smith', 'Volunteer', 'Setup Crew', 'Active', 'john@example.com', '555-5678', '']
+      ['Jane Doe', 'Staff', 'Event Manager', 'Active', 'jane@example.com', '555-1234', '', '', '', '', '', ''],
+      ['John Smith', 'Volunteer', 'Setup Crew', 'Active', 'john@example.com', '555-5678', '', '', '', '', '', '']
     ];
     sheet.getRange(2, 1, sampleData.length, headers.length).setValues(sampleData);
   }
@@ -289,6 +288,9 @@ function setupPeopleSheet(ss, addSampleData = true) {
   // Apply to data rows ONLY (rows 2-900, not header row)
   sheet.getRange(2, 2, 899, 1).setDataValidation(categoryRule); // Category (column B)
   sheet.getRange(2, 4, 899, 1).setDataValidation(statusRule); // Status (column D)
+  sheet.getRange(1, headers.indexOf(TIME_ZONE_HEADER) + 1)
+    .setNote('Only needed for people outside the event timezone, e.g. "Europe/London". ' +
+      'Their reminder emails and calendar agendas then show their own times as well.');
   
   // Format headers with blue background and white text
   sheet.getRange(1, 1, 1, headers.length)
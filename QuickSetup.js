@@ -0,0 +1,192 @@
+//QuickSetup.gs - Multi-step wizard that builds a new event workbook
+
+/**
+ * Shows the Quick Event Setup wizard dialog
+ * Called from the Event Planner Setup menu
+ */
+function showQuickEventSetup() {
+  const html = HtmlService.createHtmlOutputFromFile('QuickSetupWizard')
+    .setWidth(520)
+    .setHeight(560);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Quick Event Setup');
+}
+
+/**
+ * Returns defaults used to pre-fill the wizard fields
+ * Called from QuickSetupWizard.html via google.script.run
+ * @return {Object} Default values for the wizard
+ */
+function getQuickSetupDefaults() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lists = _getConfigLists(ss);
+
+  return {
+    eventTypes: lists['Event Type'] && lists['Event Type'].length ? lists['Event Type'] : ['Single', 'Multi'],
+    locations: (lists['Location List'] || ['Main Hall', 'Room 101', 'Room 102', 'Outdoor Area']).join(', '),
+    owners: (lists['Owners'] || []).join(', '),
+    timeZone: getEventTimeZone(ss),
+    hasExistingData: !isSpreadsheetBlank()
+  };
+}
+
+/**
+ * Creates and wires up every planner sheet from the wizard answers
+ * Called from QuickSetupWizard.html via google.script.run
+ * @param {Object} form Wizard answers (eventName, eventType, startDate, startTime, endDate, endTime, timeZone, locations, owners, ...)
+ * @return {Object} Summary with the list of sheets that were set up
+ */
+function runQuickEventSetup(form) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!form || !form.eventName || !form.startDate) {
+    throw new Error('Event name and start date are required.');
+  }
+  if (form.timeZone && !isValidTimeZone(form.timeZone)) {
+    throw new Error(`"${form.timeZone}" is not a timezone. Use an ID such as "America/New_York" or "Europe/Berlin".`);
+  }
+
+  const locations = _splitWizardList(form.locations);
+  const owners = _splitWizardList(form.owners);
+  const completed = [];
+
+  // Step 1: Config first - every other sheet reads its lists from here
+  setupConfigSheet(true);
+  const configSheet = ss.getSheetByName('Config');
+  if (locations.length > 0) _setConfigValue(configSheet, 'Location List', locations.join(','));
+  if (owners.length > 0) _setConfigValue(configSheet, 'Owners', owners.join(','));
+  if (form.timeZone) _setConfigValue(configSheet, EVENT_TIMEZONE_KEY, form.timeZone);
+  applyEventTimeZone(ss);
+  completed.push('Config');
+
+  // The wizard's dates are read in the event timezone, so only once it is set
+  const startDate = _parseWizardDateTime(form.startDate, form.startTime || '09:00');
+  const endDate = _parseWizardDateTime(form.endDate || form.startDate, form.endTime || '17:00');
+
+  if (!startDate || !endDate) {
+    throw new Error('Could not read the event dates. Please use the date pickers.');
+  }
+  if (endDate < startDate) {
+    throw new Error('The event end must be after the event start.');
+  }
+
+  // Rooms catalog from the wizard's locations - the Schedule's Location dropdown reads it
+  setupRoomsSheet(ss);
+  completed.push('Rooms');
+
+  // Step 2: Event Description - read by the generators, forms, and dashboard
+  const isMultiDay = !areSameDates(startDate, endDate);
+  setupEventDescriptionSheet(ss, {
+    eventName: form.eventName,
+    eventType: form.eventType || (isMultiDay ? 'Multi' : 'Single'),
+    startDate: startDate,
+    endDate: endDate,
+    location: form.venue || locations[0] || '',
+    theme: form.theme || '',
+    targetAudience: form.targetAudience || '',
+    attendanceGoal: form.attendanceGoal || ''
+  });
+  completed.push('Event Description');
+
+  // Every event day starts with the event's own hours; they can be changed per day afterwards
+  if (setupEventDaysSheet(ss)) completed.push('Event Days');
+
+  // Step 3: People before Schedule/Tasks so the Lead and Owner dropdowns have names
+  setupPeopleSheet(ss, false);
+  completed.push('People');
+
+  // Step 4: Schedule and Task Management
+  setupScheduleSheet(ss, false);
+  completed.push('Schedule');
+
+  setupTaskManagementSheet(ss, false);
+  completed.push('Task Management');
+
+  // Step 5: Budget - setupBudgetSheet expects the sheet to exist already
+  _getOrCreateSheet(ss, 'Budget', '#38761d');
+  setupBudgetSheet(true);
+  completed.push('Budget');
+
+  // Step 6: Wire Config lists into every dropdown, then build the Dashboard
+  updateAllDropdowns(true);
+  setupDashboard();
+  completed.push('Dashboard');
+
+  // Remove the untouched default sheet left over from a blank spreadsheet
+  _removeBlankDefaultSheet(ss);
+
+  // Open on the Event Description sheet so the user can keep filling it out
+  ss.setActiveSheet(ss.getSheetByName('Event Description'));
+
+  Logger.log(`Quick Event Setup completed for "${form.eventName}": ${completed.join(', ')}`);
+
+  return {
+    eventName: form.eventName,
+    sheets: completed
+  };
+}
+
+/**
+ * Writes a value into column B of a Config row identified by its key
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} configSheet The Config sheet
+ * @param {string} key The key in column A
+ * @param {string} value The value to write
+ * @return {boolean} True if the key was found
+ */
+function _setConfigValue(configSheet, key, value) {
+  if (!configSheet) return false;
+
+  const row = findRowByValue(configSheet, key);
+  if (!row) {
+    Logger.log(`Config key not found: ${key}`);
+    return false;
+  }
+
+  configSheet.getRange(row, 2).setValue(value);
+  return true;
+}
+
+/**
+ * Converts the wizard's yyyy-mm-dd and HH:MM inputs into a Date
+ * @param {string} dateStr Date from an <input type="date">
+ * @param {string} timeStr Time from an <input type="time">
+ * @return {Date|null} The combined date, or null if parsing fails
+ */
+function _parseWizardDateTime(dateStr, timeStr) {
+  const dateMatch = String(dateStr || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!dateMatch) return null;
+
+  const timeMatch = String(timeStr || '').match(/^(\d{1,2}):(\d{2})/);
+  const hours = timeMatch ? parseInt(timeMatch[1], 10) : 0;
+  const minutes = timeMatch ? parseInt(timeMatch[2], 10) : 0;
+
+  return _eventDateTime(
+    parseInt(dateMatch[1], 10),
+    parseInt(dateMatch[2], 10),
+    parseInt(dateMatch[3], 10),
+    hours * 60 + minutes
+  );
+}
+
+/**
+ * Splits a comma- or newline-separated wizard answer into trimmed values
+ * @param {string} value The raw text
+ * @return {Array} Non-empty values
+ */
+function _splitWizardList(value) {
+  if (!value) return [];
+  return value.toString()
+    .split(/[,\n]/)
+    .map(item => item.trim())
+    .filter(item => item);
+}
+
+/**
+ * Deletes the default "Sheet1" if it is still empty
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ */
+function _removeBlankDefaultSheet(ss) {
+  const sheet = ss.getSheetByName('Sheet1');
+  if (sheet && ss.getSheets().length > 1 && sheet.getLastRow() === 0) {
+    ss.deleteSheet(sheet);
+  }
+}
@@ -0,0 +1,154 @@
+//RippleReschedule.gs - Shifts the rest of the day when a session's time changes
+
+/**
+ * Configuration constants
+ */
+const RIPPLE_MODE_OFF = 'Off';
+const RIPPLE_MODE_LOCATION = 'Same Location';
+const RIPPLE_MODE_DAY = 'Whole Day';
+
+/**
+ * Called from handleScheduleEdit when a single Start Time or End Time cell changes.
+ * With a Ripple Mode set in Config, every later session on the same day (and in the
+ * same location, for "Same Location") moves by the same offset, keeping its duration.
+ * Moving a start time also moves that session's end time.
+ * A snapshot of the sheet as it was before the edit is saved first, so
+ * "Restore a Snapshot..." reverts the edit and the whole shift in one step.
+ * Ripple snapshots have their own cap and are skipped by "Undo Last Generator Run".
+ * This runs from the simple trigger, which cannot reach Calendar: the Calendar sync
+ * automation updates the shifted day, and otherwise the toast asks for a Sync Calendar.
+ * @param {Object} e The edit event object
+ * @return {boolean} True if sessions were shifted
+ */
+function handleRippleEdit(e) {
+  try {
+    const sheet = e.range.getSheet();
+    const ss = sheet.getParent();
+    const mode = getRippleMode(ss);
+    if (mode === RIPPLE_MODE_OFF) return false;
+
+    // Single-cell edits only; pastes and fills don't carry an old value
+    if (e.range.getNumRows() !== 1 || e.range.getNumColumns() !== 1) return false;
+
+    const row = e.range.getRow();
+    const col = e.range.getColumn();
+    const oldMinutes = _editTimeToMinutes(e.oldValue);
+    const newMinutes = _minutesOfDay(parseTimeString(e.range.getValue()));
+    if (oldMinutes === null || newMinutes === null || oldMinutes === newMinutes) return false;
+
+    const offset = newMinutes - oldMinutes;
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), 8).getValues();
+    const edited = data[row - 1];
+    if (!(edited[0] instanceof Date)) return false;
+
+    const editedDay = _startOfDay(edited[0]).getTime();
+    const editedLocation = edited[6] ? edited[6].toString().trim().toLowerCase() : '';
+    const editedEnd = _minutesOfDay(parseTimeString(edited[2]));
+
+    const moves = [];
+
+    data.forEach((values, index) => {
+      const r = index + 1;
+      if (r === 1 || r === row) return;
+      if (!(values[0] instanceof Date) || _startOfDay(values[0]).getTime() !== editedDay) return;
+      if (mode === RIPPLE_MODE_LOCATION &&
+          (values[6] ? values[6].toString().trim().toLowerCase() : '') !== editedLocation) return;
+
+      const start = _minutesOfDay(parseTimeString(values[1]));
+      const end = _minutesOfDay(parseTimeString(values[2]));
+      // Later sessions are the ones starting at or after the edited time's old value
+      if (start === null || end === null || start < oldMinutes) return;
+
+      moves.push({ row: r, title: values[4], start: start + offset, end: end + offset, confirmed: values[7] === 'Confirmed' });
+    });
+
+    // A start-time change pushes the session itself as well
+    if (col === 2 && editedEnd !== null) {
+      moves.push({ row: row, title: edited[4], start: newMinutes, end: editedEnd + offset, self: true,
+        confirmed: edited[7] === 'Confirmed' });
+    }
+
+    if (moves.filter(move => !move.self).length === 0 && col === 3) return false;
+
+    // Snapshot the sheet as it was before the edit, without touching the edited cell
+    const snapshotId = createSnapshot(sheet, 'Ripple Reschedule', [{ row: row, column: col, value: _editTimeValue(e.oldValue) }]);
+    if (snapshotId === null) {
+      ss.toast('A snapshot could not be saved, so later sessions were not moved. Adjust them by hand.', 'Ripple Reschedule', 10);
+      return false;
+    }
+
+    // Flag anything pushed past the day's end time (or past midnight)
+    const eventSheet = ss.getSheetByName('Event Description');
+    const eventDetails = eventSheet ? getEventDetails(eventSheet) : null;
+    const eventDay = eventDetails ? getEventDay(eventDetails.days, edited[0]) : null;
+    const windowEnd = eventDay ? eventDay.end : null;
+    const spills = [];
+
+    moves.forEach(move => {
+      const lastMinute = 24 * 60 - 1;
+      if ((windowEnd !== null && move.end > windowEnd) || move.end > lastMinute || move.start < 0) {
+        spills.push(`${move.title || 'Untitled'} (ends ${_formatMinutes(Math.min(move.end, lastMinute))})`);
+      }
+      const start = Math.max(0, Math.min(move.start, lastMinute));
+      const end = Math.max(0, Math.min(move.end, lastMinute));
+      sheet.getRange(move.row, 2, 1, 2).setValues([[_formatMinutes(start), _formatMinutes(end)]]);
+    });
+
+    const shifted = moves.filter(move => !move.self).length;
+    let message = `Moved ${shifted} later session(s) by ${offset > 0 ? '+' : ''}${offset} min ` +
+      `(${mode === RIPPLE_MODE_LOCATION ? 'same location' : 'whole day'}). Use Restore a Snapshot... to revert.`;
+    if (spills.length > 0) {
+      message += `\n\nNow past the day's end time:\n${spills.join('\n')}`;
+    }
+    const confirmed = moves.filter(move => move.confirmed && !move.self).length;
+    if (confirmed > 0) {
+      message += `\n\n${confirmed} Confirmed session(s) moved. Unless Calendar sync is on in Manage Automations, ` +
+        'run Sync Calendar to update the Calendar.';
+    }
+    ss.toast(message, 'Ripple Reschedule', spills.length > 0 ? 15 : 6);
+
+    return true;
+  } catch (error) {
+    Logger.log(`Error in handleRippleEdit: ${error}`);
+    return false;
+  }
+}
+
+/**
+ * Reads the Config "Ripple Mode" setting
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {string} RIPPLE_MODE_OFF, RIPPLE_MODE_LOCATION or RIPPLE_MODE_DAY
+ */
+function getRippleMode(ss) {
+  const value = _getConfigValue(ss, 'Ripple Mode', RIPPLE_MODE_OFF).toString().trim().toLowerCase();
+  if (value.indexOf('location') !== -1) return RIPPLE_MODE_LOCATION;
+  if (value.indexOf('day') !== -1) return RIPPLE_MODE_DAY;
+  return RIPPLE_MODE_OFF;
+}
+
+/**
+ * Converts an edit event's oldValue for a time cell to minutes after midnight.
+ * Time cells report a day fraction (e.g. "0.375"); text cells report the text.
+ * @param {string} value The oldValue
+ * @return {number|null} Minutes after midnight, or null if not a time
+ */
+function _editTimeToMinutes(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(value.toString())) {
+    const fraction = Number(value) % 1;
+    return Math.round(fraction * 24 * 60) % (24 * 60);
+  }
+
+  return _minutesOfDay(parseTimeString(value));
+}
+
+/**
+ * Converts an edit event's oldValue back into something that can be written to the cell
+ * @param {string} value The oldValue
+ * @return {*} The value to write
+ */
+function _editTimeValue(value) {
+  const minutes = _editTimeToMinutes(value);
+  return minutes === null ? value : _formatMinutes(minutes);
+}
@@ -0,0 +1,203 @@
+//Rooms.gs - Room catalog with capacity, equipment and opening hours
+
+/**
+ * Configuration constants
+ */
+const ROOMS_SHEET_NAME = 'Rooms';
+const ROOMS_HEADERS = ['Room', 'Capacity', 'Setup Style', 'AV Equipment', 'Accessibility', 'Available From', 'Available To', 'Notes'];
+const ROOM_SETUP_STYLES = ['Theater', 'Classroom', 'Banquet', 'Boardroom', 'U-Shape', 'Cabaret', 'Reception', 'Outdoor'];
+// Shared with the speaker form's "AV/Technical Requirements" question, so needs match equipment
+const AV_EQUIPMENT_OPTIONS = ['Projector', 'Audio Connection', 'Microphone', 'Internet Connection', 'Whiteboard/Flip Chart'];
+const AV_NEEDS_HEADER = 'AV Needs';
+const EXPECTED_ATTENDANCE_HEADER = 'Expected Attendance';
+
+/**
+ * Creates the Rooms sheet, or adds any Config "Location List" rooms it is missing.
+ * Existing rows are never changed.
+ * Called from Quick Event Setup and the Event Planner Setup menu
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The Rooms sheet
+ */
+function setupRoomsSheet(ss) {
+  if (!ss) ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  let sheet = ss.getSheetByName(ROOMS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ROOMS_SHEET_NAME);
+    sheet.setTabColor('#f1c232'); // Same gold as the Schedule
+
+    sheet.getRange(1, 1, 1, ROOMS_HEADERS.length).setValues([ROOMS_HEADERS])
+      .setBackground('#4a86e8')
+      .setFontColor('#ffffff')
+      .setFontWeight('bold')
+      .setHorizontalAlignment('center');
+    sheet.setFrozenRows(1);
+
+    const widths = [160, 80, 120, 260, 200, 110, 110, 250];
+    widths.forEach((width, index) => sheet.setColumnWidth(index + 1, width));
+
+    sheet.getRange(2, 2, 199, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireNumberGreaterThan(0)
+      .setHelpText('Number of people the room holds in this setup.')
+      .build());
+    sheet.getRange(2, 3, 199, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(ROOM_SETUP_STYLES, true)
+      .setAllowInvalid(true)
+      .build());
+    sheet.getRange(2, 6, 199, 2).setNumberFormat('h:mm AM/PM');
+    sheet.getRange(1, 4).setNote(`Comma-separated, e.g. "${AV_EQUIPMENT_OPTIONS.join(', ')}". ` +
+      'Speaker AV needs from the speaker form are checked against this list.');
+    sheet.getRange(1, 6).setNote('Leave Available From and To blank if the room is open for the whole event.');
+  }
+
+  // Carry over the rooms from the old Config list
+  const existing = getRoomCatalog(ss).map(room => room.name.toLowerCase());
+  const lists = _getConfigLists(ss);
+  const missing = (lists['Location List'] || [])
+    .filter(name => name && existing.indexOf(name.toLowerCase()) === -1)
+    .map(name => [name]);
+  if (missing.length > 0) {
+    sheet.getRange(Math.max(2, sheet.getLastRow() + 1), 1, missing.length, 1).setValues(missing);
+  }
+
+  return sheet;
+}
+
+/**
+ * Menu wrapper for setupRoomsSheet that also refreshes the Schedule's Location dropdown
+ * Called from the Event Planner Setup menu
+ */
+function setupRoomsCatalog() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = setupRoomsSheet(ss);
+  setScheduleDropdowns(ss);
+  ss.setActiveSheet(sheet);
+  SpreadsheetApp.getUi().alert(
+    'Rooms',
+    'Fill in each room\'s capacity, setup style, AV equipment, accessibility and opening hours. ' +
+      'The Schedule\'s Location dropdown now comes from this sheet.',
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * Reads the Rooms sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Rooms with name, capacity, setupStyle, equipment, accessibility, from and to
+ */
+function getRoomCatalog(ss) {
+  const sheet = ss.getSheetByName(ROOMS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, ROOMS_HEADERS.length).getValues()
+    .filter(row => row[0] && row[0].toString().trim())
+    .map(row => ({
+      name: row[0].toString().trim(),
+      capacity: Number(row[1]) > 0 ? Number(row[1]) : null,
+      setupStyle: row[2] ? row[2].toString() : '',
+      equipment: _splitList(row[3]),
+      accessibility: row[4] ? row[4].toString() : '',
+      from: _minutesOfDay(parseTimeString(row[5])),
+      to: _minutesOfDay(parseTimeString(row[6]))
+    }));
+}
+
+/**
+ * Reads each person's AV needs from the People sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Map of lowercase name to AV needs
+ */
+function getPeopleAvNeeds(ss) {
+  const sheet = ss.getSheetByName('People');
+  const needs = {};
+  if (!sheet || sheet.getLastRow() <= 1) return needs;
+
+  const data = sheet.getDataRange().getValues();
+  const nameIndex = findColumnIndex(data[0], 'name');
+  const needsIndex = findColumnIndex(data[0], AV_NEEDS_HEADER);
+  if (nameIndex === -1 || needsIndex === -1) return needs;
+
+  for (let i = 1; i < data.length; i++) {
+    const name = data[i][nameIndex] ? data[i][nameIndex].toString().trim().toLowerCase() : '';
+    const list = _splitList(data[i][needsIndex]).filter(need => need.toLowerCase().indexOf('other') !== 0);
+    if (name && list.length > 0) needs[name] = list;
+  }
+
+  return needs;
+}
+
+/**
+ * Checks a session against its room: unknown rooms, too many people,
+ * missing AV equipment for its Leads, and times outside the room's hours
+ * @param {Object} session Session from getScheduleSessionsForConflicts()
+ * @param {Object} rooms Map of lowercase room name to room from getRoomCatalog()
+ * @param {Object} avNeeds AV needs from getPeopleAvNeeds()
+ * @return {Array} Problems as { type, details }
+ */
+function checkSessionRoom(session, rooms, avNeeds) {
+  if (!session.location) return [];
+
+  const room = rooms[session.location.toLowerCase()];
+  if (!room) {
+    return [{ type: 'Unknown Room', details: `"${session.location}" is not listed on the Rooms sheet` }];
+  }
+
+  const problems = [];
+  if (room.capacity && session.attendance > room.capacity) {
+    problems.push({
+      type: 'Room Too Small',
+      details: `${room.name} holds ${room.capacity} but ${session.attendance} are expected`
+    });
+  }
+
+  const equipment = room.equipment.map(item => item.toLowerCase());
+  session.leadNames.forEach(lead => {
+    const missing = (avNeeds[lead.toLowerCase()] || []).filter(need =>
+      !equipment.some(item => item.indexOf(need.toLowerCase()) !== -1 || need.toLowerCase().indexOf(item) !== -1));
+    if (missing.length > 0) {
+      problems.push({
+        type: 'Missing AV',
+        details: `${lead} needs ${missing.join(', ')}, which ${room.name} does not list`
+      });
+    }
+  });
+
+  if ((room.from !== null && session.start < room.from) || (room.to !== null && session.end > room.to)) {
+    problems.push({
+      type: 'Outside Room Hours',
+      details: `${room.name} is only open` +
+        (room.from !== null ? ` from ${_formatMinutes(room.from)}` : '') +
+        (room.to !== null ? ` until ${_formatMinutes(room.to)}` : '')
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Called from onEdit when the Rooms sheet changes: keeps the Schedule's Location
+ * dropdown and room warnings in step with the catalog
+ * @param {Object} e The edit event object
+ */
+function handleRoomsEdit(e) {
+  if (e.range.getRow() <= 1) return;
+
+  try {
+    const ss = e.range.getSheet().getParent();
+    if (e.range.getColumn() === 1) {
+      setScheduleDropdowns(ss);
+    }
+    refreshScheduleConflicts(false);
+  } catch (error) {
+    Logger.log(`Error in handleRoomsEdit: ${error}`);
+  }
+}
+
+/**
+ * Splits a comma-separated cell into trimmed, non-empty items
+ * @param {*} value The cell value
+ * @return {Array} The items
+ */
+function _splitList(value) {
+  return value ? value.toString().split(',').map(item => item.trim()).filter(item => item) : [];
+}
@@ -36,13 +36,13 @@ function setupScheduleSheet(ss, addSampleData = true) {
   }
   
   // Define headers with the new "Add to Cue" column
-  const headers = ['Date', 'Start Time', 'End Time', 'Duration', 'Session Title', 'Lead', 'Location', 'Status', 'Add to Cue', 'Notes'];
+  const headers = ['Date', 'Start Time', 'End Time', 'Duration', 'Session Title', 'Lead', 'Location', 'Status', 'Add to Cue', 'Notes', 'Session ID', EXPECTED_ATTENDANCE_HEADER, LOCKED_HEADER];
   
   // Set header values
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
   
   // Set column widths
-  const widths = [100, 100, 100, 100, 200, 150, 150, 120, 80, 300];
+  const widths = [100, 100, 100, 100, 200, 150, 150, 120, 80, 300, 90, 100, 70];
   for (let i = 0; i < headers.length; i++) {
     if (i < widths.length) {
       sheet.setColumnWidth(i + 1, widths[i]);
@@ -54,23 +54,20 @@ function setupScheduleSheet(ss, addSampleData = true) {
   
   // Add sample data if requested
   if (addSampleData) {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    const dayAfter = new Date();
-    dayAfter.setDate(dayAfter.getDate() + 2);
+    const tomorrow = addDays(_startOfDay(new Date()), 1);
+    const dayAfter = addDays(tomorrow, 1);
     
     const sampleData = [
       [tomorrow, '9:00 AM', '10:00 AM', '1 hour', 'Opening Session', 'Jane Doe', 'Main Hall', 'Confirmed', true, 'Welcome address and introduction'],
       [dayAfter, '1:00 PM', '3:00 PM', '2 hours', 'Workshop', 'John Smith', 'Room 101', 'Tentative', false, 'Interactive workshop session']
     ];
     
-    sheet.getRange(2, 1, sampleData.length, headers.length).setValues(sampleData);
+    sheet.getRange(2, 1, sampleData.length, sampleData[0].length).setValues(sampleData);
   }
   
   // Apply data validations to data rows ONLY (rows 2-900, not header)
   const locationRule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(['Main Hall', 'Room 101', 'Room 102', 'Outdoor Area'], true)
+    .requireValueInList(getApprovedLocationList(ss), true)
     .build();
     
   const statusRule = SpreadsheetApp.newDataValidation()
@@ -84,6 +81,9 @@ function setupScheduleSheet(ss, addSampleData = true) {
   // Insert checkboxes for the "Add to Cue" column
   sheet.getRange(2, 9, 899, 1).insertCheckboxes();
   
+  // Locked sessions are kept when the schedule is generated again
+  sheet.getRange(2, headers.length, 899, 1).insertCheckboxes();
+  
   // Set number formats in batch for all rows
   sheet.getRange(2, 1, 899, 1).setNumberFormat('yyyy-mm-dd'); // Date (column A)
   sheet.getRange(2, 2, 899, 2).setNumberFormat('hh:mm am/pm'); // Start/End Time (columns B-C)
@@ -110,6 +110,9 @@ function setupScheduleSheet(ss, addSampleData = true) {
   // Setup duration calculation
   setupDurationCalculation(ss);
   
+  // Number the sample sessions
+  ensureSessionIds(ss);
+  
   return sheet;
 }
 
@@ -164,8 +167,34 @@ function handleScheduleEdit(e) {
   // Only proceed if edit is in Schedule sheet
   if (!e || !e.range || e.range.getSheet().getName() !== 'Schedule') return;
   
-  // Only proceed if edit is in column B (Start Time) or C (End Time)
   const col = e.range.getColumn();
+  
+  // Ripple Mode: shift the later sessions before conflicts are re-checked
+  if (e.range.getRow() > 1 && (col === 2 || col === 3)) {
+    handleRippleEdit(e);
+  }
+  
+  // Warn about (or reject) Leads who aren't available at the session's time
+  if (e.range.getRow() > 1 && [1, 2, 3, 6].indexOf(col) !== -1) {
+    checkLeadAvailabilityEdit(e);
+  }
+  
+  // Re-check room/lead conflicts whenever a date, time, lead, location, status or attendance changes
+  if (e.range.getRow() > 1 &&
+      (SCHEDULE_CONFLICT_COLUMNS.indexOf(col) !== -1 || _isExpectedAttendanceColumn(e.range.getSheet(), col))) {
+    try {
+      refreshScheduleConflicts(false, e.range.getRow());
+    } catch (error) {
+      Logger.log('Error checking schedule conflicts: ' + error.toString());
+    }
+  }
+  
+  // A new or renamed session gets its ID and every reference to it is updated
+  if (e.range.getRow() > 1 && col === 5) {
+    handleSessionTitleEdit(e);
+  }
+  
+  // Only proceed if edit is in column B (Start Time) or C (End Time)
   if (col !== 2 && col !== 3) return;
   
   // Get the row being edited
@@ -209,29 +238,7 @@ function handleScheduleEdit(e) {
     // Convert to total minutes first
     const totalMinutes = Math.floor(durationMs / (60 * 1000));
     
-    // Format the duration string in simplified format with 60m = 1h fix
-    let durationStr = "";
-    
-    // Add a small tolerance for 60 minutes to handle floating point issues
-    if (totalMinutes >= 59 && totalMinutes <= 61) {
-      // Approximately 60 minutes = 1 hour
-      durationStr = "1h";
-    } else if (totalMinutes > 60) {
-      // More than an hour
-      const hours = Math.floor(totalMinutes / 60);
-      const minutes = totalMinutes % 60;
-      
-      if (minutes === 0) {
-        // Full hours, no minutes
-        durationStr = hours + "h";
-      } else {
-        // Hours and minutes
-        durationStr = hours + "h " + minutes + "m";
-      }
-    } else {
-      // Less than an hour, just minutes
-      durationStr = totalMinutes + "m";
-    }
+    const durationStr = formatDurationMinutes(totalMinutes);
     
     durationCell.setValue(durationStr);
     
@@ -242,70 +249,18 @@ function handleScheduleEdit(e) {
 }
 
 /**
- * Helper function to parse a time string in the format "10:00 AM" or "2:30 PM"
- * @param {string|Date} timeStr - The time string or Date object to parse
- * @return {Date|null} - A Date object set to today with the specified time, or null if parsing fails
+ * Formats a session length the way the Duration column shows it, e.g. "45m", "1h" or "1h 30m"
+ * @param {number} totalMinutes Length in minutes
+ * @return {string} The duration text
  */
-function parseTimeString(timeStr) {
-  try {
-    // Handle Date objects directly
-    if (timeStr instanceof Date) {
-      return timeStr;
-    }
-    
-    // Make sure we have a string
-    timeStr = String(timeStr).trim();
-    
-    // Regular expression to match time formats with more flexibility
-    // This will match "10:00 AM", "2:30PM", "14:00", etc.
-    const timeRegex = /^(\d{1,2}):(\d{2})\s*(AM|PM|am|pm)?$/;
-    const match = timeStr.match(timeRegex);
-    
-    if (!match) {
-      // Try an alternative format with period separator like "2.30 PM"
-      const altTimeRegex = /^(\d{1,2})[\.\s](\d{2})\s*(AM|PM|am|pm)?$/;
-      const altMatch = timeStr.match(altTimeRegex);
-      
-      if (!altMatch) return null;
-      
-      // Use the alternative match
-      let hours = parseInt(altMatch[1], 10);
-      const minutes = parseInt(altMatch[2], 10);
-      const period = altMatch[3] ? altMatch[3].toUpperCase() : null;
-      
-      // Convert to 24-hour format if period is specified
-      if (period === 'PM' && hours < 12) {
-        hours += 12;
-      } else if (period === 'AM' && hours === 12) {
-        hours = 0;
-      }
-      
-      // Create a Date object for today with the parsed time
-      const date = new Date();
-      date.setHours(hours, minutes, 0, 0);
-      return date;
-    }
-    
-    let hours = parseInt(match[1], 10);
-    const minutes = parseInt(match[2], 10);
-    const period = match[3] ? match[3].toUpperCase() : null;
-    
-    // If period is specified, convert to 24-hour format
-    if (period === 'PM' && hours < 12) {
-      hours += 12;
-    } else if (period === 'AM' && hours === 12) {
-      hours = 0;
-    }
-    
-    // Create a Date object for today with the parsed time
-    const date = new Date();
-    date.setHours(hours, minutes, 0, 0);
-    return date;
-    
-  } catch (error) {
-    Logger.log("Error parsing time string: " + error.toString());
-    return null;
-  }
+function formatDurationMinutes(totalMinutes) {
+  // Add a small tolerance for 60 minutes to handle floating point issues
+  if (totalMinutes >= 59 && totalMinutes <= 61) return "1h";
+  if (totalMinutes < 60) return totalMinutes + "m";
+
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return minutes === 0 ? hours + "h" : hours + "h " + minutes + "m";
 }
 
 /**
@@ -345,10 +300,11 @@ function setScheduleDropdowns(ss, sheets, rowCounts, lists) {
     
   const updated = [];
   
-  // Set Location dropdown
-  if (lists && lists['Location List'] && lists['Location List'].length) {
+  // Set Location dropdown from the Rooms sheet (or the Config Location List)
+  const locations = getApprovedLocationList(ss);
+  if (locations.length) {
     const locationRule = SpreadsheetApp.newDataValidation()
-      .requireValueInList(lists['Location List'], true)
+      .requireValueInList(locations, true)
       .build();
     // Starting from row 2 (first data row)
     scheduleSheet.getRange(2, 7, numRows).setDataValidation(locationRule);
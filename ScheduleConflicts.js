@@ -0,0 +1,293 @@
+//ScheduleConflicts.gs - Detects double-booked rooms and leads in the Schedule sheet
+
+/**
+ * Configuration constants
+ */
+const CONFLICTS_SHEET_NAME = 'Conflicts';
+const CONFLICT_HIGHLIGHT_COLOR = '#f4cccc';
+const SCHEDULE_CONFLICT_COLUMNS = [1, 2, 3, 6, 7, 8]; // Date, Start, End, Lead, Location, Status
+
+/**
+ * Checks the Schedule for conflicts and reports the result
+ * Called from the Event Planner Setup menu
+ */
+function checkScheduleConflicts() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!ss.getSheetByName('Schedule')) {
+    ui.alert('Error', 'Schedule sheet not found.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const conflicts = refreshScheduleConflicts(true);
+
+    if (conflicts.length === 0) {
+      ui.alert('No Conflicts', 'No room, lead, or timing conflicts were found in the Schedule.', ui.ButtonSet.OK);
+      return;
+    }
+
+    ss.setActiveSheet(ss.getSheetByName(CONFLICTS_SHEET_NAME));
+    ui.alert(
+      'Schedule Conflicts',
+      `Found ${conflicts.length} conflict(s). Conflicting rows are highlighted in the Schedule, ` +
+        'and every clash is listed on the Conflicts sheet.',
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    Logger.log(`Error checking schedule conflicts: ${error}`);
+    ui.alert('Error', `Failed to check conflicts: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Re-runs conflict detection, highlights conflicting rows and rewrites the Conflicts report.
+ * The report sheet is only created when there is something to report.
+ * @param {boolean} alwaysWriteReport Create the Conflicts sheet even if there are no conflicts
+ * @param {number} editedRow Row that was just edited; a toast is shown if it conflicts (optional)
+ * @return {Array} The conflicts found
+ */
+function refreshScheduleConflicts(alwaysWriteReport, editedRow) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const scheduleSheet = ss.getSheetByName('Schedule');
+  if (!scheduleSheet) return [];
+
+  const conflicts = detectScheduleConflicts(ss);
+
+  // After a single edit only rows whose conflict state changed are repainted
+  highlightConflictRows(scheduleSheet, conflicts, !!editedRow);
+
+  if (alwaysWriteReport || conflicts.length > 0 || ss.getSheetByName(CONFLICTS_SHEET_NAME)) {
+    writeConflictsReport(ss, conflicts);
+  }
+
+  if (editedRow) {
+    const clashes = conflicts.filter(conflict => conflict.row === editedRow || conflict.otherRow === editedRow);
+    if (clashes.length > 0) {
+      ss.toast(clashes.map(conflict => conflict.details).join('\n'), 'Schedule Conflict', 8);
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Finds room overlaps, lead overlaps, sessions outside their day's hours,
+ * sessions not dated on an event day, and sessions that don't fit their room
+ * (capacity, AV equipment, opening hours). Cancelled sessions are ignored.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Conflict objects with type, row, title, otherRow, otherTitle and details
+ */
+function detectScheduleConflicts(ss) {
+  const sessions = getScheduleSessionsForConflicts(ss.getSheetByName('Schedule'));
+  const conflicts = [];
+
+  // Event days and their hours from the Event Days sheet (or the Event Description sheet)
+  const eventSheet = ss.getSheetByName('Event Description');
+  const eventDetails = eventSheet ? getEventDetails(eventSheet) : null;
+  const days = eventDetails ? eventDetails.days : [];
+
+  const describe = session => `"${session.title || 'Untitled'}" (${formatDate(session.date)} ${_formatMinutes(session.start)}-${_formatMinutes(session.end)})`;
+
+  // Room catalog; without a Rooms sheet only overlaps and event hours are checked
+  const rooms = {};
+  getRoomCatalog(ss).forEach(room => {
+    rooms[room.name.toLowerCase()] = room;
+  });
+  const avNeeds = Object.keys(rooms).length > 0 ? getPeopleAvNeeds(ss) : {};
+
+  // Single-session checks
+  sessions.forEach(session => {
+    const day = getEventDay(days, session.date);
+    if (days.length > 0 && !day) {
+      conflicts.push({
+        type: 'Outside Event Dates',
+        row: session.row, title: session.title, otherRow: '', otherTitle: '',
+        details: `${describe(session)} is not on an event day (${days.map(eventDay => formatDate(eventDay.date)).join(', ')})`
+      });
+    }
+
+    if (day && (session.start < day.start || session.end > day.end)) {
+      conflicts.push({
+        type: 'Outside Event Hours',
+        row: session.row, title: session.title, otherRow: '', otherTitle: '',
+        details: `${describe(session)} falls outside that day's hours, ${formatEventDayWindow(day)}`
+      });
+    }
+
+    if (Object.keys(rooms).length > 0) {
+      checkSessionRoom(session, rooms, avNeeds).forEach(problem => {
+        conflicts.push({
+          type: problem.type,
+          row: session.row, title: session.title, otherRow: '', otherTitle: '',
+          details: `${describe(session)}: ${problem.details}`
+        });
+      });
+    }
+  });
+
+  // Pairwise overlap checks on the same day
+  for (let i = 0; i < sessions.length; i++) {
+    for (let j = i + 1; j < sessions.length; j++) {
+      const a = sessions[i];
+      const b = sessions[j];
+      if (a.date.getTime() !== b.date.getTime()) continue;
+      if (!(a.start < b.end && b.start < a.end)) continue;
+
+      if (a.location && a.location.toLowerCase() === b.location.toLowerCase()) {
+        conflicts.push({
+          type: 'Room Double-Booked',
+          row: a.row, title: a.title, otherRow: b.row, otherTitle: b.title,
+          details: `${a.location}: ${describe(a)} overlaps ${describe(b)}`
+        });
+      }
+
+      a.leads.filter(lead => b.leads.indexOf(lead) !== -1).forEach(lead => {
+        conflicts.push({
+          type: 'Lead Double-Booked',
+          row: a.row, title: a.title, otherRow: b.row, otherTitle: b.title,
+          details: `${a.leadNames[a.leads.indexOf(lead)]} is in ${describe(a)} and ${describe(b)}`
+        });
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Reads the scheduled (non-cancelled) sessions with times as minutes of the day
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @return {Array} Session objects
+ */
+function getScheduleSessionsForConflicts(sheet) {
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const attendanceIndex = findColumnIndex(data[0], EXPECTED_ATTENDANCE_HEADER);
+  const registeredIndex = findColumnIndex(data[0], REGISTERED_HEADER);
+  const sessions = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const date = row[0];
+    const start = _minutesOfDay(parseTimeString(row[1]));
+    let end = _minutesOfDay(parseTimeString(row[2]));
+    const status = row[7] ? row[7].toString() : '';
+
+    if (!(date instanceof Date) || start === null || end === null) continue;
+    if (status === 'Cancelled') continue;
+    if (end <= start) end += 24 * 60; // Runs past midnight
+
+    const leadNames = row[5]
+      ? row[5].toString().split(/,|&|\band\b/).map(name => name.trim()).filter(name => name)
+      : [];
+
+    sessions.push({
+      row: i + 1,
+      date: _startOfDay(date),
+      start: start,
+      end: end,
+      title: row[4] ? row[4].toString() : '',
+      leadNames: leadNames,
+      leads: leadNames.map(name => name.toLowerCase()),
+      location: row[6] ? row[6].toString().trim() : '',
+      status: status,
+      // Registrations count once they pass the planned attendance
+      attendance: Math.max(
+        attendanceIndex !== -1 ? Number(row[attendanceIndex]) || 0 : 0,
+        registeredIndex !== -1 ? Number(row[registeredIndex]) || 0 : 0
+      )
+    });
+  }
+
+  return sessions;
+}
+
+/**
+ * Checks whether a Schedule column is the Expected Attendance column
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @param {number} col The column number
+ * @return {boolean} True for the Expected Attendance column
+ */
+function _isExpectedAttendanceColumn(sheet, col) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  return findColumnIndex(headers, EXPECTED_ATTENDANCE_HEADER) === col - 1;
+}
+
+/**
+ * Highlights conflicting rows and restores the alternating colors on the rest
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @param {Array} conflicts Conflicts from detectScheduleConflicts()
+ * @param {boolean} changedOnly Repaint only rows that gained or lost a conflict (optional)
+ */
+function highlightConflictRows(sheet, conflicts, changedOnly) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return;
+
+  const width = sheet.getLastColumn();
+  const conflictRows = {};
+  conflicts.forEach(conflict => {
+    conflictRows[conflict.row] = true;
+    if (conflict.otherRow) conflictRows[conflict.otherRow] = true;
+  });
+
+  if (changedOnly) {
+    // Column A's color tells whether a row is highlighted now
+    const current = sheet.getRange(2, 1, lastRow - 1, 1).getBackgrounds();
+    current.forEach((color, index) => {
+      const row = index + 2;
+      const highlighted = color[0].toLowerCase() === CONFLICT_HIGHLIGHT_COLOR;
+      if (highlighted === !!conflictRows[row]) return;
+      sheet.getRange(row, 1, 1, width)
+        .setBackground(conflictRows[row] ? CONFLICT_HIGHLIGHT_COLOR : (row % 2 === 0 ? '#f3f3f3' : '#ffffff'));
+    });
+    return;
+  }
+
+  const backgrounds = [];
+  for (let row = 2; row <= lastRow; row++) {
+    const color = conflictRows[row] ? CONFLICT_HIGHLIGHT_COLOR : (row % 2 === 0 ? '#f3f3f3' : '#ffffff');
+    backgrounds.push(new Array(width).fill(color));
+  }
+  sheet.getRange(2, 1, lastRow - 1, width).setBackgrounds(backgrounds);
+}
+
+/**
+ * Rewrites the Conflicts report sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {Array} conflicts Conflicts from detectScheduleConflicts()
+ */
+function writeConflictsReport(ss, conflicts) {
+  let sheet = ss.getSheetByName(CONFLICTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFLICTS_SHEET_NAME);
+    sheet.setTabColor('#cc0000'); // Red color
+  } else {
+    sheet.clear();
+  }
+
+  const headers = ['Type', 'Row', 'Session', 'Other Row', 'Other Session', 'Details'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers])
+    .setBackground('#4a86e8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+  sheet.setFrozenRows(1);
+
+  const widths = [160, 60, 220, 80, 220, 450];
+  widths.forEach((width, index) => sheet.setColumnWidth(index + 1, width));
+
+  if (conflicts.length === 0) {
+    sheet.getRange(2, 1).setValue(`No conflicts found (checked ${formatDate(new Date())})`);
+    return;
+  }
+
+  const rows = conflicts.map(conflict => [
+    conflict.type, conflict.row, conflict.title, conflict.otherRow, conflict.otherTitle, conflict.details
+  ]);
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, 2, rows.length, 1).setHorizontalAlignment('center');
+  sheet.getRange(2, 4, rows.length, 1).setHorizontalAlignment('center');
+}
@@ -9,8 +9,9 @@ function addScheduleGeneratorMenuItem(menu) {
 }
 
 /**
- * Main function to generate a preliminary schedule using OpenAI
- * Modified to enforce approved locations
+ * Main function to generate a preliminary schedule using the configured AI provider
+ * Modified to enforce approved locations. The sessions open in the review
+ * dialog (ScheduleReview.gs), which writes only the approved changes.
  */
 function generatePreliminarySchedule() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -33,37 +34,48 @@ function generatePreliminarySchedule() {
     return;
   }
   
-  // Step 2: Get speakers
+  // Step 2: Get speakers and when they are available
   const speakers = getSpeakersFromPeopleSheet(peopleSheet);
+  const availability = getAvailabilityWindows(ss);
   
   // Step 3: Get approved locations from Config sheet
   const approvedLocations = getApprovedLocationList(ss);
   
-  // Step 4: Get OpenAI API key
-  const apiKey = getOpenAIApiKey();
-  if (!apiKey) {
-    ui.alert('Error', 'OpenAI API key not found. Please add your API key to the Config sheet.', ui.ButtonSet.OK);
+  // Multi-track runs sessions in parallel, so it needs at least two rooms
+  const multiTrack = isMultiTrackSchedule(ss) && approvedLocations.length > 1;
+  
+  // Step 4: Check the AI settings (provider, model and API key)
+  const llmProblem = getLLMSettingsProblem(getLLMSettings(ss));
+  if (llmProblem) {
+    ui.alert('Error', llmProblem, ui.ButtonSet.OK);
     return;
   }
   
+  // Step 5: Confirmed and Locked sessions stay put; the AI fills the time around them
+  ensureLockedColumn(scheduleSheet);
+  eventDetails.lockedSessions = getLockedSessions(ss);
+  
   // Show loading message
-  ui.alert('Processing', 'Generating preliminary schedule. This may take a few moments...', ui.ButtonSet.OK);
+  ui.alert('Processing', 'Generating preliminary schedule. This may take a few moments...' +
+    (eventDetails.lockedSessions.length > 0
+      ? `\n\n${eventDetails.lockedSessions.length} Confirmed or Locked session(s) will be kept as they are.`
+      : ''), ui.ButtonSet.OK);
   
   try {
-    // Step 5: Generate prompt and call OpenAI
-    const prompt = generatePrompt(eventDetails, speakers, approvedLocations);
-    const scheduleData = callOpenAIForSchedule(prompt, apiKey, eventDetails, approvedLocations);
+    // Step 6: Generate prompt and call the AI provider
+    const prompt = generatePrompt(eventDetails, speakers, approvedLocations, multiTrack, availability);
+    const result = callAIForSchedule(prompt, eventDetails, approvedLocations, multiTrack);
+    const scheduleData = result.items;
+    const report = formatAIValidationReport(result);
     
     if (!scheduleData || scheduleData.length === 0) {
-      ui.alert('Error', 'Failed to generate schedule or no schedule was returned from OpenAI.', ui.ButtonSet.OK);
+      ui.alert('Error', 'Failed to generate schedule or no schedule was returned by the AI provider.' +
+        (report ? '\n\n' + report : ''), ui.ButtonSet.OK);
       return;
     }
     
-    // Step 6: Populate Schedule sheet
-    const scheduleCount = populateScheduleSheet(scheduleData, eventDetails, scheduleSheet, approvedLocations);
-    
-    // Show success message
-    ui.alert('Success', `${scheduleCount} schedule items have been added to the Schedule sheet.`, ui.ButtonSet.OK);
+    // Step 7: Nothing is written until the sessions are reviewed and approved
+    showScheduleReviewDialog(scheduleData, report, multiTrack);
   } catch (error) {
     Logger.log('Error generating preliminary schedule: ' + error.toString());
     ui.alert('Error', 'An error occurred while generating the schedule: ' + error.toString(), ui.ButtonSet.OK);
@@ -71,7 +83,8 @@ function generatePreliminarySchedule() {
 }
 
 /**
- * Gets the approved location list from the Config sheet
+ * Gets the approved location list from the Rooms sheet, or from the Config
+ * "Location List" when there is no room catalog yet
  * These are the only locations that should be used for sessions
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
  * @return {Array} Array of approved location strings
@@ -81,6 +94,11 @@ function getApprovedLocationList(ss) {
     ss = SpreadsheetApp.getActiveSpreadsheet();
   }
   
+  const rooms = getRoomCatalog(ss);
+  if (rooms.length > 0) {
+    return rooms.map(room => room.name);
+  }
+  
   const configSheet = ss.getSheetByName('Config');
   if (!configSheet) {
     Logger.log('Config sheet not found, using default locations');
@@ -185,9 +203,10 @@ function getEventDetails(sheet) {
     if (startDateValue instanceof Date) {
       eventDetails.startDate = startDateValue;
       
-      // Extract time component if it exists
-      const hours = startDateValue.getHours();
-      const minutes = startDateValue.getMinutes();
+      // Extract time component (in the event timezone) if it exists
+      const minutesOfDay = _minutesOfDay(startDateValue);
+      const hours = Math.floor(minutesOfDay / 60);
+      const minutes = minutesOfDay % 60;
       if (hours !== 0 || minutes !== 0) {
         // Format as 24-hour time
         eventDetails.startTime = hours + ':' + (minutes < 10 ? '0' + minutes : minutes);
@@ -203,8 +222,8 @@ function getEventDetails(sheet) {
       // Try to parse date from string format
       try {
         // Handle strings like "May 24, 2023, 9:00 AM"
-        const parsedDate = new Date(startDateValue);
-        if (!isNaN(parsedDate.getTime())) {
+        const parsedDate = parseEventDate(startDateValue);
+        if (parsedDate) {
           eventDetails.startDate = parsedDate;
           
           // Extract time if present in the string
@@ -245,9 +264,10 @@ function getEventDetails(sheet) {
     if (endDateValue instanceof Date) {
       eventDetails.endDate = endDateValue;
       
-      // Extract time component if it exists
-      const hours = endDateValue.getHours();
-      const minutes = endDateValue.getMinutes();
+      // Extract time component (in the event timezone) if it exists
+      const minutesOfDay = _minutesOfDay(endDateValue);
+      const hours = Math.floor(minutesOfDay / 60);
+      const minutes = minutesOfDay % 60;
       if (hours !== 0 || minutes !== 0) {
         // Format as 24-hour time
         eventDetails.endTime = hours + ':' + (minutes < 10 ? '0' + minutes : minutes);
@@ -263,8 +283,8 @@ function getEventDetails(sheet) {
       // Try to parse date from string format
       try {
         // Handle strings like "May 24, 2023, 3:00 PM"
-        const parsedDate = new Date(endDateValue);
-        if (!isNaN(parsedDate.getTime())) {
+        const parsedDate = parseEventDate(endDateValue);
+        if (parsedDate) {
           eventDetails.endDate = parsedDate;
           
           // Extract time if present in the string
@@ -301,8 +321,7 @@ function getEventDetails(sheet) {
     // If there's an end time but no end date, use start date with end time
     if (eventDetails.endTime && !eventDetails.endDate) {
       const [hours, minutes] = eventDetails.endTime.split(':').map(num => parseInt(num, 10));
-      eventDetails.endDate = new Date(eventDetails.startDate);
-      eventDetails.endDate.setHours(hours, minutes, 0, 0);
+      eventDetails.endDate = _dateAtMinutes(eventDetails.startDate, hours * 60 + minutes);
     }
   }
   
@@ -319,7 +338,7 @@ function getEventDetails(sheet) {
   }
   
   // Look for Objectives
-  const objectivesRow = _findRow(sheet, 'Objectives');
+  const objectivesRow = _findRow(sheet, 'Objectives') || _findRow(sheet, 'Short Objectives');
   if (objectivesRow) {
     eventDetails.objectives = sheet.getRange(objectivesRow, 2).getValue();
   }
@@ -346,10 +365,8 @@ function getEventDetails(sheet) {
   // Calculate event duration in days
   if (eventDetails.startDate instanceof Date && eventDetails.endDate instanceof Date) {
     // Set both dates to midnight for accurate day calculation
-    const startDay = new Date(eventDetails.startDate);
-    startDay.setHours(0, 0, 0, 0);
-    const endDay = new Date(eventDetails.endDate);
-    endDay.setHours(0, 0, 0, 0);
+    const startDay = _startOfDay(eventDetails.startDate);
+    const endDay = _startOfDay(eventDetails.endDate);
     
     const oneDay = 24 * 60 * 60 * 1000; // milliseconds in a day
     const diffDays = Math.round(Math.abs((endDay - startDay) / oneDay)) + 1;
@@ -369,6 +386,12 @@ function getEventDetails(sheet) {
     eventDetails.endTimeFormatted = '5:00 PM';
   }
   
+  // Per-day windows and themes from the Event Days sheet, when it lists any days
+  eventDetails.days = getEventDays(sheet.getParent(), eventDetails);
+  if (eventDetails.days.length > 0) {
+    eventDetails.durationDays = eventDetails.days.length;
+  }
+  
   // Log what we found for debugging
   Logger.log('Event Details Found:');
   Logger.log(`- Event Name: ${eventDetails.eventName}`);
@@ -429,9 +452,11 @@ function getSpeakersFromPeopleSheet(sheet) {
  * @param {Object} eventDetails - Event details
  * @param {Array} speakers - List of speaker names
  * @param {Array} approvedLocations - List of approved locations from Config
+ * @param {boolean} multiTrack - Allow parallel sessions in different locations
+ * @param {Object} availability - Availability windows from getAvailabilityWindows()
  * @return {string} Prompt for OpenAI
  */
-function generatePrompt(eventDetails, speakers, approvedLocations) {
+function generatePrompt(eventDetails, speakers, approvedLocations, multiTrack, availability) {
   // Determine the event type description based on duration
   let eventTypeDesc = "one-day";
   if (eventDetails.durationDays > 1) {
@@ -467,10 +492,8 @@ Draft a detailed sample schedule outline for a ${eventTypeDesc} event titled '${
   prompt += `.
 
 IMPORTANT TIME CONSTRAINTS:
-- The event will START at exactly ${eventDetails.startTimeFormatted} each day
-- The event will END at exactly ${eventDetails.endTimeFormatted} each day
-- NO sessions should be scheduled before ${eventDetails.startTimeFormatted} or after ${eventDetails.endTimeFormatted}
-
+${_formatDayConstraints(eventDetails)}
+${formatLockedSessionsForPrompt(eventDetails, multiTrack)}
 For this ${eventTypeDesc} event, please include:
 1. Realistic timing for each session (start and end times) with appropriate breaks
 2. Appropriate session titles that reflect the event context
@@ -511,6 +534,16 @@ For this ${eventTypeDesc} event, please include:
   if (speakers && speakers.length > 0) {
     prompt += `
 6. Note: These are the available speakers, but DO NOT assign them to sessions in your response. Leave the speaker/lead field empty: ${speakers.join(', ')}`;
+    
+    // Speakers who are only around part of the event still need a session they can lead
+    const limited = speakers.filter(name => availability && availability[name.toLowerCase()]);
+    if (limited.length > 0) {
+      prompt += `
+
+SPEAKER AVAILABILITY (speakers not listed are available throughout the event):
+${limited.map(name => `- ${name}: ${formatAvailability(availability[name.toLowerCase()]).split('\n').join('; ')}`).join('\n')}
+Plan the talks so that each of these speakers has at least one session that fits inside one of their windows.`;
+    }
   }
   
   // Add specific format requirements for easier parsing
@@ -535,15 +568,28 @@ Format your response as JSON with the following structure for each session:
 IMPORTANT SCHEDULING GUIDELINES:
 1. Ensure each day's schedule is logical and follows a typical event flow
 2. Include appropriate breaks (coffee, lunch, etc.) in the schedule
-3. Start times and end times should be in sequence without overlaps
+3. ${multiTrack
+    ? 'Sessions in the SAME location must never overlap; sessions in DIFFERENT locations may run at the same time'
+    : 'Start times and end times should be in sequence without overlaps'}
 4. Make sure sessions align with the event theme, objectives, and descriptions provided
 5. Distribute session topics evenly throughout the day to maintain engagement
 6. CRITICALLY IMPORTANT: The dates must be EXACTLY between ${formattedStartDate} and ${formattedEndDate}, inclusive
-7. CRITICALLY IMPORTANT: Start each day no earlier than ${eventDetails.startTimeFormatted} and end no later than ${eventDetails.endTimeFormatted}
+7. CRITICALLY IMPORTANT: Start and end each day within that day's hours from the time constraints above
 8. CRITICALLY IMPORTANT: ALL locations MUST be chosen from this exact list: ${locationsText}
 9. CRITICALLY IMPORTANT: LEAVE THE SPEAKER/LEAD FIELD EMPTY FOR ALL SESSIONS
 `;
   
+  // Multi-track: fill the rooms in parallel
+  if (multiTrack) {
+    prompt += `
+MULTI-TRACK FORMAT:
+- This event runs ${approvedLocations.length} parallel tracks, one per location: ${locationsText}
+- Plenary sessions (opening, keynotes, meals, closing) use a single location and nothing else runs at the same time
+- Between plenaries, schedule concurrent breakout sessions so that every location is in use
+- Breakouts that run at the same time should share the same start and end times so attendees can switch rooms
+`;
+  }
+  
   Logger.log('Generated OpenAI Prompt:');
   Logger.log(prompt);
   
@@ -551,20 +597,45 @@ IMPORTANT SCHEDULING GUIDELINES:
 }
 
 /**
- * Calls OpenAI API to generate a schedule
- * Modified to enforce approved locations in the response
- * @param {string} prompt - The prompt for OpenAI
- * @param {string} apiKey - OpenAI API key
- * @param {Object} eventDetails - Event details for fallback parsing
+ * Writes the time constraints section of the prompt: one line per day when the
+ * days have their own hours or themes, otherwise the event's hours for every day
+ * @param {Object} eventDetails Event details from getEventDetails()
+ * @return {string} The constraint lines
+ */
+function _formatDayConstraints(eventDetails) {
+  const days = eventDetails.days || [];
+  const uniform = days.every(day => !day.theme && day.start === days[0].start && day.end === days[0].end);
+
+  if (days.length === 0 || uniform) {
+    const start = days.length > 0 ? _formatMinutes(days[0].start) : eventDetails.startTimeFormatted;
+    const end = days.length > 0 ? _formatMinutes(days[0].end) : eventDetails.endTimeFormatted;
+    return `- The event will START at exactly ${start} each day
+- The event will END at exactly ${end} each day
+- NO sessions should be scheduled before ${start} or after ${end}`;
+  }
+
+  const lines = days.map((day, index) =>
+    `- Day ${index + 1} (${formatDate(day.date)}): START at ${_formatMinutes(day.start)}, END at ${_formatMinutes(day.end)}` +
+    (day.theme ? `. Theme for the day: ${day.theme}` : ''));
+  return `${lines.join('\n')}
+- NO sessions should be scheduled before or after the hours of their day
+- ONLY schedule sessions on the dates listed above`;
+}
+
+/**
+ * Asks the configured AI provider (see LLM.gs) to generate a schedule
+ * The reply is checked against the schedule schema (see AIValidation.gs), so every
+ * session is on an event day, inside that day's hours, in an approved location,
+ * and clear of the Confirmed and Locked sessions
+ * @param {string} prompt - The prompt from generatePrompt()
+ * @param {Object} eventDetails - Event details for validation and fallback parsing
  * @param {Array} approvedLocations - List of approved locations
- * @return {Array} Array of schedule items
+ * @param {boolean} multiTrack - Whether sessions in different locations may run at the same time
+ * @return {Object} Result from requestValidatedItems() with the schedule items
  */
-function callOpenAIForSchedule(prompt, apiKey, eventDetails, approvedLocations) {
-  const url = 'https://api.openai.com/v1/chat/completions';
-  
-  const payload = {
-    model: "gpt-3.5-turbo-16k",
-    messages: [
+function callAIForSchedule(prompt, eventDetails, approvedLocations, multiTrack) {
+  try {
+    const result = requestValidatedItems([
       {
         role: "system", 
         content: "You are an experienced event planner that specializes in creating detailed, realistic event schedules. You always follow time constraints exactly as provided."
@@ -573,68 +644,18 @@ function callOpenAIForSchedule(prompt, apiKey, eventDetails, approvedLocations)
         role: "user",
         content: prompt
       }
-    ],
-    temperature: 0.7,
-    max_tokens: 4000
-  };
-  
-  const options = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: {
-      'Authorization': 'Bearer ' + apiKey
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-  
-  try {
-    const response = UrlFetchApp.fetch(url, options);
-    const responseCode = response.getResponseCode();
-    
-    if (responseCode !== 200) {
-      Logger.log('Error from OpenAI API: ' + response.getContentText());
-      throw new Error('OpenAI API returned error code: ' + responseCode);
-    }
+    ], getScheduleItemSchema(eventDetails, approvedLocations, multiTrack),
+    reply => parseUnstructuredScheduleResponse(reply, eventDetails, approvedLocations));
     
-    const responseJson = JSON.parse(response.getContentText());
-    const responseText = responseJson.choices[0].message.content;
-    
-    // Log a portion of the response for debugging
-    Logger.log('OpenAI Response Preview (first 500 chars):');
-    Logger.log(responseText.substring(0, 500) + '...');
+    // Ensure the Lead/Speaker field is empty
+    result.items.forEach(item => {
+      item.speaker = "";
+    });
     
-    // Parse the response to extract schedule items
-    try {
-      // Extract JSON from the response
-      let jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        Logger.log('No JSON found in response: ' + responseText);
-        // Attempt to parse unstructured response as fallback
-        return parseUnstructuredScheduleResponse(responseText, eventDetails, approvedLocations);
-      }
-      
-      const jsonData = JSON.parse(jsonMatch[0]);
-      const scheduleItems = jsonData.schedule || [];
-      
-      // Validate each location against the approved list
-      return scheduleItems.map(item => {
-        // Create a new object to avoid modifying the original
-        const validatedItem = {...item};
-        validatedItem.location = validateLocation(item.location, approvedLocations);
-        // Ensure the Lead/Speaker field is empty
-        validatedItem.speaker = "";
-        return validatedItem;
-      });
-    } catch (e) {
-      Logger.log('Error parsing OpenAI response: ' + e.toString());
-      Logger.log('Response was: ' + responseText);
-      
-      // Fallback to unstructured parsing
-      return parseUnstructuredScheduleResponse(responseText, eventDetails, approvedLocations);
-    }
+    Logger.log(`Schedule reply: ${result.items.length} valid session(s), ${result.dropped.length} dropped, ${result.repairs} repair request(s)`);
+    return result;
   } catch (e) {
-    Logger.log('Error calling OpenAI API: ' + e.toString());
+    Logger.log('Error calling AI provider: ' + e.toString());
     throw e;
   }
 }
@@ -655,9 +676,11 @@ function parseUnstructuredScheduleResponse(response, eventDetails, approvedLocat
   let currentDate = eventDetails.startDate; // Start with first event day
   let currentDay = 0;
   
-  // Default start time from event details or reasonable default
-  let defaultStartTime = eventDetails.startTimeFormatted || '9:00 AM';
+  // Default start time from the first event day, the event details or a reasonable default
+  const firstDay = (eventDetails.days || [])[0];
+  let defaultStartTime = firstDay ? _formatMinutes(firstDay.start) : (eventDetails.startTimeFormatted || '9:00 AM');
   defaultStartTime = defaultStartTime.trim();
+  let defaultEndTime = firstDay ? _formatMinutes(firstDay.end) : eventDetails.endTimeFormatted;
   
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -680,9 +703,14 @@ function parseUnstructuredScheduleResponse(response, eventDetails, approvedLocat
         
         // Create new date for this day
         if (eventDetails.startDate instanceof Date) {
-          currentDate = new Date(eventDetails.startDate);
-          currentDate.setDate(currentDate.getDate() + currentDay);
+          currentDate = addDays(eventDetails.startDate, currentDay);
         }
+        
+        // Use this day's own hours when the Event Days sheet lists it
+        const day = (eventDetails.days || [])[currentDay];
+        defaultStartTime = day ? _formatMinutes(day.start) : (eventDetails.startTimeFormatted || '9:00 AM').trim();
+        defaultEndTime = day ? _formatMinutes(day.end) : eventDetails.endTimeFormatted;
+        if (day) currentDate = day.date;
       }
       continue;
     }
@@ -729,21 +757,8 @@ if (isFirstSessionOfDay) {
             // Adjust end time to maintain same duration
             const sessionDurationMs = calculateTimeDifferenceMs(startTime, endTime);
             if (sessionDurationMs > 0) {
-              const startTimeDate = new Date();
-              eventHour = eventHour % 12; // Convert back to 12-hour format if needed
-              if (eventPeriod === 'PM' && eventHour < 12) eventHour += 12;
-              if (eventPeriod === 'AM' && eventHour === 12) eventHour = 0;
-              
-              startTimeDate.setHours(eventHour, eventMinutes, 0, 0);
-              const endTimeDate = new Date(startTimeDate.getTime() + sessionDurationMs);
-              
               // Format end time as HH:MM AM/PM
-              let endHour = endTimeDate.getHours();
-              const endMinutes = endTimeDate.getMinutes();
-              const endPeriod = endHour >= 12 ? 'PM' : 'AM';
-              endHour = endHour % 12 || 12; // Convert to 12-hour format
-              
-              endTime = `${endHour}:${endMinutes < 10 ? '0' + endMinutes : endMinutes} ${endPeriod}`;
+              endTime = _formatMinutes(eventHour * 60 + eventMinutes + sessionDurationMs / 60000);
             }
           }
         }
@@ -751,7 +766,7 @@ if (isFirstSessionOfDay) {
       
       // Apply event end time constraints
       // Ensure no sessions end after the event end time
-      const eventEndTimeParts = eventDetails.endTimeFormatted.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+      const eventEndTimeParts = defaultEndTime.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
       const sessionEndTimeParts = endTime.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
       
       if (eventEndTimeParts && sessionEndTimeParts) {
@@ -781,21 +796,15 @@ if (isFirstSessionOfDay) {
           // (e.g., at least 15 minutes)
           const minSessionDurationMs = 15 * 60 * 1000; // 15 minutes in milliseconds
           
-          const adjustedEndTime = new Date();
-          adjustedEndTime.setHours(eventHour, eventMinutes, 0, 0);
+          const adjustedEndMinutes = eventHour * 60 + eventMinutes;
           
           const startTimeObj = parseTimeString(startTime);
           if (startTimeObj) {
-            const sessionDurationMs = adjustedEndTime.getTime() - startTimeObj.getTime();
+            const sessionDurationMs = (adjustedEndMinutes - _minutesOfDay(startTimeObj)) * 60000;
             
             // If the adjusted session would be too short, adjust the start time
             if (sessionDurationMs < minSessionDurationMs) {
-              const newStartTimeObj = new Date(adjustedEndTime.getTime() - minSessionDurationMs);
-              const startHour12 = newStartTimeObj.getHours() % 12 || 12;
-              const startMinutes = newStartTimeObj.getMinutes();
-              const startPeriod = newStartTimeObj.getHours() >= 12 ? 'PM' : 'AM';
-              
-              startTime = `${startHour12}:${startMinutes < 10 ? '0' + startMinutes : startMinutes} ${startPeriod}`;
+              startTime = _formatMinutes(adjustedEndMinutes - minSessionDurationMs / 60000);
             }
           }
         }
@@ -821,7 +830,7 @@ if (isFirstSessionOfDay) {
       
       // Add the schedule item - ALWAYS with empty speaker/lead
       scheduleItems.push({
-        date: sessionDate,
+        date: currentDate,
         startTime: startTime,
         endTime: endTime,
         title: title || "Untitled Session",
@@ -840,11 +849,7 @@ if (isFirstSessionOfDay) {
     
     // Calculate an end time 1 hour after start
     const startTimeObj = parseTimeString(formattedStartTime);
-    let endTimeObj = new Date(startTimeObj.getTime() + 60 * 60 * 1000); // 1 hour later
-    let endHour = endTimeObj.getHours() % 12 || 12;
-    let endMinutes = endTimeObj.getMinutes();
-    let endPeriod = endTimeObj.getHours() >= 12 ? 'PM' : 'AM';
-    let formattedEndTime = `${endHour}:${endMinutes < 10 ? '0' + endMinutes : endMinutes} ${endPeriod}`;
+    const formattedEndTime = _formatMinutes(_minutesOfDay(startTimeObj) + 60); // 1 hour later
     
     // Add a basic opening session
     scheduleItems.push({
@@ -872,9 +877,7 @@ function areSameDates(date1, date2) {
     return false;
   }
   
-  return date1.getFullYear() === date2.getFullYear() &&
-         date1.getMonth() === date2.getMonth() &&
-         date1.getDate() === date2.getDate();
+  return formatDate(date1) === formatDate(date2);
 }
 
 /**
@@ -904,238 +907,6 @@ function calculateTimeDifferenceMs(startTimeStr, endTimeStr) {
   }
 }
 
-/**
- * Populates the Schedule sheet with generated schedule items
- * Enhanced to ensure all locations come from the approved list
- * and Lead column remains blank
- * @param {Array} scheduleData - Array of schedule items
- * @param {Object} eventDetails - Event details
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Schedule sheet
- * @param {Array} approvedLocations - List of approved locations
- * @return {number} The number of schedule items added
- */
-function populateScheduleSheet(scheduleData, eventDetails, sheet, approvedLocations) {
-  if (!scheduleData || scheduleData.length === 0) {
-    return 0;
-  }
-  
-  // Clear the existing schedule data (preserving the header row)
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).clear();
-  }
-  
-  // Prepare the data for batch insertion
-  const scheduleRows = [];
-  
-  // Get event constraints for validation
-  const eventStartTime = parseTimeString(eventDetails.startTimeFormatted);
-  const eventEndTime = parseTimeString(eventDetails.endTimeFormatted);
-  
-  // Time constraints in milliseconds for validation
-  const earliestAllowedTimeMs = eventStartTime ? eventStartTime.getTime() : null;
-  const latestAllowedTimeMs = eventEndTime ? eventEndTime.getTime() : null;
-  
-  // Process each schedule item with validation
-  for (const item of scheduleData) {
-    let itemDate;
-    // Handle date which could be a string or Date object
-    if (item.date instanceof Date) {
-      itemDate = item.date;
-    } else if (typeof item.date === 'string') {
-      // Try to parse the date string
-      try {
-        itemDate = new Date(item.date);
-        if (isNaN(itemDate.getTime())) {
-          // If invalid, fallback to event start date
-          itemDate = new Date(eventDetails.startDate);
-        }
-      } catch (e) {
-        // Fallback to event start date on error
-        itemDate = new Date(eventDetails.startDate);
-      }
-    } else {
-      // Default to event start date if no date provided
-      itemDate = new Date(eventDetails.startDate);
-    }
-    
-    // Validate the date is within event range
-    if (itemDate < eventDetails.startDate) {
-      itemDate = new Date(eventDetails.startDate);
-    } else if (itemDate > eventDetails.endDate) {
-      itemDate = new Date(eventDetails.endDate);
-    }
-    
-    // Ensure start time is not earlier than event start time for first session of the day
-    let startTime = item.startTime || eventDetails.startTimeFormatted || '9:00 AM';
-    let endTime = item.endTime || '10:00 AM';
-    
-    // Validate session times against event constraints
-    const sessionStartTime = parseTimeString(startTime);
-    const sessionEndTime = parseTimeString(endTime);
-    
-    if (sessionStartTime && sessionEndTime && earliestAllowedTimeMs && latestAllowedTimeMs) {
-      const sessionStartMs = sessionStartTime.getTime();
-      const sessionEndMs = sessionEndTime.getTime();
-      
-      // Adjust session if it starts too early
-      if (sessionStartMs < earliestAllowedTimeMs) {
-        // Use event start time
-        startTime = eventDetails.startTimeFormatted;
-        
-        // Maintain original session duration if possible
-        const originalDuration = sessionEndMs - sessionStartMs;
-        if (originalDuration > 0) {
-          const newEndTime = new Date(earliestAllowedTimeMs + originalDuration);
-          const newEndHour = newEndTime.getHours();
-          const newEndMinute = newEndTime.getMinutes();
-          const period = newEndHour >= 12 ? 'PM' : 'AM';
-          const hour12 = newEndHour % 12 || 12;
-          
-          endTime = `${hour12}:${newEndMinute < 10 ? '0' + newEndMinute : newEndMinute} ${period}`;
-        }
-      }
-      
-      // Adjust session if it ends too late
-      const adjustedSessionEndTime = parseTimeString(endTime);
-      if (adjustedSessionEndTime && adjustedSessionEndTime.getTime() > latestAllowedTimeMs) {
-        // Use event end time
-        endTime = eventDetails.endTimeFormatted;
-        
-        // If this makes the session too short or start after end, adjust the start time too
-        const adjustedSessionStartTime = parseTimeString(startTime);
-        const minSessionMs = 15 * 60 * 1000; // Minimum 15 minutes
-        
-        if (adjustedSessionStartTime && 
-            (latestAllowedTimeMs - adjustedSessionStartTime.getTime() < minSessionMs || 
-             adjustedSessionStartTime.getTime() >= latestAllowedTimeMs)) {
-          // Start 30 min before end time
-          const newStartTime = new Date(latestAllowedTimeMs - 30 * 60 * 1000);
-          const newStartHour = newStartTime.getHours();
-          const newStartMinute = newStartTime.getMinutes();
-          const period = newStartHour >= 12 ? 'PM' : 'AM';
-          const hour12 = newStartHour % 12 || 12;
-          
-          startTime = `${hour12}:${newStartMinute < 10 ? '0' + newStartMinute : newStartMinute} ${period}`;
-        }
-      }
-    }
-    
-    // Validate location against approved locations
-    const location = validateLocation(item.location, approvedLocations);
-    
-    // Create a row for this schedule item
-    // NOTE: The key change - setting the Lead field (column 6) to empty string regardless of what's returned from OpenAI
-    scheduleRows.push([
-      itemDate,                    // Date
-      startTime,                   // Start Time
-      endTime,                     // End Time
-      '',                          // Duration (will be calculated)
-      item.title || 'Untitled Session', // Session Title
-      '',                          // Lead/Speaker - ALWAYS EMPTY for preliminary schedule
-      location,                    // Location - validated against approved list
-      item.status || 'Tentative',  // Status
-      ''                           // Notes
-    ]);
-  }
-  
-  // Sort rows by date and time
-  scheduleRows.sort((a, b) => {
-    // First sort by date
-    const dateCompare = a[0] - b[0];
-    if (dateCompare !== 0) return dateCompare;
-    
-    // Then by start time
-    const startTimeA = parseTimeString(a[1]);
-    const startTimeB = parseTimeString(b[1]);
-    if (startTimeA && startTimeB) {
-      return startTimeA.getTime() - startTimeB.getTime();
-    }
-    return 0;
-  });
-  
-  // Batch insert all schedule items
-  if (scheduleRows.length > 0) {
-    sheet.getRange(2, 1, scheduleRows.length, scheduleRows[0].length).setValues(scheduleRows);
-    
-    // Format date and time columns
-    sheet.getRange(2, 1, scheduleRows.length, 1).setNumberFormat('yyyy-mm-dd');
-    sheet.getRange(2, 2, scheduleRows.length, 2).setNumberFormat('hh:mm am/pm');
-    
-    // Re-apply the duration calculation
-    setupDurationCalculation(sheet.getParent());
-  }
-  
-  return scheduleRows.length;
-}
-
-/**
- * Helper function to parse a time string in the format "10:00 AM" or "2:30 PM"
- * @param {string|Date} timeStr - The time string or Date object to parse
- * @return {Date|null} - A Date object set to today with the specified time, or null if parsing fails
- */
-function parseTimeString(timeStr) {
-  try {
-    // Handle Date objects directly
-    if (timeStr instanceof Date) {
-      return timeStr;
-    }
-    
-    // Make sure we have a string
-    timeStr = String(timeStr).trim();
-    
-    // Regular expression to match time format: HH:MM AM/PM
-    const timeRegex = /^(\d{1,2}):(\d{2})\s*(AM|PM|am|pm)$/;
-    const match = timeStr.match(timeRegex);
-    
-    if (!match) return null;
-    
-    let hours = parseInt(match[1], 10);
-    const minutes = parseInt(match[2], 10);
-    const period = match[3].toUpperCase();
-    
-    // Convert to 24-hour format
-    if (period === 'PM' && hours < 12) {
-      hours += 12;
-    } else if (period === 'AM' && hours === 12) {
-      hours = 0;
-    }
-    
-    // Create a Date object for today with the parsed time
-    const date = new Date();
-    date.setHours(hours, minutes, 0, 0);
-    return date;
-    
-  } catch (error) {
-    Logger.log("Error parsing time string: " + error.toString());
-    return null;
-  }
-}
-
-/**
- * Format a date as YYYY-MM-DD for API calls
- * @param {Date} date The date to format
- * @return {string} Formatted date string
- */
-function formatDate(date) {
-  if (!date) return '';
-  
-  // Ensure date is a Date object 
-  if (!(date instanceof Date)) {
-    try {
-      date = new Date(date);
-    } catch (e) {
-      return '';
-    }
-  }
-  
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}`;
-}
-
 /**
  * Gets the OpenAI API key from the Config sheet with improved debugging
  * @return {string|null} The API key or null if not found
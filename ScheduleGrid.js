@@ -0,0 +1,270 @@
+//ScheduleGrid.gs - Room-by-time grid view of the Schedule, one sheet per event day
+
+/**
+ * Configuration constants
+ */
+const SCHEDULE_GRID_SHEET_PREFIX = 'Schedule Grid ';
+const SCHEDULE_GRID_SLOT_MINUTES = 15;
+const SCHEDULE_GRID_ROOM_WIDTH = 180;
+const SCHEDULE_GRID_STATUS_COLORS = {
+  'Confirmed': '#b6d7a8',  // Green
+  'Tentative': '#fff2cc',  // Yellow
+  'Cancelled': '#d9d9d9'   // Gray
+};
+const SCHEDULE_GRID_DEFAULT_COLOR = '#cfe2f3'; // Any other status
+
+/**
+ * Builds the Schedule Grid sheets and reports the result
+ * Called from the Event Planner Setup menu
+ */
+function generateScheduleGrid() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  if (!ss.getSheetByName('Schedule')) {
+    ui.alert('Error', 'Schedule sheet not found.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const sheetNames = renderScheduleGrids(ss);
+
+    if (sheetNames.length === 0) {
+      ui.alert('Nothing to Show', 'Add sessions with a date and start/end times to the Schedule sheet first.', ui.ButtonSet.OK);
+      return;
+    }
+
+    ss.setActiveSheet(ss.getSheetByName(sheetNames[0]));
+    ui.alert('Schedule Grid', `Created ${sheetNames.length} grid sheet(s): ${sheetNames.join(', ')}`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`Error generating schedule grid: ${error}`);
+    ui.alert('Error', `Failed to generate the schedule grid: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Rebuilds one grid sheet per event day and removes grids for days that no longer have sessions
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Names of the grid sheets that were written
+ */
+function renderScheduleGrids(ss) {
+  const sessions = getScheduleGridSessions(ss.getSheetByName('Schedule'));
+
+  // Each day's hours from the Event Days sheet (or the Event Description sheet)
+  const eventSheet = ss.getSheetByName('Event Description');
+  const eventDetails = eventSheet ? getEventDetails(eventSheet) : null;
+  const eventDays = eventDetails ? eventDetails.days : [];
+
+  // Rooms from the Location List, plus any extra locations used in the Schedule
+  const rooms = getApprovedLocationList(ss).slice();
+  sessions.forEach(session => {
+    const location = session.location || 'Unassigned';
+    if (!rooms.some(room => room.toLowerCase() === location.toLowerCase())) {
+      rooms.push(location);
+    }
+  });
+
+  // Group sessions by day
+  const days = {};
+  sessions.forEach(session => {
+    const key = formatDate(session.date);
+    if (!days[key]) days[key] = [];
+    days[key].push(session);
+  });
+
+  const sheetNames = Object.keys(days).sort().map(key => {
+    const sheetName = SCHEDULE_GRID_SHEET_PREFIX + key;
+    const eventDay = getEventDay(eventDays, days[key][0].date);
+    renderScheduleGridSheet(ss, sheetName, days[key], rooms,
+      eventDay ? eventDay.start : null, eventDay ? eventDay.end : null);
+    return sheetName;
+  });
+
+  // Drop grids left over from days that are no longer scheduled
+  ss.getSheets().forEach(sheet => {
+    const name = sheet.getName();
+    if (name.indexOf(SCHEDULE_GRID_SHEET_PREFIX) === 0 && sheetNames.indexOf(name) === -1) {
+      ss.deleteSheet(sheet);
+    }
+  });
+
+  return sheetNames;
+}
+
+/**
+ * Reads every dated, timed session in the Schedule, including cancelled ones
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @return {Array} Session objects with times as minutes of the day
+ */
+function getScheduleGridSessions(sheet) {
+  if (!sheet || sheet.getLastRow() <= 1) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const sessions = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const start = _minutesOfDay(parseTimeString(row[1]));
+    let end = _minutesOfDay(parseTimeString(row[2]));
+
+    if (!(row[0] instanceof Date) || start === null || end === null) continue;
+    if (end <= start) end = 24 * 60; // Runs past midnight - stop the block at the end of the day
+
+    sessions.push({
+      row: i + 1,
+      date: _startOfDay(row[0]),
+      start: start,
+      end: end,
+      title: row[4] ? row[4].toString() : '',
+      lead: row[5] ? row[5].toString() : '',
+      location: row[6] ? row[6].toString().trim() : '',
+      status: row[7] ? row[7].toString() : ''
+    });
+  }
+
+  return sessions;
+}
+
+/**
+ * Draws a single day's grid: rooms across, time slots down, one merged block per session.
+ * A session that collides with a block already in its room is listed inside that block
+ * (outlined in red) instead, since merged ranges cannot overlap.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {string} sheetName Name of the grid sheet
+ * @param {Array} sessions The day's sessions from getScheduleGridSessions()
+ * @param {Array} rooms Column headings
+ * @param {number|null} windowStart The day's start in minutes of the day
+ * @param {number|null} windowEnd The day's end in minutes of the day
+ */
+function renderScheduleGridSheet(ss, sheetName, sessions, rooms, windowStart, windowEnd) {
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.setTabColor('#6aa84f'); // Green color
+  } else {
+    sheet.getRange(1, 1, sheet.getMaxRows(), sheet.getMaxColumns()).breakApart();
+    sheet.clear();
+  }
+
+  // Time range covers the event window and every session, rounded out to whole slots
+  let first = Math.min.apply(null, sessions.map(session => session.start));
+  let last = Math.max.apply(null, sessions.map(session => session.end));
+  if (windowStart !== null) first = Math.min(first, windowStart);
+  if (windowEnd !== null) last = Math.max(last, windowEnd);
+  first = Math.floor(first / SCHEDULE_GRID_SLOT_MINUTES) * SCHEDULE_GRID_SLOT_MINUTES;
+  last = Math.ceil(last / SCHEDULE_GRID_SLOT_MINUTES) * SCHEDULE_GRID_SLOT_MINUTES;
+
+  const slotCount = (last - first) / SCHEDULE_GRID_SLOT_MINUTES;
+  const width = rooms.length + 1;
+
+  if (sheet.getMaxRows() < slotCount + 1) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), slotCount + 1 - sheet.getMaxRows());
+  }
+  if (sheet.getMaxColumns() < width) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), width - sheet.getMaxColumns());
+  }
+
+  const values = [];
+  const backgrounds = [];
+  for (let slot = 0; slot < slotCount; slot++) {
+    const row = [_formatMinutes(first + slot * SCHEDULE_GRID_SLOT_MINUTES)];
+    const colors = ['#f3f3f3'];
+    for (let c = 1; c < width; c++) {
+      row.push('');
+      colors.push('#ffffff');
+    }
+    values.push(row);
+    backgrounds.push(colors);
+  }
+
+  // Place active sessions before cancelled ones so a cancellation never hides a live session
+  const ordered = sessions.slice().sort((a, b) =>
+    (a.status === 'Cancelled') - (b.status === 'Cancelled') || a.start - b.start);
+
+  const occupied = rooms.map(() => new Array(slotCount).fill(null));
+  const blocks = [];
+
+  ordered.forEach(session => {
+    const location = session.location || 'Unassigned';
+    const col = rooms.findIndex(room => room.toLowerCase() === location.toLowerCase());
+    const top = Math.floor((session.start - first) / SCHEDULE_GRID_SLOT_MINUTES);
+    const bottom = Math.max(top + 1, Math.ceil((session.end - first) / SCHEDULE_GRID_SLOT_MINUTES));
+    const label = `${session.title || 'Untitled'}\n${_formatMinutes(session.start)} - ${_formatMinutes(session.end)}` +
+      (session.lead ? `\n${session.lead}` : '');
+
+    let clash = null;
+    for (let slot = top; slot < bottom; slot++) {
+      if (occupied[col][slot]) {
+        clash = occupied[col][slot];
+        break;
+      }
+    }
+
+    if (clash) {
+      if (session.status === 'Cancelled') return;
+      values[clash.top][col + 1] += `\n\nALSO BOOKED: ${label.replace(/\n/g, ' · ')}`;
+      clash.doubleBooked = true;
+      return;
+    }
+
+    const block = { top: top, bottom: bottom, col: col, session: session, doubleBooked: false };
+    for (let slot = top; slot < bottom; slot++) {
+      occupied[col][slot] = block;
+      backgrounds[slot][col + 1] = SCHEDULE_GRID_STATUS_COLORS[session.status] || SCHEDULE_GRID_DEFAULT_COLOR;
+    }
+    values[top][col + 1] = label;
+    blocks.push(block);
+  });
+
+  // Header
+  sheet.getRange(1, 1, 1, width).setValues([['Time'].concat(rooms)])
+    .setBackground('#4a86e8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+  sheet.setFrozenRows(1);
+  sheet.setFrozenColumns(1);
+
+  // Body
+  const body = sheet.getRange(2, 1, slotCount, width);
+  body.setNumberFormat('@'); // Keep time labels as text
+  body.setValues(values);
+  body.setBackgrounds(backgrounds);
+  body.setVerticalAlignment('top').setWrap(true).setFontSize(9);
+  sheet.getRange(2, 1, slotCount, 1).setHorizontalAlignment('right').setFontColor('#5f6368');
+
+  // Light rule on every hour
+  for (let slot = 0; slot < slotCount; slot++) {
+    if ((first + slot * SCHEDULE_GRID_SLOT_MINUTES) % 60 === 0) {
+      sheet.getRange(slot + 2, 1, 1, width)
+        .setBorder(true, null, null, null, null, null, '#cccccc', SpreadsheetApp.BorderStyle.SOLID);
+    }
+  }
+
+  // Session blocks
+  blocks.forEach(block => {
+    const range = sheet.getRange(block.top + 2, block.col + 2, block.bottom - block.top, 1);
+    if (block.bottom - block.top > 1) range.merge();
+    range.setBorder(true, true, true, true, null, null,
+      block.doubleBooked ? '#cc0000' : '#666666',
+      block.doubleBooked ? SpreadsheetApp.BorderStyle.SOLID_THICK : SpreadsheetApp.BorderStyle.SOLID);
+    if (block.session.status === 'Cancelled') range.setFontLine('line-through');
+    range.setNote(`Schedule row ${block.session.row}` + (block.session.status ? ` · ${block.session.status}` : ''));
+  });
+
+  sheet.setColumnWidth(1, 80);
+  for (let c = 2; c <= width; c++) {
+    sheet.setColumnWidth(c, SCHEDULE_GRID_ROOM_WIDTH);
+  }
+  sheet.setRowHeights(2, slotCount, 21);
+}
+
+/**
+ * Whether the Config "Schedule Mode" asks for parallel sessions in different rooms
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {boolean} True for multi-track scheduling
+ */
+function isMultiTrackSchedule(ss) {
+  const mode = _getConfigValue(ss, 'Schedule Mode', 'Single Track').toString().toLowerCase();
+  return mode.indexOf('multi') !== -1;
+}
@@ -0,0 +1,317 @@
+//ScheduleReview.gs - Review AI-generated sessions against the current Schedule before anything is written
+
+/**
+ * Configuration constants
+ */
+const SCHEDULE_REVIEW_CACHE_KEY = 'pendingScheduleReview';
+const SCHEDULE_MATCH_THRESHOLD = 0.6; // Title similarity needed to treat sessions on the same day as the same
+
+/**
+ * Stores the generated sessions and opens the review dialog
+ * @param {Array} items Validated schedule items from callAIForSchedule()
+ * @param {string} report Repair and dropped-item report from formatAIValidationReport()
+ * @param {boolean} multiTrack Whether the schedule runs parallel tracks (the room-by-time grids are rebuilt after applying)
+ */
+function showScheduleReviewDialog(items, report, multiTrack) {
+  _cacheScheduleReview({ generated: _sortScheduleItems(items), report: report, multiTrack: multiTrack });
+
+  const html = HtmlService.createHtmlOutputFromFile('ScheduleReviewDialog')
+    .setWidth(860)
+    .setHeight(640);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Review AI Schedule');
+}
+
+/**
+ * Returns the review plan waiting for approval, compared against the Schedule as it is now
+ * Called from ScheduleReviewDialog.html via google.script.run
+ * @return {Object|null} The plan, or null if the review has expired
+ */
+function getPendingScheduleReview() {
+  const review = _getCachedScheduleReview();
+  return review ? _buildReviewResponse(review) : null;
+}
+
+/**
+ * Asks the AI provider for a new plan for one day, keeping the other days' sessions
+ * and the edits made so far
+ * Called from ScheduleReviewDialog.html via google.script.run
+ * @param {string} dateKey The day to regenerate, as yyyy-MM-dd
+ * @param {Object} choices Edits and dropped sessions from the dialog
+ * @return {Object} The updated plan
+ */
+function regenerateScheduleReviewDay(dateKey, choices) {
+  const review = _getCachedScheduleReview();
+  if (!review) throw new Error('This review has expired. Please generate the schedule again.');
+  _applyReviewChoices(review, choices);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const eventDetails = getEventDetails(ss.getSheetByName('Event Description'));
+  eventDetails.lockedSessions = getLockedSessions(ss);
+  const dayIndex = eventDetails.days.findIndex(day => formatDate(day.date) === dateKey);
+  if (dayIndex === -1) throw new Error(`${dateKey} is not an event day.`);
+
+  // Plan just this day, as a one-day event with that day's hours and theme
+  const day = eventDetails.days[dayIndex];
+  const dayDetails = Object.assign({}, eventDetails, {
+    startDate: day.date, endDate: day.date, durationDays: 1, days: [day]
+  });
+  const approvedLocations = getApprovedLocationList(ss);
+  const prompt = generatePrompt(dayDetails, getSpeakersFromPeopleSheet(ss.getSheetByName('People')),
+    approvedLocations, review.multiTrack, getAvailabilityWindows(ss)) +
+    `\nThis is day ${dayIndex + 1} of ${eventDetails.days.length} of the event; the other days are already planned. ` +
+    'Suggest a fresh plan for this day.';
+
+  const result = callAIForSchedule(prompt, dayDetails, approvedLocations, review.multiTrack);
+  if (result.items.length === 0) {
+    throw new Error(`No sessions came back for ${dateKey}. ${formatAIValidationReport(result)}`.trim());
+  }
+
+  review.generated = _sortScheduleItems(review.generated.filter(item => item.date !== dateKey).concat(result.items));
+  review.report = formatAIValidationReport(result);
+  _cacheScheduleReview(review);
+
+  Logger.log(`Regenerated ${dateKey}: ${result.items.length} session(s)`);
+  return _buildReviewResponse(review);
+}
+
+/**
+ * Writes the approved additions, changes and removals to the Schedule sheet.
+ * A snapshot is saved first, so "Undo Last Generator Run" reverts the whole step.
+ * Called from ScheduleReviewDialog.html via google.script.run
+ * @param {Object} choices Edits, dropped sessions and approved removals from the dialog
+ * @return {Object} Object with added, updated and removed counts
+ */
+function applyScheduleReview(choices) {
+  const review = _getCachedScheduleReview();
+  if (!review) throw new Error('This review has expired. Please generate the schedule again.');
+  _applyReviewChoices(review, choices);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Schedule');
+  if (!sheet) throw new Error('Schedule sheet not found');
+
+  // Edited times and titles follow the same rules as the AI's own sessions,
+  // including staying clear of sessions locked since the review opened
+  const eventDetails = getEventDetails(ss.getSheetByName('Event Description'));
+  eventDetails.lockedSessions = getLockedSessions(ss);
+  const kept = review.generated.filter(item => !item.dropped);
+  const check = validateAIItems(kept,
+    getScheduleItemSchema(eventDetails, getApprovedLocationList(ss), review.multiTrack));
+  if (check.dropped.length > 0) {
+    throw new Error('Fix these sessions first:\n' +
+      check.dropped.map(item => `${item.label}: ${item.errors.join('; ')}`).join('\n'));
+  }
+  kept.forEach((item, index) => Object.assign(item, check.valid[index])); // e.g. "9:00am" -> "9:00 AM"
+
+  const plan = buildScheduleReviewPlan(review.generated, readScheduleForReview(ss));
+  const removals = plan.removals.filter(session => (choices.removals || []).indexOf(session.id) !== -1);
+  const changes = plan.changes.filter(change => !review.generated[change.index].dropped);
+  const additions = plan.additions.filter(addition => !review.generated[addition.index].dropped);
+  const result = { added: additions.length, updated: changes.length, removed: removals.length };
+  if (result.added + result.updated + result.removed === 0) return result;
+
+  if (createSnapshot(sheet, 'Generate Preliminary Schedule') === null) {
+    throw new Error('A snapshot of the Schedule could not be saved, so nothing was written. Please try again.');
+  }
+
+  // Changes first, while the row numbers still hold
+  changes.forEach(change => {
+    const session = change.session;
+    sheet.getRange(change.existing.row, 2, 1, 2).setValues([[session.startTime, session.endTime]]);
+    sheet.getRange(change.existing.row, 5).setValue(session.title);
+    sheet.getRange(change.existing.row, 7).setValue(session.location);
+  });
+
+  // Removals bottom up
+  removals.map(session => session.row).sort((a, b) => b - a).forEach(row => sheet.deleteRow(row));
+
+  if (additions.length > 0) {
+    const rows = additions.map(addition => {
+      const session = addition.session;
+      return [parseEventDate(session.date), session.startTime, session.endTime, '', session.title, '',
+        session.location, session.status || 'Tentative', false, 'Generated by AI'];
+    });
+    const first = sheet.getLastRow() + 1;
+    sheet.getRange(first, 1, rows.length, rows[0].length).setValues(rows);
+    sheet.getRange(first, 1, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(first, 2, rows.length, 2).setNumberFormat('h:mm AM/PM');
+    sheet.getRange(first, 9, rows.length, 1).insertCheckboxes();
+  }
+
+  // Keep the Schedule in date and time order
+  if (sheet.getLastRow() > 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+      .sort([{ column: 1, ascending: true }, { column: 2, ascending: true }]);
+  }
+
+  setupDurationCalculation(ss);
+  refreshSessionReferences(ss); // New IDs, and renamed or deleted sessions in Task and Cue references
+  refreshScheduleConflicts(false);
+  if (review.multiTrack) renderScheduleGrids(ss);
+
+  CacheService.getDocumentCache().remove(SCHEDULE_REVIEW_CACHE_KEY);
+  Logger.log(`Schedule review applied: ${result.added} added, ${result.updated} updated, ${result.removed} removed`);
+  return result;
+}
+
+/**
+ * Reads the current Schedule sessions for comparison
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Sessions with id, row, date (yyyy-MM-dd), startTime, endTime, title, lead, location, status and locked
+ */
+function readScheduleForReview(ss) {
+  const sheet = ss.getSheetByName('Schedule');
+  const ids = ensureSessionIds(ss);
+  if (Object.keys(ids).length === 0) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const lockedIndex = findColumnIndex(data[0], LOCKED_HEADER);
+  return Object.keys(ids).map(id => {
+    const row = data[ids[id].row - 1];
+    return {
+      id: id,
+      row: ids[id].row,
+      date: row[0] instanceof Date ? formatDate(row[0]) : '',
+      startTime: formatTimeValue(row[1]),
+      endTime: formatTimeValue(row[2]),
+      title: ids[id].title,
+      lead: row[5] ? row[5].toString() : '',
+      location: row[6] ? row[6].toString().trim() : '',
+      status: row[7] ? row[7].toString() : '',
+      locked: isLockedScheduleRow(row, lockedIndex)
+    };
+  });
+}
+
+/**
+ * Compares generated sessions with the current Schedule. A generated session
+ * matches an existing one on the same day with a similar title; the same start
+ * time and location only decides between equally similar titles. Matched
+ * sessions with different times, title or location are changes; existing
+ * sessions nothing matched are removals.
+ * Locked sessions are never matched, changed or removed.
+ * @param {Array} generated Generated schedule items (indexes are kept in the plan)
+ * @param {Array} existing Sessions from readScheduleForReview()
+ * @return {Object} Object with additions, changes, unchanged, removals and locked arrays
+ */
+function buildScheduleReviewPlan(generated, existing) {
+  const plan = { additions: [], changes: [], unchanged: [], removals: [], locked: [] };
+  const used = {};
+  existing.forEach((session, index) => {
+    if (!session.locked) return;
+    used[index] = true;
+    plan.locked.push(session);
+  });
+
+  generated.forEach((session, index) => {
+    let best = null;
+    let bestScore = 0;
+    existing.forEach((candidate, candidateIndex) => {
+      if (used[candidateIndex] || candidate.date !== session.date) return;
+      // A different session in the same slot is a removal plus an addition, so the old
+      // session's Lead, Notes, ID and registrations never move to it
+      const sameSlot = candidate.startTime === session.startTime &&
+        candidate.location.toLowerCase() === session.location.toLowerCase();
+      const similarity = taskNameSimilarity(session.title, candidate.title);
+      const score = similarity + (sameSlot ? 0.01 : 0);
+      if (similarity >= SCHEDULE_MATCH_THRESHOLD && score > bestScore) {
+        best = candidateIndex;
+        bestScore = score;
+      }
+    });
+
+    if (best === null) {
+      plan.additions.push({ index: index, session: session });
+      return;
+    }
+
+    used[best] = true;
+    const match = existing[best];
+    const differences = [];
+    [['start', 'startTime'], ['end', 'endTime'], ['title', 'title'], ['location', 'location']].forEach(field => {
+      if (session[field[1]] !== match[field[1]]) {
+        differences.push({ field: field[0], from: match[field[1]], to: session[field[1]] });
+      }
+    });
+
+    const entry = { index: index, session: session, existing: match };
+    if (differences.length === 0) {
+      plan.unchanged.push(entry);
+    } else {
+      entry.differences = differences;
+      plan.changes.push(entry);
+    }
+  });
+
+  existing.forEach((session, index) => {
+    if (!used[index]) plan.removals.push(session);
+  });
+
+  return plan;
+}
+
+/**
+ * Builds what the dialog shows: the plan, the days that can be regenerated,
+ * and the AI reply report
+ * @param {Object} review The cached review
+ * @return {Object} Object with plan, generated, days and report
+ */
+function _buildReviewResponse(review) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const eventSheet = ss.getSheetByName('Event Description');
+  const days = eventSheet ? getEventDetails(eventSheet).days : [];
+
+  return {
+    plan: buildScheduleReviewPlan(review.generated, readScheduleForReview(ss)),
+    generated: review.generated,
+    days: days.map(day => ({ date: formatDate(day.date), label: formatDate(day.date, 'EEE MMM d'), theme: day.theme })),
+    report: review.report || ''
+  };
+}
+
+/**
+ * Applies the dialog's inline edits and dropped flags to the generated sessions
+ * @param {Object} review The cached review
+ * @param {Object} choices Object with edits (index -> { title, startTime, endTime }) and dropped (indexes)
+ */
+function _applyReviewChoices(review, choices) {
+  const edits = (choices && choices.edits) || {};
+  const dropped = (choices && choices.dropped) || [];
+
+  review.generated.forEach((session, index) => {
+    const edit = edits[index];
+    if (edit) {
+      ['title', 'startTime', 'endTime'].forEach(key => {
+        if (edit[key] !== undefined) session[key] = edit[key].toString().trim();
+      });
+    }
+    session.dropped = dropped.indexOf(index) !== -1;
+  });
+}
+
+/**
+ * Sorts schedule items by date and start time
+ * @param {Array} items Schedule items with date (yyyy-MM-dd) and startTime
+ * @return {Array} The sorted items
+ */
+function _sortScheduleItems(items) {
+  const startOf = item => _minutesOfDay(parseTimeString(item.startTime));
+  return items.slice().sort((a, b) => a.date.localeCompare(b.date) || startOf(a) - startOf(b));
+}
+
+/**
+ * Saves the review for the dialog's later calls
+ * @param {Object} review Object with generated, report and multiTrack
+ */
+function _cacheScheduleReview(review) {
+  CacheService.getDocumentCache().put(SCHEDULE_REVIEW_CACHE_KEY, JSON.stringify(review), 21600);
+}
+
+/**
+ * Reads the review saved by _cacheScheduleReview
+ * @return {Object|null} The review, or null if it has expired
+ */
+function _getCachedScheduleReview() {
+  const cached = CacheService.getDocumentCache().get(SCHEDULE_REVIEW_CACHE_KEY);
+  return cached ? JSON.parse(cached) : null;
+}
@@ -0,0 +1,441 @@
+//ScheduleSolver.gs - Deterministic schedule builder that places a session backlog without AI
+
+/**
+ * Configuration constants
+ */
+const BACKLOG_SHEET_NAME = 'Session Backlog';
+const BACKLOG_HEADERS = ['Session Title', 'Duration (mins)', 'Preferred Room', 'Lead', 'Result'];
+const SOLVER_SLOT_MINUTES = 15; // Sessions start on quarter hours
+
+/**
+ * Builds the Schedule from the Session Backlog sheet, respecting the event hours, rooms,
+ * meal breaks, and Lead availability. Creates the backlog sheet on first use.
+ * Called from the Event Planner Setup menu
+ */
+function buildScheduleFromBacklog() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const eventSheet = ss.getSheetByName('Event Description');
+  const scheduleSheet = ss.getSheetByName('Schedule');
+  if (!eventSheet || !scheduleSheet) {
+    ui.alert('Error', 'Required sheets (Event Description, Schedule) not found. Please make sure all sheets are set up.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const eventDetails = getEventDetails(eventSheet);
+  if (!eventDetails || !eventDetails.startDate || !eventDetails.endDate) {
+    ui.alert('Error', 'Event Start Date and End Date are missing. Please complete the Event Description sheet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const backlogSheet = setupSessionBacklogSheet(ss);
+  const backlog = getSessionBacklog(backlogSheet);
+  if (backlog.length === 0) {
+    ss.setActiveSheet(backlogSheet);
+    ui.alert(
+      'Session Backlog',
+      'List the sessions to schedule on the Session Backlog sheet (title, duration, preferred room, lead), ' +
+        'add any Lead time limits to the Availability column of the People sheet, then run this again.',
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const locked = getLockedSessions(ss);
+  const response = ui.alert(
+    'Build Schedule',
+    `Place ${backlog.length} backlog session(s) into the Schedule? This replaces the current Schedule ` +
+      (locked.length > 0 ? `except its ${locked.length} Confirmed or Locked session(s), which stay as they are ` : '') +
+      '(a snapshot is saved first, so it can be undone).',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  try {
+    const result = solveSchedule(backlog, {
+      eventDetails: eventDetails,
+      rooms: getApprovedLocationList(ss),
+      meals: getMealBreaks(ss),
+      gapMinutes: Number(_getConfigValue(ss, 'Break Between Sessions (mins)', 0)) || 0,
+      availability: getAvailabilityWindows(ss),
+      locked: locked
+    });
+
+    if (!writeSolvedSchedule(scheduleSheet, result)) return;
+    writeBacklogResults(backlogSheet, backlog);
+
+    let message = `Placed ${result.placed.length} of ${backlog.length} session(s).`;
+    if (result.kept.length > 0) {
+      message += ` ${result.kept.length} already in the Schedule as Confirmed or Locked: ${result.kept.join(', ')}.`;
+    }
+    if (result.unplaced.length > 0) {
+      message += '\n\nCould not place:\n' +
+        result.unplaced.map(item => `• ${item.title}: ${item.reason}`).join('\n') +
+        '\n\nThe Result column on the Session Backlog sheet has the details.';
+    }
+    ui.alert('Schedule Built', message, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`Error building schedule: ${error}`);
+    ui.alert('Error', `Failed to build the schedule: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Creates the Session Backlog sheet if it is missing
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The Session Backlog sheet
+ */
+function setupSessionBacklogSheet(ss) {
+  const rooms = getApprovedLocationList(ss);
+  let backlogSheet = ss.getSheetByName(BACKLOG_SHEET_NAME);
+
+  if (!backlogSheet) {
+    backlogSheet = ss.insertSheet(BACKLOG_SHEET_NAME);
+    backlogSheet.setTabColor('#f1c232'); // Same gold as the Schedule
+    _writeSolverHeaders(backlogSheet, BACKLOG_HEADERS, [220, 110, 140, 160, 360]);
+
+    backlogSheet.getRange(2, 2, 199, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireNumberGreaterThan(0)
+      .setHelpText('Length of the session in minutes.')
+      .build());
+    backlogSheet.getRange(2, 3, 199, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(rooms, true)
+      .setAllowInvalid(true) // Room types like "Hall" are allowed too
+      .setHelpText('A room from the Location List, or a word to match (e.g. "Hall"). Leave blank for any room.')
+      .build());
+    backlogSheet.getRange(1, 5).setNote('Filled in by Build Schedule (No AI).');
+  }
+
+  return backlogSheet;
+}
+
+/**
+ * Reads the backlog rows that have a title
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Session Backlog sheet
+ * @return {Array} Backlog items with row, title, duration, room, leads and order
+ */
+function getSessionBacklog(sheet) {
+  if (sheet.getLastRow() <= 1) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues()
+    .map((row, index) => ({
+      row: index + 2,
+      order: index,
+      title: row[0] ? row[0].toString().trim() : '',
+      duration: Number(row[1]),
+      room: row[2] ? row[2].toString().trim() : '',
+      leadText: row[3] ? row[3].toString().trim() : '',
+      leads: _splitSolverLeads(row[3])
+    }))
+    .filter(item => item.title);
+}
+
+/**
+ * Reads the Config "Meal Breaks" list, e.g. "Lunch 12:00 PM-1:00 PM, Coffee 3:00 PM-3:15 PM".
+ * Meal breaks are kept free in every room on every day.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Breaks with title, start and end in minutes of the day
+ */
+function getMealBreaks(ss) {
+  const value = _getConfigValue(ss, 'Meal Breaks', '').toString();
+  const breaks = [];
+
+  value.split(',').forEach(entry => {
+    const match = entry.trim().match(/^(.*?)\s*(\d{1,2}:\d{2}\s*[AP]M)\s*-\s*(\d{1,2}:\d{2}\s*[AP]M)$/i);
+    if (!match) {
+      if (entry.trim()) Logger.log(`Ignoring meal break "${entry.trim()}" - expected e.g. "Lunch 12:00 PM-1:00 PM"`);
+      return;
+    }
+    const start = _minutesOfDay(parseTimeString(match[2].toUpperCase()));
+    const end = _minutesOfDay(parseTimeString(match[3].toUpperCase()));
+    if (start !== null && end !== null && end > start) {
+      breaks.push({ title: match[1] || 'Break', start: start, end: end });
+    }
+  });
+
+  return breaks;
+}
+
+/**
+ * Places the backlog. Sessions with the fewest options go first (a fixed room,
+ * Leads with limited availability, longer sessions); each takes the earliest start on
+ * the least-booked day where its room and Leads are free, inside that day's hours from
+ * the Event Days sheet. Confirmed and Locked sessions keep their room and Leads
+ * busy, and backlog items with the same title are not placed again. The result
+ * only depends on the inputs, so running it twice gives the same schedule.
+ * @param {Array} backlog Items from getSessionBacklog()
+ * @param {Object} options eventDetails, rooms, meals, gapMinutes, availability and locked (from getLockedSessions())
+ * @return {Object} Object with placed, unplaced, kept (titles), meals, days, rooms and locked
+ */
+function solveSchedule(backlog, options) {
+  const days = options.eventDetails.days || [];
+  if (days.length === 0) {
+    throw new Error('The event dates could not be read from the Event Description sheet.');
+  }
+  const longestDay = Math.max.apply(null, days.map(day => day.end - day.start));
+
+  const gap = options.gapMinutes;
+  const overlaps = (a, b) => a.start < b.end + gap && b.start < a.end + gap;
+  const roomBookings = {};  // day -> room -> bookings
+  const leadBookings = {};  // day -> lead -> bookings
+  const dayLoad = {};       // day -> minutes booked
+  days.forEach(day => {
+    roomBookings[day.key] = {};
+    leadBookings[day.key] = {};
+    dayLoad[day.key] = 0;
+  });
+
+  // Fixed sessions are booked before anything is placed
+  const locked = options.locked || [];
+  locked.forEach(session => {
+    const day = days.find(candidate => formatDate(candidate.date) === session.date);
+    if (!day) return;
+    const booking = { start: session.start, end: session.end };
+    if (session.location) {
+      (roomBookings[day.key][session.location] = roomBookings[day.key][session.location] || []).push(booking);
+    }
+    _splitSolverLeads(session.lead).forEach(lead => {
+      const key = lead.toLowerCase();
+      (leadBookings[day.key][key] = leadBookings[day.key][key] || []).push(booking);
+    });
+    dayLoad[day.key] += session.end - session.start;
+  });
+  const lockedTitles = locked.map(session => session.title.toLowerCase());
+
+  // Sessions with fewer possibilities are placed first
+  const constraintScore = item =>
+    (item.room && options.rooms.some(room => room.toLowerCase() === item.room.toLowerCase()) ? 2 : 0) +
+    (item.leads.some(lead => options.availability[lead.toLowerCase()]) ? 1 : 0);
+  const ordered = backlog.slice().sort((a, b) =>
+    constraintScore(b) - constraintScore(a) || b.duration - a.duration || a.order - b.order);
+
+  const placed = [];
+  const unplaced = [];
+  const kept = [];
+
+  ordered.forEach(item => {
+    if (lockedTitles.indexOf(item.title.toLowerCase()) !== -1) {
+      item.result = 'Kept: already in the Schedule as a Confirmed or Locked session';
+      kept.push(item.title);
+      return;
+    }
+    if (!(item.duration > 0)) {
+      item.result = 'Not placed: Duration (mins) must be a positive number';
+      unplaced.push({ title: item.title, reason: 'no duration' });
+      return;
+    }
+    if (item.duration > longestDay) {
+      const reason = `needs ${item.duration} min but the longest event day is only ${longestDay} min long`;
+      item.result = `Not placed: ${reason}`;
+      unplaced.push({ title: item.title, reason: reason });
+      return;
+    }
+
+    const rooms = _rankSolverRooms(item.room, options.rooms);
+    const misses = { meal: 0, availability: 0, lead: 0, room: 0 };
+    const dayOrder = days.slice().sort((a, b) => dayLoad[a.key] - dayLoad[b.key] || a.key - b.key);
+    let placement = null;
+
+    for (let d = 0; d < dayOrder.length && !placement; d++) {
+      const dayKey = dayOrder[d].key;
+      const firstStart = Math.ceil(dayOrder[d].start / SOLVER_SLOT_MINUTES) * SOLVER_SLOT_MINUTES;
+
+      for (let start = firstStart; start + item.duration <= dayOrder[d].end && !placement; start += SOLVER_SLOT_MINUTES) {
+        const slot = { start: start, end: start + item.duration };
+
+        if (options.meals.some(meal => slot.start < meal.end && meal.start < slot.end)) {
+          misses.meal++;
+          continue;
+        }
+        if (!item.leads.every(lead => isAvailableDuring(options.availability[lead.toLowerCase()], dayKey, slot.start, slot.end))) {
+          misses.availability++;
+          continue;
+        }
+        if (item.leads.some(lead => (leadBookings[dayKey][lead.toLowerCase()] || []).some(b => overlaps(b, slot)))) {
+          misses.lead++;
+          continue;
+        }
+
+        const room = rooms.find(name => !(roomBookings[dayKey][name] || []).some(b => overlaps(b, slot)));
+        if (!room) {
+          misses.room++;
+          continue;
+        }
+
+        placement = { day: dayOrder[d].date, dayKey: dayKey, start: slot.start, end: slot.end, room: room };
+      }
+    }
+
+    if (!placement) {
+      const reason = _explainUnplaced(item, misses);
+      item.result = `Not placed: ${reason}`;
+      unplaced.push({ title: item.title, reason: reason });
+      return;
+    }
+
+    const booking = { start: placement.start, end: placement.end };
+    (roomBookings[placement.dayKey][placement.room] = roomBookings[placement.dayKey][placement.room] || []).push(booking);
+    item.leads.forEach(lead => {
+      const key = lead.toLowerCase();
+      (leadBookings[placement.dayKey][key] = leadBookings[placement.dayKey][key] || []).push(booking);
+    });
+    dayLoad[placement.dayKey] += item.duration;
+
+    const preferred = !item.room || placement.room.toLowerCase().indexOf(item.room.toLowerCase()) !== -1;
+    item.result = `Placed: ${formatDate(placement.day)} ${_formatMinutes(placement.start)}-${_formatMinutes(placement.end)} in ${placement.room}` +
+      (preferred ? '' : ` (no "${item.room}" room was free)`);
+    placed.push(Object.assign({ title: item.title, lead: item.leadText }, placement));
+  });
+
+  return { placed: placed, unplaced: unplaced, kept: kept, meals: options.meals, days: days, rooms: options.rooms, locked: locked };
+}
+
+/**
+ * Replaces the Schedule with the solver's sessions and the daily meal breaks
+ * (on the days whose hours include them). Confirmed and Locked rows stay, with
+ * their Session IDs, attendance and registration columns untouched.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Schedule sheet
+ * @param {Object} result Result from solveSchedule()
+ * @return {boolean} False if the user stopped because no snapshot could be saved
+ */
+function writeSolvedSchedule(sheet, result) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    if (!snapshotOrConfirm(sheet, 'Build Schedule (No AI)')) return false;
+
+    // Delete the unlocked rows bottom up, a run of adjacent rows at a time
+    const data = sheet.getRange(1, 1, lastRow, sheet.getLastColumn()).getValues();
+    const lockedIndex = findColumnIndex(data[0], LOCKED_HEADER);
+    for (let r = data.length - 1; r >= 1; r--) {
+      if (isLockedScheduleRow(data[r], lockedIndex)) continue;
+      let first = r;
+      while (first > 1 && !isLockedScheduleRow(data[first - 1], lockedIndex)) first--;
+      sheet.deleteRows(first + 1, r - first + 1);
+      r = first;
+    }
+  }
+
+  const rows = [];
+  result.placed.forEach(session => {
+    rows.push({ day: session.day, start: session.start, values: [
+      session.day, _formatMinutes(session.start), _formatMinutes(session.end), '',
+      session.title, session.lead, session.room, 'Tentative', false, 'Placed by schedule builder'
+    ] });
+  });
+
+  // One meal row per room, so no room looks free at lunch; rooms a fixed session holds are skipped
+  const locked = result.locked || [];
+  result.days.forEach(day => {
+    result.meals.filter(meal => meal.start >= day.start && meal.end <= day.end).forEach(meal => {
+      result.rooms.forEach(room => {
+        const taken = locked.some(session => session.date === formatDate(day.date) &&
+          session.location.toLowerCase() === room.toLowerCase() && session.start < meal.end && meal.start < session.end);
+        if (taken) return;
+        rows.push({ day: day.date, start: meal.start, values: [
+          day.date, _formatMinutes(meal.start), _formatMinutes(meal.end), '',
+          meal.title, '', room, 'Tentative', false, 'Meal break'
+        ] });
+      });
+    });
+  });
+
+  if (rows.length > 0) {
+    const first = sheet.getLastRow() + 1;
+    sheet.getRange(first, 1, rows.length, rows[0].values.length).setValues(rows.map(row => row.values));
+    sheet.getRange(first, 1, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(first, 9, rows.length, 1).insertCheckboxes();
+  }
+
+  // Slot the new rows in between the kept ones
+  if (sheet.getLastRow() > 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+      .sort([{ column: 1, ascending: true }, { column: 2, ascending: true }]);
+  }
+
+  const ss = sheet.getParent();
+  setupDurationCalculation(ss);
+  refreshSessionReferences(ss);
+  refreshScheduleConflicts(false);
+  return true;
+}
+
+/**
+ * Writes each backlog item's outcome to the Result column
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Session Backlog sheet
+ * @param {Array} backlog Items from getSessionBacklog(), with result set by solveSchedule()
+ */
+function writeBacklogResults(sheet, backlog) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return;
+
+  const results = new Array(lastRow - 1).fill(null).map(() => ['']);
+  const colors = new Array(lastRow - 1).fill(null).map(() => ['#000000']);
+  backlog.forEach(item => {
+    results[item.row - 2][0] = item.result || '';
+    colors[item.row - 2][0] = item.result && item.result.indexOf('Not placed') === 0 ? '#cc0000' : '#000000';
+  });
+
+  const range = sheet.getRange(2, 5, lastRow - 1, 1);
+  range.setValues(results);
+  range.setFontColors(colors);
+}
+
+/**
+ * Splits a Lead cell into names, e.g. "Ann & Bob, Cy" -> ["Ann", "Bob", "Cy"]
+ * @param {*} value The Lead value
+ * @return {Array} The names
+ */
+function _splitSolverLeads(value) {
+  return value ? value.toString().split(/,|&|\band\b/).map(name => name.trim()).filter(name => name) : [];
+}
+
+/**
+ * Orders the rooms for a backlog item: exact match, then rooms containing the
+ * preferred word, then the rest
+ * @param {string} preferred The Preferred Room value
+ * @param {Array} rooms The Location List
+ * @return {Array} The rooms, best first
+ */
+function _rankSolverRooms(preferred, rooms) {
+  if (!preferred) return rooms.slice();
+  const wanted = preferred.toLowerCase();
+  const score = room => room.toLowerCase() === wanted ? 0 : room.toLowerCase().indexOf(wanted) !== -1 ? 1 : 2;
+  return rooms.slice().sort((a, b) => score(a) - score(b) || rooms.indexOf(a) - rooms.indexOf(b));
+}
+
+/**
+ * Turns the solver's miss counts into a reason a session could not be placed
+ * @param {Object} item The backlog item
+ * @param {Object} misses Counts of start times rejected for each reason
+ * @return {string} The explanation
+ */
+function _explainUnplaced(item, misses) {
+  const tried = misses.meal + misses.availability + misses.lead + misses.room;
+  if (tried > 0 && misses.availability + misses.meal === tried) {
+    return `${item.leadText} is not available for ${item.duration} min outside the meal breaks (check their Availability in the People sheet)`;
+  }
+
+  const reasons = [];
+  if (misses.room) reasons.push(`every room was booked at ${misses.room} possible start time(s)`);
+  if (misses.lead) reasons.push(`${item.leadText} was already leading another session at ${misses.lead}`);
+  if (misses.availability) reasons.push(`${item.leadText} was unavailable at ${misses.availability}`);
+  if (misses.meal) reasons.push(`${misses.meal} overlapped a meal break`);
+  return reasons.length ? `no free slot - ${reasons.join('; ')}` : 'no free slot in the event hours';
+}
+
+/**
+ * Writes a styled header row
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet
+ * @param {Array} headers Header labels
+ * @param {Array} widths Column widths
+ */
+function _writeSolverHeaders(sheet, headers, widths) {
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers])
+    .setBackground('#4a86e8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+  sheet.setFrozenRows(1);
+  widths.forEach((width, index) => sheet.setColumnWidth(index + 1, width));
+}
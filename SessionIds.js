@@ -0,0 +1,193 @@
+//SessionIds.gs - Stable Session IDs and the references that point at them
+
+/**
+ * Configuration constants
+ */
+const SESSION_ID_HEADER = 'Session ID';
+const SESSION_ID_PREFIX = 'SES-';
+const SESSION_ID_PROPERTY = 'nextSessionId'; // Never reuse an ID, even after the Schedule is regenerated
+const SESSION_REFERENCE_SEPARATOR = ' · ';
+
+/**
+ * Gives every titled Schedule row a Session ID. Rows copied from another row
+ * (and so carrying a duplicate ID) get a new one.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Map of Session ID to { id, row, title, date, startTime }
+ */
+function ensureSessionIds(ss) {
+  const sheet = ss.getSheetByName('Schedule');
+  const sessions = {};
+  if (!sheet || sheet.getLastRow() <= 1) return sessions;
+
+  const idCol = _ensureColumn(sheet, SESSION_ID_HEADER, 90);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Math.max(idCol, 5)).getValues();
+  const ids = data.map(row => [row[idCol - 1] ? row[idCol - 1].toString().trim() : '']);
+
+  const properties = PropertiesService.getDocumentProperties();
+  let next = Number(properties.getProperty(SESSION_ID_PROPERTY)) || 1;
+  ids.forEach(id => {
+    const number = _sessionIdNumber(id[0]);
+    if (number >= next) next = number + 1;
+  });
+
+  let changed = false;
+  data.forEach((row, index) => {
+    const title = row[4] ? row[4].toString().trim() : '';
+    if (!title) return;
+
+    let id = ids[index][0];
+    if (!id || sessions[id]) {
+      id = SESSION_ID_PREFIX + String(next++).padStart(3, '0');
+      ids[index][0] = id;
+      changed = true;
+    }
+
+    sessions[id] = { id: id, row: index + 2, title: title, date: row[0], startTime: row[1] };
+  });
+
+  if (changed) {
+    sheet.getRange(2, idCol, ids.length, 1).setValues(ids);
+  }
+  properties.setProperty(SESSION_ID_PROPERTY, next.toString());
+
+  return sessions;
+}
+
+/**
+ * Builds the value stored in a referencing cell, e.g. "SES-004 · Lunch Break"
+ * @param {Object} session Session from ensureSessionIds()
+ * @return {string} The reference label
+ */
+function formatSessionReference(session) {
+  return session.id + SESSION_REFERENCE_SEPARATOR + session.title;
+}
+
+/**
+ * Extracts the Session ID from a reference label
+ * @param {*} value Cell value
+ * @return {string|null} The Session ID, or null for blank or title-only values
+ */
+function parseSessionReference(value) {
+  if (!value) return null;
+  const match = value.toString().match(new RegExp('^\\s*(' + SESSION_ID_PREFIX + '\\d+)\\b'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Finds the session a reference points at, falling back to a unique title match
+ * for values entered before Session IDs existed
+ * @param {*} value Cell value
+ * @param {Object} sessions Sessions from ensureSessionIds()
+ * @return {Object|null} The session, or null if it cannot be resolved
+ */
+function resolveSessionReference(value, sessions) {
+  if (!value) return null;
+
+  const id = parseSessionReference(value);
+  if (id) return sessions[id] || null;
+
+  const title = value.toString().trim().toLowerCase();
+  const matches = Object.keys(sessions).filter(key => sessions[key].title.toLowerCase() === title);
+  return matches.length === 1 ? sessions[matches[0]] : null;
+}
+
+/**
+ * Builds the dropdown rule listing every session as "ID · Title"
+ * @param {Object} sessions Sessions from ensureSessionIds()
+ * @param {string} helpText Help text for the rule
+ * @return {GoogleAppsScript.Spreadsheet.DataValidation|null} The rule, or null if there are no sessions
+ */
+function buildSessionReferenceRule(sessions, helpText) {
+  const labels = Object.keys(sessions).map(id => formatSessionReference(sessions[id]));
+  if (labels.length === 0) return null;
+
+  return SpreadsheetApp.newDataValidation()
+    .requireValueInList(labels, true)
+    .setAllowInvalid(false)
+    .setHelpText(helpText)
+    .build();
+}
+
+/**
+ * Rewrites session references in the Cue Builder and Task Management sheets so they
+ * show each session's current title, then refreshes both dropdowns.
+ * Title-only values are upgraded when the title matches exactly one session.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {number} The number of references rewritten
+ */
+function refreshSessionReferences(ss) {
+  const sessions = ensureSessionIds(ss);
+  let updated = 0;
+
+  const targets = [];
+  const cueSheet = ss.getSheetByName('Cue Builder');
+  if (cueSheet) targets.push({ sheet: cueSheet, col: 1 });
+
+  const taskSheet = ss.getSheetByName('Task Management');
+  if (taskSheet) {
+    const headers = taskSheet.getRange(1, 1, 1, taskSheet.getLastColumn()).getValues()[0];
+    const relatedIndex = findColumnIndex(headers, 'Related Session');
+    if (relatedIndex !== -1) targets.push({ sheet: taskSheet, col: relatedIndex + 1 });
+  }
+
+  targets.forEach(target => {
+    const lastRow = target.sheet.getLastRow();
+    if (lastRow <= 1) return;
+
+    const range = target.sheet.getRange(2, target.col, lastRow - 1, 1);
+    const values = range.getValues();
+    let changed = false;
+
+    values.forEach(row => {
+      const session = resolveSessionReference(row[0], sessions);
+      if (!session) return;
+      const label = formatSessionReference(session);
+      if (row[0] !== label) {
+        row[0] = label;
+        changed = true;
+        updated++;
+      }
+    });
+
+    if (changed) range.setValues(values);
+  });
+
+  updateCueBuilderDropdowns(sessions);
+  if (taskSheet) {
+    const headers = taskSheet.getRange(1, 1, 1, taskSheet.getLastColumn()).getValues()[0];
+    const relatedIndex = findColumnIndex(headers, 'Related Session');
+    const rule = buildSessionReferenceRule(sessions, 'Select the session this task supports.');
+    if (relatedIndex !== -1 && rule) {
+      taskSheet.getRange(2, relatedIndex + 1, Math.max(100, taskSheet.getLastRow() - 1), 1).setDataValidation(rule);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Called from handleScheduleEdit when a Session Title changes: assigns an ID to new
+ * sessions and carries the new title into every reference
+ * @param {Object} e The edit event object
+ */
+function handleSessionTitleEdit(e) {
+  try {
+    const ss = e.range.getSheet().getParent();
+    const updated = refreshSessionReferences(ss);
+    if (updated > 0) {
+      ss.toast(`Updated ${updated} reference(s) in Cue Builder and Task Management.`, 'Session Renamed', 4);
+    }
+  } catch (error) {
+    Logger.log(`Error updating session references: ${error}`);
+  }
+}
+
+/**
+ * Reads the number from a Session ID
+ * @param {string} id The Session ID
+ * @return {number} The number, or 0 if the value is not a Session ID
+ */
+function _sessionIdNumber(id) {
+  const match = id ? id.toString().match(new RegExp('^' + SESSION_ID_PREFIX + '(\\d+)$')) : null;
+  return match ? Number(match[1]) : 0;
+}
@@ -0,0 +1,240 @@
+//SessionRegistration.gs - Breakout session choices on the registration form, with capacity limits
+
+/**
+ * Configuration constants
+ */
+const REGISTRATIONS_SHEET_NAME = 'Session Registrations';
+const REGISTRATIONS_HEADERS = ['Timestamp', 'Name', 'Email', 'Session ID', 'Session Title'];
+const REGISTERED_HEADER = 'Registered';
+const REGISTRATION_QUESTION_PREFIX = 'Breakout Sessions: ';
+const REGISTRATION_FORM_PROPERTY = 'registrationFormId';
+const REGISTRATION_FULL_CHOICE = 'All sessions at this time are full';
+
+/**
+ * Brings the registration form's breakout questions up to date with the Schedule
+ * Called from the Event Planner Setup menu
+ */
+function updateRegistrationForm() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const formId = PropertiesService.getDocumentProperties().getProperty(REGISTRATION_FORM_PROPERTY);
+
+  if (!formId) {
+    ui.alert('Registration Form', 'Create the registration form first (Generate Google Forms).', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const result = syncRegistrationForm(FormApp.openById(formId), ss);
+    let message = `The form lists ${result.sessions} breakout session(s) in ${result.slots} time slot(s).`;
+    if (result.full.length > 0) {
+      message += `\n\nFull (closed on the form):\n${result.full.join('\n')}`;
+    }
+    ui.alert('Registration Form Updated', message, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`Error updating registration form: ${error}`);
+    ui.alert('Error', `Failed to update the registration form: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Finds the Confirmed breakout sessions: sessions that run at the same time as
+ * another Confirmed session in a different location. They are grouped by day and
+ * start time, one form question per group.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Array} Slots with title and sessions ({ id, title, location, capacity })
+ */
+function getBreakoutSlots(ss) {
+  const sheet = ss.getSheetByName('Schedule');
+  if (!sheet) return [];
+
+  const ids = ensureSessionIds(ss);
+  const data = sheet.getDataRange().getValues();
+  const rooms = {};
+  getRoomCatalog(ss).forEach(room => {
+    rooms[room.name.toLowerCase()] = room;
+  });
+
+  const confirmed = Object.keys(ids)
+    .map(id => {
+      const row = data[ids[id].row - 1];
+      const location = row[6] ? row[6].toString().trim() : '';
+      const room = rooms[location.toLowerCase()];
+      return {
+        id: id,
+        title: ids[id].title,
+        date: row[0],
+        start: _minutesOfDay(parseTimeString(row[1])),
+        end: _minutesOfDay(parseTimeString(row[2])),
+        location: location,
+        status: row[7] ? row[7].toString() : '',
+        capacity: room ? room.capacity : null
+      };
+    })
+    .filter(session => session.status === 'Confirmed' && session.date instanceof Date &&
+      session.start !== null && session.end !== null);
+
+  const breakouts = confirmed.filter(a => confirmed.some(b =>
+    b !== a &&
+    _startOfDay(a.date).getTime() === _startOfDay(b.date).getTime() &&
+    a.start < b.end && b.start < a.end &&
+    a.location.toLowerCase() !== b.location.toLowerCase()));
+
+  const slots = {};
+  breakouts.forEach(session => {
+    const key = _startOfDay(session.date).getTime() + session.start * 60000;
+    if (!slots[key]) {
+      slots[key] = {
+        key: key,
+        title: `${REGISTRATION_QUESTION_PREFIX}${formatDate(session.date)} ${_formatMinutes(session.start)}`,
+        sessions: []
+      };
+    }
+    slots[key].sessions.push(session);
+  });
+
+  return Object.keys(slots).map(key => slots[key]).sort((a, b) => a.key - b.key);
+}
+
+/**
+ * Adds, updates and removes the breakout questions on the registration form.
+ * Sessions that have reached their room's capacity are taken off the form.
+ * @param {GoogleAppsScript.Forms.Form} form The registration form
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Counts of slots and sessions, and the sessions that are full
+ */
+function syncRegistrationForm(form, ss) {
+  const slots = getBreakoutSlots(ss);
+  const counts = getRegistrationCounts(ss);
+  const result = { slots: slots.length, sessions: 0, full: [] };
+  const titles = slots.map(slot => slot.title);
+
+  // Questions for time slots that no longer have breakouts
+  form.getItems(FormApp.ItemType.CHECKBOX).forEach(item => {
+    if (item.getTitle().indexOf(REGISTRATION_QUESTION_PREFIX) === 0 && titles.indexOf(item.getTitle()) === -1) {
+      form.deleteItem(item);
+    }
+  });
+
+  slots.forEach(slot => {
+    const existing = form.getItems(FormApp.ItemType.CHECKBOX).filter(item => item.getTitle() === slot.title)[0];
+    const item = existing
+      ? existing.asCheckboxItem()
+      : form.addCheckboxItem()
+        .setTitle(slot.title)
+        .setRequired(false)
+        .setHelpText('Choose the session you would like to attend at this time.');
+
+    const open = [];
+    slot.sessions.forEach(session => {
+      result.sessions++;
+      const label = `${formatSessionReference(session)} (${session.location})`;
+      if (session.capacity && (counts[session.id] || 0) >= session.capacity) {
+        result.full.push(`${label}: ${counts[session.id]}/${session.capacity}`);
+      } else {
+        open.push(label);
+      }
+    });
+
+    // A question needs at least one choice
+    item.setChoiceValues(open.length > 0 ? open : [REGISTRATION_FULL_CHOICE]);
+  });
+
+  return result;
+}
+
+/**
+ * Replaces an attendee's session choices on the Session Registrations sheet,
+ * so an edited form response doesn't count twice
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {string} name The attendee's name
+ * @param {string} email The attendee's email
+ * @param {Array} sessionIds The chosen Session IDs
+ */
+function recordSessionRegistrations(ss, name, email, sessionIds) {
+  const sheet = _getRegistrationsSheet(ss);
+  const key = (email || name || '').toString().trim().toLowerCase();
+  const sessions = ensureSessionIds(ss);
+
+  // Remove the attendee's earlier choices, bottom up so row numbers stay valid
+  if (sheet.getLastRow() > 1) {
+    const rows = sheet.getRange(2, 2, sheet.getLastRow() - 1, 2).getValues();
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const rowKey = (rows[i][1] || rows[i][0] || '').toString().trim().toLowerCase();
+      if (key && rowKey === key) sheet.deleteRow(i + 2);
+    }
+  }
+
+  const now = new Date();
+  const newRows = sessionIds
+    .filter(id => sessions[id])
+    .map(id => [now, name, email, id, sessions[id].title]);
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, REGISTRATIONS_HEADERS.length).setValues(newRows);
+  }
+
+  updateRegisteredCounts(ss);
+}
+
+/**
+ * Counts registrations per session
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {Object} Map of Session ID to headcount
+ */
+function getRegistrationCounts(ss) {
+  const sheet = ss.getSheetByName(REGISTRATIONS_SHEET_NAME);
+  const counts = {};
+  if (!sheet || sheet.getLastRow() <= 1) return counts;
+
+  sheet.getRange(2, 4, sheet.getLastRow() - 1, 1).getValues().forEach(row => {
+    const id = row[0] ? row[0].toString().trim() : '';
+    if (id) counts[id] = (counts[id] || 0) + 1;
+  });
+
+  return counts;
+}
+
+/**
+ * Writes each session's headcount to the Schedule's Registered column,
+ * where the room capacity check picks it up
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ */
+function updateRegisteredCounts(ss) {
+  const sheet = ss.getSheetByName('Schedule');
+  if (!sheet || sheet.getLastRow() <= 1) return;
+
+  const sessions = ensureSessionIds(ss);
+  const counts = getRegistrationCounts(ss);
+  const col = _ensureColumn(sheet, REGISTERED_HEADER, 90);
+  const values = sheet.getRange(2, col, sheet.getLastRow() - 1, 1).getValues();
+
+  Object.keys(sessions).forEach(id => {
+    values[sessions[id].row - 2][0] = counts[id] || '';
+  });
+  sheet.getRange(2, col, values.length, 1).setValues(values);
+
+  refreshScheduleConflicts(false);
+}
+
+/**
+ * Gets the Session Registrations sheet, creating it if needed
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The sheet
+ */
+function _getRegistrationsSheet(ss) {
+  let sheet = ss.getSheetByName(REGISTRATIONS_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(REGISTRATIONS_SHEET_NAME);
+  sheet.setTabColor('#b45f06'); // Same brown as People
+  sheet.getRange(1, 1, 1, REGISTRATIONS_HEADERS.length).setValues([REGISTRATIONS_HEADERS])
+    .setBackground('#4a86e8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+  sheet.setFrozenRows(1);
+  [150, 160, 200, 90, 250].forEach((width, index) => sheet.setColumnWidth(index + 1, width));
+  sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd hh:mm');
+
+  return sheet;
+}
@@ -0,0 +1,363 @@
+//Snapshots.gs - Sheet snapshots taken before destructive operations, with undo
+
+/**
+ * Configuration constants
+ */
+const SNAPSHOT_SHEET_NAME = '_Snapshots';
+const SNAPSHOT_MAX_COUNT = 20;        // Oldest generator snapshots are dropped beyond this
+const SNAPSHOT_MAX_EDIT_COUNT = 10;   // Separate cap for snapshots taken on every edit
+const SNAPSHOT_EDIT_OPERATIONS = ['Ripple Reschedule']; // Kept apart so they never evict or undo a generator run
+const SNAPSHOT_CHUNK_SIZE = 40000;    // Characters per cell (Sheets allows 50,000)
+const SNAPSHOT_DATA_COLUMN = 6;       // Snapshot JSON starts in column F
+const SNAPSHOT_CHUNK_MARKER = '~';    // Starts every chunk so Sheets never reads one as a formula, number or date
+
+/**
+ * Saves the values, formats and data validations of a sheet before it is cleared
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet about to be changed
+ * @param {string} operation Name of the operation (e.g. "Generate Preliminary Schedule")
+ * @param {Array} overrides Optional cells to save with a different value, as { row, column, value }
+ *     (e.g. an edited cell's old value, so the sheet never has to be written to take the snapshot)
+ * @return {string|null} The snapshot ID, "" if the sheet is empty, or null if the snapshot could not be saved
+ */
+function createSnapshot(sheet, operation, overrides) {
+  try {
+    if (!sheet) return '';
+
+    const lastRow = sheet.getLastRow();
+    const lastCol = sheet.getLastColumn();
+    if (lastRow === 0 || lastCol === 0) return ''; // Nothing to lose
+
+    const ss = sheet.getParent();
+    const range = sheet.getRange(1, 1, lastRow, lastCol);
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+
+    // Validations are often applied far below the data, so capture the full height
+    const validationRange = sheet.getRange(1, 1, sheet.getMaxRows(), lastCol);
+
+    const payload = {
+      sheetName: sheet.getName(),
+      rows: lastRow,
+      columns: lastCol,
+      values: values.map((row, r) => row.map((value, c) => formulas[r][c] || value)),
+      numberFormats: range.getNumberFormats(),
+      backgrounds: range.getBackgrounds(),
+      fontWeights: range.getFontWeights(),
+      validations: _serializeValidations(validationRange.getDataValidations()),
+      frozenRows: sheet.getFrozenRows()
+    };
+    (overrides || []).forEach(cell => {
+      if (cell.row <= lastRow && cell.column <= lastCol) payload.values[cell.row - 1][cell.column - 1] = cell.value;
+    });
+
+    const json = JSON.stringify(payload, function (key, value) {
+      return this[key] instanceof Date ? { $date: this[key].getTime() } : value;
+    });
+
+    const chunks = [];
+    for (let i = 0; i < json.length; i += SNAPSHOT_CHUNK_SIZE) {
+      chunks.push(SNAPSHOT_CHUNK_MARKER + json.substring(i, i + SNAPSHOT_CHUNK_SIZE));
+    }
+
+    const snapshotSheet = _getSnapshotSheet(ss);
+    const width = SNAPSHOT_DATA_COLUMN - 1 + chunks.length;
+    if (snapshotSheet.getMaxColumns() < width) {
+      snapshotSheet.insertColumnsAfter(snapshotSheet.getMaxColumns(), width - snapshotSheet.getMaxColumns());
+    }
+
+    const id = `SNAP-${new Date().getTime()}`;
+    const row = snapshotSheet.getLastRow() + 1;
+    snapshotSheet.getRange(row, SNAPSHOT_DATA_COLUMN, 1, chunks.length).setNumberFormat('@');
+    snapshotSheet.getRange(row, 1, 1, width)
+      .setValues([[id, new Date(), operation, payload.sheetName, `${lastRow} x ${lastCol}`].concat(chunks)]);
+
+    _pruneSnapshots(snapshotSheet);
+
+    Logger.log(`Snapshot ${id} saved for "${payload.sheetName}" before ${operation}`);
+    return id;
+  } catch (error) {
+    // Callers decide whether to go ahead without a backup
+    Logger.log(`Error creating snapshot before ${operation}: ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Saves a snapshot, and if it could not be saved asks whether to go ahead without one
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet about to be changed
+ * @param {string} operation Name of the operation
+ * @return {boolean} True if the operation should go ahead
+ */
+function snapshotOrConfirm(sheet, operation) {
+  if (createSnapshot(sheet, operation) !== null) return true;
+
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert(
+    'No Snapshot Saved',
+    `A snapshot of "${sheet.getName()}" could not be saved, so "${operation}" could not be undone.\n\nContinue anyway?`,
+    ui.ButtonSet.YES_NO
+  );
+  return response === ui.Button.YES;
+}
+
+/**
+ * Lists the restorable snapshots, newest first
+ * Called from SnapshotsDialog.html via google.script.run
+ * @return {Array} Objects with id, timestamp, operation, sheetName and size
+ */
+function listSnapshots() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const snapshotSheet = ss.getSheetByName(SNAPSHOT_SHEET_NAME);
+  if (!snapshotSheet || snapshotSheet.getLastRow() <= 1) return [];
+
+  const rows = snapshotSheet.getRange(2, 1, snapshotSheet.getLastRow() - 1, SNAPSHOT_DATA_COLUMN - 1).getValues();
+  return rows
+    .filter(row => row[0])
+    .map(row => ({
+      id: row[0].toString(),
+      timestamp: row[1] instanceof Date
+        ? formatDate(row[1], 'yyyy-MM-dd HH:mm:ss')
+        : row[1].toString(),
+      operation: row[2].toString(),
+      sheetName: row[3].toString(),
+      size: row[4].toString()
+    }))
+    .reverse();
+}
+
+/**
+ * Restores a sheet from a snapshot
+ * Called from SnapshotsDialog.html via google.script.run
+ * @param {string} id The snapshot ID
+ * @return {Object} The restored snapshot's details
+ */
+function restoreSnapshot(id) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const snapshotSheet = ss.getSheetByName(SNAPSHOT_SHEET_NAME);
+  if (!snapshotSheet) throw new Error('No snapshots found.');
+
+  const row = findRowByValue(snapshotSheet, id);
+  if (!row) throw new Error(`Snapshot ${id} not found.`);
+
+  const meta = snapshotSheet.getRange(row, 1, 1, SNAPSHOT_DATA_COLUMN - 1).getValues()[0];
+  const lastCol = snapshotSheet.getLastColumn();
+  const json = snapshotSheet.getRange(row, SNAPSHOT_DATA_COLUMN, 1, lastCol - SNAPSHOT_DATA_COLUMN + 1)
+    .getValues()[0]
+    .map(chunk => {
+      const text = chunk.toString();
+      return text.charAt(0) === SNAPSHOT_CHUNK_MARKER ? text.substring(1) : text;
+    })
+    .join('');
+
+  const payload = JSON.parse(json, (key, value) =>
+    value && typeof value === 'object' && value.$date !== undefined ? new Date(value.$date) : value);
+
+  let sheet = ss.getSheetByName(payload.sheetName);
+  if (!sheet) sheet = ss.insertSheet(payload.sheetName);
+
+  // Start from an empty sheet with no validations
+  sheet.clear();
+  sheet.getRange(1, 1, sheet.getMaxRows(), sheet.getMaxColumns()).setDataValidation(null);
+
+  if (sheet.getMaxRows() < payload.validations.height) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), payload.validations.height - sheet.getMaxRows());
+  }
+  if (sheet.getMaxColumns() < payload.columns) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), payload.columns - sheet.getMaxColumns());
+  }
+
+  const range = sheet.getRange(1, 1, payload.rows, payload.columns);
+  range.setNumberFormats(payload.numberFormats);
+  range.setValues(payload.values);
+  range.setBackgrounds(payload.backgrounds);
+  range.setFontWeights(payload.fontWeights);
+
+  _restoreValidations(ss, sheet, payload.validations);
+
+  if (payload.frozenRows) sheet.setFrozenRows(payload.frozenRows);
+
+  Logger.log(`Restored "${payload.sheetName}" from snapshot ${id}`);
+  return {
+    id: id,
+    operation: meta[2].toString(),
+    sheetName: payload.sheetName
+  };
+}
+
+/**
+ * Restores the sheet changed by the most recent destructive operation
+ * Called from the Event Planner Setup menu
+ */
+function undoLastGeneratorRun() {
+  const ui = SpreadsheetApp.getUi();
+  const snapshots = listSnapshots();
+
+  if (snapshots.length === 0) {
+    ui.alert('Nothing to Undo', 'No snapshots have been saved yet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  // Edit snapshots are restored from the Restore a Snapshot dialog instead
+  const latest = snapshots.find(snapshot => SNAPSHOT_EDIT_OPERATIONS.indexOf(snapshot.operation) === -1);
+  if (!latest) {
+    ui.alert('Nothing to Undo', 'No generator run has been saved yet. Use Restore a Snapshot... for earlier edits.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.alert(
+    'Undo Last Generator Run',
+    `Restore the "${latest.sheetName}" sheet to how it was before "${latest.operation}" (${latest.timestamp})?\n\n` +
+      'Any changes made to that sheet since then will be lost.',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  try {
+    restoreSnapshot(latest.id);
+
+    // Drop the snapshot so the next undo steps further back
+    const snapshotSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SNAPSHOT_SHEET_NAME);
+    snapshotSheet.deleteRow(findRowByValue(snapshotSheet, latest.id));
+
+    ui.alert('Undo Complete', `"${latest.sheetName}" has been restored.`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`Error undoing last generator run: ${error}`);
+    ui.alert('Error', `Could not restore the snapshot: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows the list of restorable snapshots
+ * Called from the Event Planner Setup menu
+ */
+function showSnapshotsDialog() {
+  const html = HtmlService.createHtmlOutputFromFile('SnapshotsDialog')
+    .setWidth(560)
+    .setHeight(420);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Restore a Snapshot');
+}
+
+/**
+ * Gets the hidden snapshot archive sheet, creating it if needed
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The archive sheet
+ */
+function _getSnapshotSheet(ss) {
+  let sheet = ss.getSheetByName(SNAPSHOT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SNAPSHOT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, SNAPSHOT_DATA_COLUMN).setValues([['Snapshot ID', 'Timestamp', 'Operation', 'Sheet', 'Size', 'Data']]);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/**
+ * Deletes the oldest snapshots beyond SNAPSHOT_MAX_COUNT generator runs and
+ * SNAPSHOT_MAX_EDIT_COUNT edits, counted separately
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} snapshotSheet The archive sheet
+ */
+function _pruneSnapshots(snapshotSheet) {
+  if (snapshotSheet.getLastRow() <= 1) return;
+
+  const operations = snapshotSheet.getRange(2, 3, snapshotSheet.getLastRow() - 1, 1).getValues();
+  const counts = { edit: 0, generator: 0 };
+  const excess = [];
+
+  // Newest first, so the oldest beyond each cap are the ones deleted
+  for (let i = operations.length - 1; i >= 0; i--) {
+    const isEdit = SNAPSHOT_EDIT_OPERATIONS.indexOf(operations[i][0].toString()) !== -1;
+    const kind = isEdit ? 'edit' : 'generator';
+    counts[kind]++;
+    if (counts[kind] > (isEdit ? SNAPSHOT_MAX_EDIT_COUNT : SNAPSHOT_MAX_COUNT)) excess.push(i + 2);
+  }
+
+  // excess is in descending row order, so deleting keeps the remaining row numbers valid
+  excess.forEach(row => snapshotSheet.deleteRow(row));
+}
+
+/**
+ * Compresses a grid of data validations into per-column runs of identical rules
+ * @param {Array} validations 2D array from Range.getDataValidations()
+ * @return {Object} Object with rules, columns (runs of [ruleIndex, count]) and height
+ */
+function _serializeValidations(validations) {
+  const rules = [];
+  const ruleKeys = {};
+  const columns = [];
+  const height = validations.length;
+  const width = height > 0 ? validations[0].length : 0;
+
+  for (let c = 0; c < width; c++) {
+    const runs = [];
+    for (let r = 0; r < height; r++) {
+      const rule = validations[r][c];
+      let index = -1;
+
+      if (rule) {
+        const serialized = {
+          type: rule.getCriteriaType().toString(),
+          values: rule.getCriteriaValues().map(value => {
+            if (value && typeof value.getA1Notation === 'function') {
+              return { $range: `'${value.getSheet().getName().replace(/'/g, "''")}'!${value.getA1Notation()}` };
+            }
+            return value;
+          }),
+          allowInvalid: rule.getAllowInvalid(),
+          helpText: rule.getHelpText() || ''
+        };
+        const key = JSON.stringify(serialized);
+        if (ruleKeys[key] === undefined) {
+          ruleKeys[key] = rules.length;
+          rules.push(serialized);
+        }
+        index = ruleKeys[key];
+      }
+
+      const last = runs[runs.length - 1];
+      if (last && last[0] === index) {
+        last[1]++;
+      } else {
+        runs.push([index, 1]);
+      }
+    }
+    columns.push(runs);
+  }
+
+  return { rules: rules, columns: columns, height: height };
+}
+
+/**
+ * Re-applies data validations saved by _serializeValidations
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet being restored
+ * @param {Object} validations Serialized validations
+ */
+function _restoreValidations(ss, sheet, validations) {
+  const built = validations.rules.map(rule => {
+    try {
+      const values = rule.values.map(value =>
+        value && typeof value === 'object' && value.$range ? ss.getRange(value.$range) : value);
+      const builder = SpreadsheetApp.newDataValidation()
+        .withCriteria(SpreadsheetApp.DataValidationCriteria[rule.type], values)
+        .setAllowInvalid(rule.allowInvalid);
+      if (rule.helpText) builder.setHelpText(rule.helpText);
+      return builder.build();
+    } catch (error) {
+      Logger.log(`Could not rebuild ${rule.type} validation: ${error}`);
+      return null;
+    }
+  });
+
+  validations.columns.forEach((runs, c) => {
+    let row = 1;
+    runs.forEach(run => {
+      const rule = run[0] === -1 ? null : built[run[0]];
+      if (rule) {
+        sheet.getRange(row, c + 1, run[1], 1).setDataValidation(rule);
+      }
+      row += run[1];
+    });
+  });
+}
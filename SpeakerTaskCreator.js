@@ -107,6 +107,7 @@ function checkForAcceptedSpeakers(e) {
       
       // Create a task for this specific speaker
       createSpeakerTask(ss, speakerName);
+      recordAutomationRun('checkForAcceptedSpeakers');
       
       // Show a notification
       SpreadsheetApp.getActiveSpreadsheet().toast(
@@ -124,9 +125,11 @@ function checkForAcceptedSpeakers(e) {
     
     // Process the entire People sheet
     processPeopleSheet(ss);
+    recordAutomationRun('checkForAcceptedSpeakers');
     
   } catch (error) {
     logError('Error in checkForAcceptedSpeakers', error);
+    recordAutomationRun('checkForAcceptedSpeakers', error);
   }
 }
 
@@ -300,16 +303,15 @@ function createSpeakerTask(ss, speakerName) {
       startDate = new Date(startDateValue);
     } else {
       // Try to parse the date string
-      startDate = new Date(startDateValue);
-      if (isNaN(startDate.getTime())) {
+      startDate = parseEventDate(startDateValue);
+      if (!startDate) {
         logError(`Invalid date: ${startDateValue}`);
         return;
       }
     }
     
     // Calculate due date (2 days before event start)
-    const dueDate = new Date(startDate);
-    dueDate.setDate(dueDate.getDate() - 2);
+    const dueDate = addDays(startDate, -2);
     Logger.log(`Due date calculated: ${dueDate}`);
     
     // Create the task in Task Management sheet
@@ -0,0 +1,306 @@
+//TaskDependencies.gs - Task predecessors, cycle detection, and due-date cascading
+
+/**
+ * Configuration constants
+ */
+const DEPENDS_ON_HEADER = 'Depends On';
+
+/**
+ * Handles edits to the Task Management sheet that involve dependencies:
+ * validates the Depends On column, cascades Due Date changes to dependents,
+ * and blocks moving a task to In Progress while its predecessors are open.
+ * Called from onEdit.
+ * @param {Object} e The edit event object
+ */
+function handleTaskDependencyEdit(e) {
+  if (!e || !e.range) return;
+  if (e.range.getNumRows() !== 1 || e.range.getNumColumns() !== 1) return;
+
+  const row = e.range.getRow();
+  if (row <= 1) return; // Skip header row
+
+  const sheet = e.range.getSheet();
+  const col = e.range.getColumn();
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+  const dependsOnIndex = findColumnIndex(headers, DEPENDS_ON_HEADER);
+  const dueDateIndex = findColumnIndex(headers, 'due date');
+  const statusIndex = findColumnIndex(headers, 'status');
+
+  try {
+    if (dependsOnIndex !== -1 && col === dependsOnIndex + 1) {
+      validateDependsOnEdit(e, sheet, row);
+    } else if (dueDateIndex !== -1 && col === dueDateIndex + 1) {
+      cascadeDueDateChange(e, sheet, row);
+    } else if (statusIndex !== -1 && col === statusIndex + 1 && e.value === 'In Progress') {
+      enforcePredecessorsDone(e, sheet, row);
+    }
+  } catch (error) {
+    Logger.log(`Error handling task dependency edit: ${error}`);
+  }
+}
+
+/**
+ * Reads every task with its ID, name, due date, status and predecessors
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Task Management sheet
+ * @return {Object} Object with tasks (keyed by Task ID) and column indices
+ */
+function getTaskGraph(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+
+  const columns = {
+    id: findColumnIndex(headers, 'task id'),
+    name: findColumnIndex(headers, 'task name'),
+    dueDate: findColumnIndex(headers, 'due date'),
+    status: findColumnIndex(headers, 'status'),
+    dependsOn: findColumnIndex(headers, DEPENDS_ON_HEADER)
+  };
+
+  const tasks = {};
+  if (columns.id === -1) return { tasks: tasks, columns: columns };
+
+  for (let i = 1; i < data.length; i++) {
+    const id = data[i][columns.id] ? data[i][columns.id].toString().trim() : '';
+    if (!id) continue;
+
+    tasks[id] = {
+      id: id,
+      row: i + 1,
+      name: columns.name !== -1 ? data[i][columns.name] : '',
+      dueDate: columns.dueDate !== -1 ? data[i][columns.dueDate] : '',
+      status: columns.status !== -1 ? data[i][columns.status] : '',
+      dependsOn: columns.dependsOn !== -1 ? parseDependsOn(data[i][columns.dependsOn]) : []
+    };
+  }
+
+  return { tasks: tasks, columns: columns };
+}
+
+/**
+ * Splits a Depends On cell into Task IDs
+ * @param {string} value The cell value (comma- or space-separated IDs)
+ * @return {Array} Task IDs
+ */
+function parseDependsOn(value) {
+  if (!value) return [];
+  return value.toString()
+    .split(/[,\s]+/)
+    .map(id => id.trim())
+    .filter(id => id);
+}
+
+/**
+ * Finds a dependency path from one task back to another, following predecessors
+ * @param {Object} tasks Tasks keyed by Task ID
+ * @param {string} fromId Task ID to start from
+ * @param {string} targetId Task ID to look for
+ * @return {Array|null} The path of Task IDs, or null if the target is not reachable
+ */
+function findDependencyPath(tasks, fromId, targetId) {
+  const visited = {};
+
+  const visit = (id, path) => {
+    if (id === targetId) return path.concat(id);
+    if (visited[id] || !tasks[id]) return null;
+    visited[id] = true;
+
+    for (const predecessor of tasks[id].dependsOn) {
+      const found = visit(predecessor, path.concat(id));
+      if (found) return found;
+    }
+    return null;
+  };
+
+  for (const predecessor of (tasks[fromId] ? tasks[fromId].dependsOn : [])) {
+    const found = visit(predecessor, [fromId]);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Checks a task's predecessors for unknown IDs, self-references, and cycles
+ * @param {Object} tasks Tasks keyed by Task ID
+ * @param {string} taskId The task to check
+ * @return {Array} Problem descriptions (empty if valid)
+ */
+function getDependencyProblems(tasks, taskId) {
+  const problems = [];
+  const task = tasks[taskId];
+  if (!task) return problems;
+
+  task.dependsOn.forEach(id => {
+    if (id === taskId) {
+      problems.push(`${taskId} cannot depend on itself`);
+    } else if (!tasks[id]) {
+      problems.push(`Unknown Task ID: ${id}`);
+    }
+  });
+
+  const cycle = findDependencyPath(tasks, taskId, taskId);
+  if (cycle && problems.length === 0) {
+    problems.push(`Circular dependency: ${cycle.join(' → ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validates an edited Depends On cell and reverts it if it is invalid
+ * @param {Object} e The edit event object
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Task Management sheet
+ * @param {number} row The edited row
+ */
+function validateDependsOnEdit(e, sheet, row) {
+  const graph = getTaskGraph(sheet);
+  if (graph.columns.id === -1) return;
+
+  const taskId = sheet.getRange(row, graph.columns.id + 1).getValue().toString().trim();
+  if (!taskId) {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Give this task a Task ID before adding dependencies.', 'Task Dependencies', 5);
+    e.range.setValue(e.oldValue || '');
+    return;
+  }
+
+  const problems = getDependencyProblems(graph.tasks, taskId);
+  if (problems.length > 0) {
+    e.range.setValue(e.oldValue || '');
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `${problems.join('\n')}\n\nThe change was undone.`,
+      'Invalid Dependency',
+      8
+    );
+    return;
+  }
+
+  // Normalize the cell to a clean comma-separated list
+  e.range.setValue(graph.tasks[taskId].dependsOn.join(', '));
+}
+
+/**
+ * Shifts the due dates of every downstream task by the same number of days
+ * the edited task's due date moved
+ * @param {Object} e The edit event object
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Task Management sheet
+ * @param {number} row The edited row
+ */
+function cascadeDueDateChange(e, sheet, row) {
+  const newDue = e.range.getValue();
+  const oldDue = parseEditDateValue(e.oldValue);
+  if (!(newDue instanceof Date) || !oldDue) return;
+
+  const shiftDays = Math.round((_startOfDay(newDue).getTime() - _startOfDay(oldDue).getTime()) / MS_PER_DAY);
+  if (shiftDays === 0) return;
+
+  const graph = getTaskGraph(sheet);
+  if (graph.columns.id === -1 || graph.columns.dependsOn === -1 || graph.columns.dueDate === -1) return;
+
+  const taskId = sheet.getRange(row, graph.columns.id + 1).getValue().toString().trim();
+  if (!taskId) return;
+
+  // Walk dependents breadth-first, shifting each one once
+  const shifted = [];
+  const visited = {};
+  visited[taskId] = true;
+  const queue = [taskId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    Object.keys(graph.tasks).forEach(id => {
+      const task = graph.tasks[id];
+      if (visited[id] || task.dependsOn.indexOf(current) === -1) return;
+      visited[id] = true;
+      queue.push(id);
+
+      if (task.dueDate instanceof Date && task.status !== 'Done' && task.status !== 'Cancelled') {
+        sheet.getRange(task.row, graph.columns.dueDate + 1).setValue(addDays(task.dueDate, shiftDays));
+        shifted.push(task.name || id);
+      }
+    });
+  }
+
+  if (shifted.length > 0) {
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `Moved ${shifted.length} dependent task(s) by ${shiftDays} day(s):\n${shifted.slice(0, 5).join('\n')}` +
+        (shifted.length > 5 ? `\n... and ${shifted.length - 5} more` : ''),
+      'Due Dates Updated',
+      8
+    );
+  }
+}
+
+/**
+ * Reverts a move to In Progress while any predecessor is still open
+ * @param {Object} e The edit event object
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Task Management sheet
+ * @param {number} row The edited row
+ */
+function enforcePredecessorsDone(e, sheet, row) {
+  const graph = getTaskGraph(sheet);
+  if (graph.columns.id === -1 || graph.columns.dependsOn === -1) return;
+
+  const taskId = sheet.getRange(row, graph.columns.id + 1).getValue().toString().trim();
+  const task = graph.tasks[taskId];
+  if (!task) return;
+
+  const openPredecessors = task.dependsOn
+    .map(id => graph.tasks[id])
+    .filter(predecessor => predecessor && predecessor.status !== 'Done' && predecessor.status !== 'Cancelled');
+
+  if (openPredecessors.length === 0) return;
+
+  e.range.setValue(e.oldValue || 'Not Started');
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `"${task.name}" is waiting on:\n` +
+      openPredecessors.map(predecessor => `• ${predecessor.name} (${predecessor.id}) - ${predecessor.status || 'Not Started'}`).join('\n'),
+    'Predecessors Still Open',
+    8
+  );
+}
+
+/**
+ * Checks every task's dependencies and reports unknown IDs and cycles
+ * Called from the Event Planner Setup menu
+ */
+function validateTaskDependencies() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Task Management');
+
+  if (!sheet) {
+    ui.alert('Error', 'Task Management sheet not found.', ui.ButtonSet.OK);
+    return;
+  }
+
+  _ensureColumn(sheet, DEPENDS_ON_HEADER, 150);
+  const graph = getTaskGraph(sheet);
+
+  const problems = [];
+  Object.keys(graph.tasks).forEach(id => {
+    getDependencyProblems(graph.tasks, id).forEach(problem => {
+      problems.push(`Row ${graph.tasks[id].row} (${id}): ${problem}`);
+    });
+  });
+
+  if (problems.length === 0) {
+    ui.alert('Task Dependencies', 'All task dependencies are valid.', ui.ButtonSet.OK);
+  } else {
+    ui.alert('Task Dependencies', `Found ${problems.length} problem(s):\n\n${problems.join('\n')}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Converts an edit event's oldValue for a date cell into a Date.
+ * Sheets reports dates as serial numbers (days since 1899-12-30).
+ * @param {string} value The oldValue from the edit event
+ * @return {Date|null} The date, or null if it cannot be read
+ */
+function parseEditDateValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(value.toString())) {
+    return _eventDateTime(1899, 12, 30 + Math.floor(Number(value)), 0);
+  }
+
+  return parseEventDate(value);
+}
@@ -27,25 +27,36 @@ function generateAITasks() {
       return;
     }
     
-    // Step 2: Get OpenAI API key
-    const apiKey = getOpenAIApiKey();
-    if (!apiKey) {
-      ui.alert('Error', 'OpenAI API key not found. Please add your API key to Script Properties or cell B15 in Config sheet.', ui.ButtonSet.OK);
+    // Step 2: Check the AI settings (provider, model and API key)
+    const llmProblem = getLLMSettingsProblem(getLLMSettings());
+    if (llmProblem) {
+      ui.alert('Error', llmProblem, ui.ButtonSet.OK);
       return;
     }
     
     // Step 3: Show loading message
     ui.alert('Processing', 'Generating tasks using AI. This may take a few moments...', ui.ButtonSet.OK);
     
-    // Step 4: Generate tasks using OpenAI
-    const tasks = generateTasksWithAI(eventInfo, apiKey);
+    // Step 4: Generate tasks using the AI provider
+    const result = generateTasksWithAI(eventInfo);
+    const tasks = result.items;
+    const report = formatAIValidationReport(result);
     if (!tasks || tasks.length === 0) {
-      ui.alert('Error', 'Failed to generate tasks. Please try again later.', ui.ButtonSet.OK);
+      ui.alert('Error', 'Failed to generate tasks. Please try again later.' + (report ? '\n\n' + report : ''), ui.ButtonSet.OK);
       return;
     }
+    if (report) {
+      ui.alert('AI Reply Check', report, ui.ButtonSet.OK);
+    }
     
-    // Step 5: Clear existing tasks
-    clearExistingTasks();
+    // Step 5: Merge into the existing tasks for review, or clear them
+    const writeMode = chooseTaskWriteMode();
+    if (writeMode === 'cancel') return;
+    if (writeMode === 'merge') {
+      showTaskMergeDialog(tasks, eventInfo);
+      return;
+    }
+    if (!clearExistingTasks()) return;
     
     // Step 6: Add generated tasks to the Task Management sheet
     const taskCount = addTasksToSheet(tasks, eventInfo);
@@ -96,14 +107,18 @@ function setupTaskManagementSheet(ss, addSampleData = false) {
     'Status', 
     'Priority', 
     'Related Session', 
-    'Reminder Sent?'
+    'Reminder Sent?',
+    'Days Overdue',
+    'Escalated On',
+    'Depends On',
+    'Duration (days)'
   ];
   
   // Set header values
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
   
   // Set column widths
-  const widths = [120, 200, 300, 120, 150, 100, 100, 100, 150, 120];
+  const widths = [120, 200, 300, 120, 150, 100, 100, 100, 150, 120, 110, 120, 150, 110];
   for (let i = 0; i < headers.length; i++) {
     sheet.setColumnWidth(i + 1, widths[i]);
   }
@@ -179,6 +194,17 @@ function setupTaskManagementSheet(ss, addSampleData = false) {
     .build();
   sheet.getRange(2, 10, 899, 1).setDataValidation(reminderRule);
   
+  // Days Overdue and Escalated On are maintained by the daily job (Columns 11-12)
+  sheet.getRange(2, 11, 899, 1).setNumberFormat('0').setHorizontalAlignment('center');
+  sheet.getRange(2, 12, 899, 1).setNumberFormat('yyyy-mm-dd');
+  
+  // Depends On holds comma-separated Task IDs that must finish first (Column 13)
+  sheet.getRange(1, 13).setNote('Comma-separated Task IDs that must be Done before this task can start, e.g. T-123456-AB12');
+  
+  // Duration is the number of working days ending on the Due Date; used by the Timeline (Column 14)
+  sheet.getRange(2, 14, 899, 1).setNumberFormat('0').setHorizontalAlignment('center');
+  sheet.getRange(1, 14).setNote('Days of work ending on the Due Date. Blank counts as 1 day.');
+  
   // Apply alternating row colors to all data rows
   for (let i = 2; i <= 900; i += 2) {
     sheet.getRange(i, 1, 1, headers.length).setBackground('#f3f3f3');
@@ -186,9 +212,8 @@ function setupTaskManagementSheet(ss, addSampleData = false) {
   
   // Add sample data if requested
   if (addSampleData) {
-    const today = new Date();
-    const tomorrow = new Date();
-    tomorrow.setDate(today.getDate() + 1);
+    const today = _startOfDay(new Date());
+    const tomorrow = addDays(today, 1);
     
     const sampleTasks = [
       [
@@ -333,8 +358,8 @@ function getEventInformation() {
         } else if (typeof fieldValue === 'string') {
           // Try to parse string as date
           try {
-            const parsedDate = new Date(fieldValue);
-            if (!isNaN(parsedDate.getTime())) {
+            const parsedDate = parseEventDate(fieldValue);
+            if (parsedDate) {
               eventInfo[propertyName] = parsedDate;
             }
           } catch (e) {
@@ -371,6 +396,9 @@ function getEventInformation() {
   
   eventInfo.durationDays = eventDuration;
   
+  // Per-day windows from the Event Days sheet (or the event's own times)
+  eventInfo.days = getEventDays(ss, eventInfo);
+  
   // Log the event info for debugging
   Logger.log(`Event: ${eventInfo.eventName}`);
   Logger.log(`Dates: ${eventInfo.startDate} to ${eventInfo.endDate} (${eventInfo.durationDays} days)`);
@@ -462,54 +490,33 @@ function saveApiKeyToScriptProperties() {
 }
 
 /**
- * Tests if the OpenAI API key is working
+ * Tests that the configured AI provider, model and API key work
  */
 function testApiKey() {
   const ui = SpreadsheetApp.getUi();
-  const apiKey = getOpenAIApiKey();
+  const settings = getLLMSettings();
+  const problem = getLLMSettingsProblem(settings);
   
-  if (!apiKey) {
-    ui.alert('Error', 'No API key found. Please add your API key first.', ui.ButtonSet.OK);
+  if (problem) {
+    ui.alert('Error', problem, ui.ButtonSet.OK);
     return;
   }
   
   try {
     // Make a simple API call
-    const url = 'https://api.openai.com/v1/chat/completions';
-    const payload = {
-      model: "gpt-3.5-turbo",
-      messages: [{ role: "user", content: "Hello" }],
-      max_tokens: 10
-    };
-    
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: { 'Authorization': 'Bearer ' + apiKey },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-    
-    const response = UrlFetchApp.fetch(url, options);
-    const responseCode = response.getResponseCode();
-    
-    if (responseCode === 200) {
-      ui.alert('Success', 'API key is working correctly!', ui.ButtonSet.OK);
-    } else {
-      ui.alert('Error', `API returned error code: ${responseCode}`, ui.ButtonSet.OK);
-    }
+    callLLM([{ role: "user", content: "Hello" }], { maxTokens: 10 });
+    ui.alert('Success', `${settings.provider} (${settings.model}) is working correctly!`, ui.ButtonSet.OK);
   } catch (e) {
-    ui.alert('Error', 'Failed to test API key: ' + e.message, ui.ButtonSet.OK);
+    ui.alert('Error', 'Failed to test the AI connection: ' + e.message, ui.ButtonSet.OK);
   }
 }
 
 /**
- * Generate tasks using OpenAI API based on event information
+ * Generate tasks with the configured AI provider based on event information
  * @param {Object} eventInfo Event information
- * @param {string} apiKey OpenAI API key
- * @return {Array} Array of task objects
+ * @return {Object} Result from requestValidatedItems() with the task objects
  */
-function generateTasksWithAI(eventInfo, apiKey) {
+function generateTasksWithAI(eventInfo) {
   try {
     // Format dates for the prompt
     const startDate = formatDate(eventInfo.startDate);
@@ -561,51 +568,20 @@ Return your response in this exact JSON format:
 IMPORTANT: Include a diverse range of tasks covering all necessary aspects of event planning and execution based on the provided event details.
 `;
 
-    // Call OpenAI API
-    const url = 'https://api.openai.com/v1/chat/completions';
-    const payload = {
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert event planning assistant that creates detailed task lists for events."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 4000
-    };
-    
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: { 'Authorization': 'Bearer ' + apiKey },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-    
-    Logger.log('Calling OpenAI API...');
-    const response = UrlFetchApp.fetch(url, options);
-    const responseCode = response.getResponseCode();
-    
-    if (responseCode !== 200) {
-      Logger.log(`API Error (${responseCode}): ${response.getContentText()}`);
-      throw new Error(`OpenAI API returned error code: ${responseCode}`);
-    }
-    
-    const responseJson = JSON.parse(response.getContentText());
-    const content = responseJson.choices[0].message.content;
-    
-    Logger.log(`Received response (${content.length} chars)`);
-    
-    // Parse the JSON response
-    const tasks = parseTasksFromResponse(content);
+    // Call the AI provider; the reply is checked against the task schema
+    const result = requestValidatedItems([
+      {
+        role: "system",
+        content: "You are an expert event planning assistant that creates detailed task lists for events."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ], getTaskSchema(), parseTasksFromResponse);
     
-    Logger.log(`Successfully extracted ${tasks.length} tasks`);
-    return tasks;
+    Logger.log(`Successfully extracted ${result.items.length} tasks (${result.dropped.length} dropped)`);
+    return result;
     
   } catch (error) {
     Logger.log('Error generating tasks: ' + error.toString());
@@ -614,8 +590,8 @@ IMPORTANT: Include a diverse range of tasks covering all necessary aspects of ev
 }
 
 /**
- * Parse tasks from the OpenAI response
- * @param {string} response The raw text response from OpenAI
+ * Parse tasks from an AI response that failed schema validation (heuristic fallback)
+ * @param {string} response The raw text response from the AI provider
  * @return {Array} Array of task objects
  */
 function parseTasksFromResponse(response) {
@@ -754,6 +730,7 @@ function extractMatches(text, pattern) {
 
 /**
  * Clears existing tasks from the Task sheet
+ * @return {boolean} False if the user stopped because no snapshot could be saved
  */
 function clearExistingTasks() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -761,16 +738,19 @@ function clearExistingTasks() {
   
   if (!taskSheet) {
     Logger.log('Task sheet not found');
-    return;
+    return true;
   }
   
   const lastRow = taskSheet.getLastRow();
   
   // If sheet is empty or only has header row, nothing to clear
   if (lastRow <= 1) {
-    return;
+    return true;
   }
   
+  // Save a snapshot so the wipe can be undone
+  if (!snapshotOrConfirm(taskSheet, 'Replace Tasks')) return false;
+  
   // Clear all data rows (preserving header row)
   taskSheet.getRange(2, 1, lastRow - 1, taskSheet.getLastColumn()).clear();
   
@@ -821,6 +801,9 @@ function addTasksToSheet(tasks, eventInfo) {
   // Sort tasks by category and priority
   const sortedTasks = sortTasks(tasks);
   
+  // AI owner suggestions are kept only for known people who are available on the due date
+  const ownerCandidates = getTaskOwnerCandidates(ss, eventInfo);
+  
   // Create task data for batch insertion
   const taskData = [];
   
@@ -837,7 +820,7 @@ function addTasksToSheet(tasks, eventInfo) {
       task.name,             // Task Name
       task.description,      // Description
       task.category,         // Category
-      '',                    // Owner (left blank)
+      suggestTaskOwner(task.suggestedOwner, dueDate, ownerCandidates), // Owner (suggested, or blank)
       dueDate,               // Due Date
       task.status || 'Not Started', // Status
       task.priority,         // Priority
@@ -959,6 +942,12 @@ function calculateDueDate(timeline, eventInfo) {
   if (timelineStr.includes('during') || timelineStr.includes('day of')) {
     // Check for specific day number
     const dayMatch = timelineStr.match(/day\s*(\d+)/i);
+    const eventDays = eventInfo.days || [];
+    if (dayMatch && eventDays.length > 1) {
+      // Day N of the Event Days sheet, so days left off it are skipped
+      const dayIndex = Math.max(0, Math.min(parseInt(dayMatch[1]) - 1, eventDays.length - 1));
+      return new Date(eventDays[dayIndex].date);
+    }
     if (dayMatch && eventInfo.durationDays > 1) {
       const dayNum = parseInt(dayMatch[1]) - 1; // 0-based day index
       const maxOffset = eventInfo.durationDays - 1; // Don't go beyond end date
@@ -986,39 +975,6 @@ function calculateDueDate(timeline, eventInfo) {
   return addDays(eventInfo.startDate, -DEFAULT_PRE_EVENT_DAYS);
 }
 
-/**
- * Adds days to a date (negative values subtract days)
- * @param {Date} date The base date
- * @param {number} days Number of days to add/subtract
- * @return {Date} New date
- */
-function addDays(date, days) {
-  if (!date || !(date instanceof Date)) {
-    return new Date(); // Default to today if invalid date
-  }
-  
-  const result = new Date(date);
-  result.setDate(result.getDate() + days);
-  return result;
-}
-
-/**
- * Formats a date as YYYY-MM-DD
- * @param {Date} date The date to format
- * @return {string} Formatted date string
- */
-function formatDate(date) {
-  if (!date || !(date instanceof Date)) {
-    return '';
-  }
-  
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}`;
-}
-
 /**
  * Add menu items to the spreadsheet menu
  * This should be called from your onOpen function
@@ -1027,6 +983,6 @@ function formatDate(date) {
 function addTaskMenuItems(menu) {
   menu.addItem('Generate AI Tasks', 'generateAITasks')
       .addItem('Save API Key to Script Properties', 'saveApiKeyToScriptProperties')
-      .addItem('Test API Key', 'testApiKey');
+      .addItem('Test AI Connection', 'testApiKey');
   // Diagnostic button removed as requested
 }
\ No newline at end of file
@@ -0,0 +1,299 @@
+//TaskMerge.gs - Merge AI-generated tasks into the existing Task Management list
+
+/**
+ * Configuration constants
+ */
+const TASK_MERGE_CACHE_KEY = 'pendingTaskMerge';
+const TASK_MATCH_THRESHOLD = 0.6;          // Name similarity needed to treat tasks as the same
+const TASK_MATCH_SAME_CATEGORY_THRESHOLD = 0.45; // Lower bar when the categories also match
+const TASK_NAME_STOPWORDS = ['a', 'an', 'and', 'the', 'for', 'of', 'to', 'on', 'in', 'with', 'at', 'all', 'event'];
+
+/**
+ * Asks whether generated tasks should be merged into or replace the existing list
+ * @return {string} 'merge', 'replace', or 'cancel' ('replace' when there are no existing tasks)
+ */
+function chooseTaskWriteMode() {
+  const ui = SpreadsheetApp.getUi();
+  const existing = getExistingTasksForMerge();
+  if (existing.length === 0) return 'replace';
+
+  const response = ui.alert(
+    'Existing Tasks Found',
+    `The Task Management sheet already has ${existing.length} tasks.\n\n` +
+      'YES - Merge: review the AI tasks and keep existing owners, statuses and manual tasks\n' +
+      'NO - Replace: delete every existing task and write the AI tasks\n' +
+      'CANCEL - Stop without changing anything',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+
+  if (response === ui.Button.YES) return 'merge';
+  if (response === ui.Button.NO) return 'replace';
+  return 'cancel';
+}
+
+/**
+ * Builds the merge plan for generated tasks and opens the review dialog
+ * @param {Array} tasks Generated task objects (name, description, category, priority, timeline)
+ * @param {Object} eventInfo Event information from getEventInformation()
+ */
+function showTaskMergeDialog(tasks, eventInfo) {
+  const plan = buildTaskMergePlan(tasks, getExistingTasksForMerge(), eventInfo);
+
+  // Show the owner that will actually be written: a known person available on the due date
+  const ownerCandidates = getTaskOwnerCandidates(SpreadsheetApp.getActiveSpreadsheet(), eventInfo);
+  plan.additions.forEach(task => {
+    task.suggestedOwner = suggestTaskOwner(task.suggestedOwner, calculateDueDate(task.timeline, eventInfo), ownerCandidates);
+  });
+
+  CacheService.getDocumentCache().put(TASK_MERGE_CACHE_KEY, JSON.stringify(plan), 21600);
+
+  const html = HtmlService.createHtmlOutputFromFile('TaskMergeDialog')
+    .setWidth(760)
+    .setHeight(620);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Review AI Tasks');
+}
+
+/**
+ * Returns the merge plan waiting for review
+ * Called from TaskMergeDialog.html via google.script.run
+ * @return {Object|null} The merge plan, or null if it has expired
+ */
+function getPendingTaskMerge() {
+  const cached = CacheService.getDocumentCache().get(TASK_MERGE_CACHE_KEY);
+  return cached ? JSON.parse(cached) : null;
+}
+
+/**
+ * Writes the accepted additions and changes to the Task Management sheet
+ * Called from TaskMergeDialog.html via google.script.run
+ * @param {Object} accepted Object with additions and changes arrays of plan indexes
+ * @return {Object} Object with added and updated counts
+ */
+function applyTaskMerge(accepted) {
+  const plan = getPendingTaskMerge();
+  if (!plan) {
+    throw new Error('This review has expired. Please generate the tasks again.');
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const taskSheet = ss.getSheetByName('Task Management');
+  if (!taskSheet) throw new Error('Task Management sheet not found');
+
+  const eventInfo = getEventInformation();
+  const result = { added: 0, updated: 0 };
+
+  // Apply suggested changes to the matched rows, checking each row still holds the same task
+  const changes = (accepted.changes || []).map(index => plan.changes[index]).filter(change => change);
+  if (changes.length > 0) {
+    const data = taskSheet.getDataRange().getValues();
+    const headers = data[0];
+
+    changes.forEach(change => {
+      const rowIndex = _findMergeTaskRow(data, change.existing);
+      if (rowIndex === -1) {
+        Logger.log(`Task "${change.existing.name}" (${change.existing.id || 'no Task ID'}) moved or no longer exists, skipping suggested change`);
+        return;
+      }
+
+      change.differences.forEach(difference => {
+        const col = findColumnIndex(headers, difference.field);
+        if (col === -1) return;
+        const value = difference.field === 'due date'
+          ? calculateDueDate(change.task.timeline, eventInfo)
+          : change.task[difference.key];
+        taskSheet.getRange(rowIndex + 1, col + 1).setValue(value);
+      });
+      result.updated++;
+    });
+  }
+
+  // Append the accepted new tasks
+  const additions = (accepted.additions || []).map(index => plan.additions[index]).filter(task => task);
+  if (additions.length > 0) {
+    result.added = addTasksToSheet(additions, eventInfo);
+  }
+
+  CacheService.getDocumentCache().remove(TASK_MERGE_CACHE_KEY);
+  Logger.log(`Task merge applied: ${result.added} added, ${result.updated} updated`);
+  return result;
+}
+
+/**
+ * Reads the existing tasks used for matching
+ * @return {Array} Task objects with id, row, name, description, category, priority, dueDate, owner and status
+ */
+function getExistingTasksForMerge() {
+  const taskSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Task Management');
+  if (!taskSheet || taskSheet.getLastRow() <= 1) return [];
+
+  const data = taskSheet.getDataRange().getValues();
+  const headers = data[0];
+  const col = name => findColumnIndex(headers, name);
+  const idIndex = col('task id');
+  const nameIndex = col('task name');
+  const descriptionIndex = col('description');
+  const categoryIndex = col('category');
+  const priorityIndex = col('priority');
+  const dueDateIndex = col('due date');
+  const ownerIndex = col('owner');
+  const statusIndex = col('status');
+
+  const tasks = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (nameIndex === -1 || !row[nameIndex]) continue;
+
+    tasks.push({
+      id: idIndex !== -1 ? row[idIndex].toString() : '',
+      row: i + 1,
+      name: row[nameIndex].toString(),
+      description: descriptionIndex !== -1 ? row[descriptionIndex].toString() : '',
+      category: categoryIndex !== -1 ? row[categoryIndex].toString() : '',
+      priority: priorityIndex !== -1 ? row[priorityIndex].toString() : '',
+      dueDate: dueDateIndex !== -1 && row[dueDateIndex] instanceof Date ? _formatMergeDate(row[dueDateIndex]) : '',
+      owner: ownerIndex !== -1 ? row[ownerIndex].toString() : '',
+      status: statusIndex !== -1 ? row[statusIndex].toString() : ''
+    });
+  }
+
+  return tasks;
+}
+
+/**
+ * Finds the sheet row of a task from getExistingTasksForMerge(). The row read
+ * then is used if it still holds the same task; otherwise the task is looked up
+ * by its Task ID. Tasks without a Task ID that have moved are not found.
+ * @param {Array} data Task Management values, header row included
+ * @param {Object} task Existing task with id, row and name
+ * @return {number} 0-based index into data, or -1 if the task can't be found safely
+ */
+function _findMergeTaskRow(data, task) {
+  const headers = data[0];
+  const idIndex = findColumnIndex(headers, 'task id');
+  const nameIndex = findColumnIndex(headers, 'task name');
+  const isTask = row => row && nameIndex !== -1 && row[nameIndex].toString() === task.name &&
+    (idIndex === -1 || row[idIndex].toString() === task.id);
+
+  if (isTask(data[task.row - 1])) return task.row - 1;
+  if (!task.id || idIndex === -1) return -1;
+  return data.findIndex((row, i) => i > 0 && row[idIndex].toString() === task.id);
+}
+
+/**
+ * Matches generated tasks against existing ones and sorts them into
+ * additions, duplicates, and suggested changes. Owner, Status and other
+ * manually maintained columns are never part of a suggested change.
+ * @param {Array} tasks Generated task objects
+ * @param {Array} existing Existing tasks from getExistingTasksForMerge()
+ * @param {Object} eventInfo Event information from getEventInformation()
+ * @return {Object} Object with additions, duplicates and changes arrays
+ */
+function buildTaskMergePlan(tasks, existing, eventInfo) {
+  const plan = { additions: [], duplicates: [], changes: [] };
+  const used = {};
+
+  tasks.forEach(task => {
+    const generated = {
+      name: task.name || '',
+      description: task.description || '',
+      category: task.category || '',
+      priority: task.priority || '',
+      timeline: task.timeline || '',
+      status: task.status || 'Not Started',
+      suggestedOwner: task.suggestedOwner || '',
+      dueDate: eventInfo ? _formatMergeDate(calculateDueDate(task.timeline, eventInfo)) : ''
+    };
+
+    // Find the best unused existing match
+    let best = null;
+    let bestScore = 0;
+    existing.forEach((candidate, index) => {
+      if (used[index]) return;
+      const score = taskNameSimilarity(generated.name, candidate.name);
+      const threshold = candidate.category === generated.category
+        ? TASK_MATCH_SAME_CATEGORY_THRESHOLD
+        : TASK_MATCH_THRESHOLD;
+      if (score >= threshold && score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+
+    if (best === null) {
+      plan.additions.push(generated);
+      return;
+    }
+
+    used[best] = true;
+    const match = existing[best];
+
+    const differences = [];
+    const compare = (field, key) => {
+      if (generated[key] && generated[key] !== match[key]) {
+        differences.push({ field: field, key: key, from: match[key], to: generated[key] });
+      }
+    };
+    compare('description', 'description');
+    compare('category', 'category');
+    compare('priority', 'priority');
+    // Leave the due date alone once someone has started or finished the task
+    if (!match.status || match.status === 'Not Started') compare('due date', 'dueDate');
+
+    const entry = {
+      task: generated,
+      existing: match,
+      similarity: Math.round(bestScore * 100)
+    };
+
+    if (differences.length === 0) {
+      plan.duplicates.push(entry);
+    } else {
+      entry.differences = differences;
+      plan.changes.push(entry);
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Scores how similar two task names are, ignoring case, punctuation and filler words
+ * @param {string} a First task name
+ * @param {string} b Second task name
+ * @return {number} Similarity from 0 to 1
+ */
+function taskNameSimilarity(a, b) {
+  const tokensA = normalizeTaskName(a);
+  const tokensB = normalizeTaskName(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  if (tokensA.join(' ') === tokensB.join(' ')) return 1;
+
+  // Dice coefficient over word sets
+  const setB = new Set(tokensB);
+  const shared = new Set(tokensA.filter(token => setB.has(token))).size;
+  return (2 * shared) / (new Set(tokensA).size + setB.size);
+}
+
+/**
+ * Lowercases a task name, strips punctuation and filler words, and trims plurals
+ * @param {string} name The task name
+ * @return {Array} Normalized words
+ */
+function normalizeTaskName(name) {
+  return (name || '').toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && TASK_NAME_STOPWORDS.indexOf(word) === -1)
+    .map(word => word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word);
+}
+
+/**
+ * Formats a date as yyyy-MM-dd for comparison and display
+ * @param {Date} date The date
+ * @return {string} Formatted date, or '' if not a date
+ */
+function _formatMergeDate(date) {
+  if (!(date instanceof Date)) return '';
+  return formatDate(date);
+}
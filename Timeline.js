@@ -0,0 +1,306 @@
+//Timeline.gs - Gantt-style task timeline with critical path highlighting
+
+/**
+ * Configuration constants
+ */
+const TIMELINE_SHEET_NAME = 'Timeline';
+const TIMELINE_INFO_COLUMNS = 9; // Task ID ... Critical? before the date grid
+const DURATION_HEADER = 'Duration (days)';
+
+// Bar colors by Category, with a lighter tint used once the task is Done
+const TIMELINE_CATEGORY_COLORS = {
+  'Venue': ['#6fa8dc', '#cfe2f3'],
+  'Marketing': ['#f6b26b', '#fce5cd'],
+  'Logistics': ['#93c47d', '#d9ead3'],
+  'Program': ['#8e7cc3', '#d9d2e9'],
+  'Budget': ['#ffd966', '#fff2cc'],
+  'Staffing': ['#76a5af', '#d0e0e3'],
+  'Technology': ['#c27ba0', '#ead1dc'],
+  'Communications': ['#e06666', '#f4cccc'],
+  'Other': ['#a4c2f4', '#e8f0fe']
+};
+
+// Status cell colors
+const TIMELINE_STATUS_COLORS = {
+  'Not Started': '#ffffff',
+  'In Progress': '#cfe2f3',
+  'Done': '#d9ead3',
+  'Blocked': '#f4cccc',
+  'Cancelled': '#efefef'
+};
+
+/**
+ * Builds the Timeline sheet from the Task Management sheet
+ * Called from the Event Planner Setup menu
+ */
+function generateTimeline() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const taskSheet = ss.getSheetByName('Task Management');
+
+  if (!taskSheet || taskSheet.getLastRow() <= 1) {
+    ui.alert('Error', 'No tasks found. Add tasks to the Task Management sheet first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const eventInfo = getEventInformation();
+    const tasks = getTimelineTasks(taskSheet);
+    const dated = tasks.filter(task => task.dueDate);
+
+    if (dated.length === 0) {
+      ui.alert('Error', 'None of the tasks have a Due Date yet.', ui.ButtonSet.OK);
+      return;
+    }
+
+    markCriticalPath(tasks, eventInfo);
+
+    // Date grid runs from the earliest task start to the post-event wrap-up
+    let gridStart = dated.reduce((min, task) => task.startDate < min ? task.startDate : min, dated[0].startDate);
+    let gridEnd = dated.reduce((max, task) => task.dueDate > max ? task.dueDate : max, dated[0].dueDate);
+    if (eventInfo && eventInfo.endDate instanceof Date && _startOfDay(eventInfo.endDate) > gridEnd) {
+      gridEnd = _startOfDay(eventInfo.endDate);
+    }
+    const today = _startOfDay(new Date());
+    if (today < gridStart) gridStart = today;
+
+    const days = Math.round((gridEnd.getTime() - gridStart.getTime()) / MS_PER_DAY) + 1;
+    dated.sort((a, b) => a.startDate - b.startDate || a.dueDate - b.dueDate);
+
+    renderTimelineSheet(ss, dated, gridStart, days, eventInfo);
+
+    const skipped = tasks.length - dated.length;
+    const criticalCount = dated.filter(task => task.critical).length;
+    ui.alert(
+      'Timeline Generated',
+      `Timeline created with ${dated.length} tasks across ${days} days.\n` +
+        `${criticalCount} task(s) are on the critical path.` +
+        (skipped > 0 ? `\n${skipped} task(s) without a Due Date were left out.` : ''),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    Logger.log(`Error generating timeline: ${error}`);
+    ui.alert('Error', `Failed to generate timeline: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Reads the tasks with their start/due dates, durations and predecessors
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} taskSheet The Task Management sheet
+ * @return {Array} Task objects
+ */
+function getTimelineTasks(taskSheet) {
+  const data = taskSheet.getDataRange().getValues();
+  const headers = data[0];
+
+  const col = {
+    id: findColumnIndex(headers, 'task id'),
+    name: findColumnIndex(headers, 'task name'),
+    category: findColumnIndex(headers, 'category'),
+    owner: findColumnIndex(headers, 'owner'),
+    dueDate: findColumnIndex(headers, 'due date'),
+    status: findColumnIndex(headers, 'status'),
+    dependsOn: findColumnIndex(headers, DEPENDS_ON_HEADER),
+    duration: findColumnIndex(headers, DURATION_HEADER)
+  };
+
+  const value = (row, index) => index !== -1 && row[index] !== '' ? row[index] : '';
+
+  const tasks = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!value(row, col.name)) continue;
+
+    const duration = Math.max(1, parseInt(value(row, col.duration), 10) || 1);
+    const due = row[col.dueDate] instanceof Date ? _startOfDay(row[col.dueDate]) : null;
+
+    tasks.push({
+      id: value(row, col.id).toString().trim(),
+      name: row[col.name].toString(),
+      category: value(row, col.category).toString(),
+      owner: value(row, col.owner).toString(),
+      status: value(row, col.status).toString() || 'Not Started',
+      duration: duration,
+      dueDate: due,
+      startDate: due ? addDays(due, 1 - duration) : null,
+      dependsOn: parseDependsOn(value(row, col.dependsOn)),
+      critical: false
+    });
+  }
+
+  return tasks;
+}
+
+/**
+ * Marks the tasks on the critical path to the event's readiness date.
+ * Uses a forward/backward pass over durations and dependencies; tasks with
+ * zero float are critical. Only tasks due on or before the event start count
+ * toward readiness, and Done/Cancelled tasks can no longer slip.
+ * @param {Array} tasks Task objects from getTimelineTasks()
+ * @param {Object} eventInfo Event information from getEventInformation() (optional)
+ */
+function markCriticalPath(tasks, eventInfo) {
+  const readiness = eventInfo && eventInfo.startDate instanceof Date ? _startOfDay(eventInfo.startDate) : null;
+
+  const network = {};
+  tasks.forEach(task => {
+    if (!task.id || task.status === 'Cancelled') return;
+    if (readiness && task.dueDate && task.dueDate > readiness) return;
+    network[task.id] = {
+      task: task,
+      duration: task.status === 'Done' ? 0 : task.duration,
+      predecessors: [],
+      successors: []
+    };
+  });
+
+  Object.keys(network).forEach(id => {
+    network[id].task.dependsOn.forEach(predecessorId => {
+      if (network[predecessorId] && predecessorId !== id) {
+        network[id].predecessors.push(predecessorId);
+        network[predecessorId].successors.push(id);
+      }
+    });
+  });
+
+  // Topological order (Kahn); tasks caught in a cycle are left out
+  const remaining = {};
+  Object.keys(network).forEach(id => remaining[id] = network[id].predecessors.length);
+  const order = [];
+  const queue = Object.keys(network).filter(id => remaining[id] === 0);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    network[id].successors.forEach(successorId => {
+      remaining[successorId]--;
+      if (remaining[successorId] === 0) queue.push(successorId);
+    });
+  }
+
+  // Forward pass: earliest finish
+  const earliestFinish = {};
+  order.forEach(id => {
+    const earliestStart = network[id].predecessors.reduce((max, p) => Math.max(max, earliestFinish[p] || 0), 0);
+    earliestFinish[id] = earliestStart + network[id].duration;
+  });
+
+  const projectFinish = order.reduce((max, id) => Math.max(max, earliestFinish[id]), 0);
+  if (projectFinish === 0) return;
+
+  // Backward pass: latest finish
+  const latestFinish = {};
+  order.slice().reverse().forEach(id => {
+    latestFinish[id] = network[id].successors.reduce(
+      (min, s) => latestFinish[s] === undefined ? min : Math.min(min, latestFinish[s] - network[s].duration),
+      projectFinish);
+  });
+
+  order.forEach(id => {
+    if (network[id].duration > 0 && latestFinish[id] - earliestFinish[id] === 0) {
+      network[id].task.critical = true;
+    }
+  });
+}
+
+/**
+ * Writes the task rows and colored date grid to the Timeline sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet
+ * @param {Array} tasks Dated task objects, sorted by start date
+ * @param {Date} gridStart First date in the grid
+ * @param {number} days Number of day columns
+ * @param {Object} eventInfo Event information (optional)
+ */
+function renderTimelineSheet(ss, tasks, gridStart, days, eventInfo) {
+  let sheet = ss.getSheetByName(TIMELINE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(TIMELINE_SHEET_NAME);
+    sheet.setTabColor('#134f5c'); // Dark teal color
+  } else {
+    sheet.clear();
+  }
+
+  const totalColumns = TIMELINE_INFO_COLUMNS + days;
+  if (sheet.getMaxColumns() < totalColumns) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), totalColumns - sheet.getMaxColumns());
+  }
+  if (sheet.getMaxRows() < tasks.length + 1) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), tasks.length + 1 - sheet.getMaxRows());
+  }
+
+  const today = _startOfDay(new Date());
+  const eventDays = eventInfo && eventInfo.days ? eventInfo.days : [];
+
+  // Header row: task info followed by one column per day
+  const dates = [];
+  for (let d = 0; d < days; d++) dates.push(addDays(gridStart, d));
+
+  const headers = ['Task ID', 'Task Name', 'Category', 'Owner', 'Status', 'Start', 'Due', 'Days', 'Critical?']
+    .concat(dates);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers])
+    .setBackground('#4a86e8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setHorizontalAlignment('center');
+  sheet.getRange(1, TIMELINE_INFO_COLUMNS + 1, 1, days).setNumberFormat('M/d');
+
+  // Task info columns
+  const infoRows = tasks.map(task => [
+    task.id, task.name, task.category, task.owner, task.status,
+    task.startDate, task.dueDate, task.duration, task.critical ? 'Yes' : ''
+  ]);
+  sheet.getRange(2, 1, infoRows.length, TIMELINE_INFO_COLUMNS).setValues(infoRows);
+  sheet.getRange(2, 6, infoRows.length, 2).setNumberFormat('yyyy-mm-dd');
+
+  // Status and Critical? cell colors
+  sheet.getRange(2, 5, infoRows.length, 1)
+    .setBackgrounds(tasks.map(task => [TIMELINE_STATUS_COLORS[task.status] || '#ffffff']));
+  sheet.getRange(2, 9, infoRows.length, 1)
+    .setBackgrounds(tasks.map(task => [task.critical ? '#cc0000' : '#ffffff']))
+    .setFontColors(tasks.map(task => [task.critical ? '#ffffff' : '#000000']))
+    .setHorizontalAlignment('center');
+
+  // Date grid: event days tinted, today marked, bars colored by Category and Status
+  const isSameDay = (a, b) => a && b && a.getTime() === b.getTime();
+  const inEvent = date => getEventDay(eventDays, date) !== null;
+
+  const backgrounds = tasks.map(task => dates.map(date => {
+    if (date >= task.startDate && date <= task.dueDate) {
+      if (task.status === 'Cancelled') return '#d9d9d9';
+      const colors = TIMELINE_CATEGORY_COLORS[task.category] || TIMELINE_CATEGORY_COLORS['Other'];
+      return task.status === 'Done' ? colors[1] : colors[0];
+    }
+    if (isSameDay(date, today)) return '#f4cccc';
+    if (inEvent(date)) return '#fff2cc';
+    return '#ffffff';
+  }));
+  sheet.getRange(2, TIMELINE_INFO_COLUMNS + 1, tasks.length, days).setBackgrounds(backgrounds);
+
+  // Mark today and the event days in the header
+  dates.forEach((date, index) => {
+    const headerCell = sheet.getRange(1, TIMELINE_INFO_COLUMNS + 1 + index);
+    if (isSameDay(date, today)) {
+      headerCell.setBackground('#cc0000').setNote('Today');
+    } else if (inEvent(date)) {
+      const eventDay = getEventDay(eventDays, date);
+      headerCell.setBackground('#e69138')
+        .setNote(`Event day: ${formatEventDayWindow(eventDay)}${eventDay.theme ? '\n' + eventDay.theme : ''}`);
+    }
+  });
+
+  // Outline critical path bars
+  tasks.forEach((task, index) => {
+    if (!task.critical) return;
+    const offset = Math.round((task.startDate.getTime() - gridStart.getTime()) / MS_PER_DAY);
+    sheet.getRange(index + 2, TIMELINE_INFO_COLUMNS + 1 + offset, 1, task.duration)
+      .setBorder(true, true, true, true, false, false, '#cc0000', SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+    sheet.getRange(index + 2, 2).setFontWeight('bold').setFontColor('#cc0000');
+  });
+
+  // Layout
+  const widths = [110, 220, 110, 110, 90, 85, 85, 45, 70];
+  widths.forEach((width, index) => sheet.setColumnWidth(index + 1, width));
+  sheet.setColumnWidths(TIMELINE_INFO_COLUMNS + 1, days, 32);
+  sheet.getRange(1, TIMELINE_INFO_COLUMNS + 1, 1, days).setFontSize(8);
+  sheet.setFrozenRows(1);
+  sheet.setFrozenColumns(2);
+}